@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Command-line front end to js/core.js, for batch jobs that need the same
+// crop and export as the viewer.
+//
+//   pcd-tools info in.pcd
+//   pcd-tools crop --x -5,5 --z 1.1,3 in.pcd out.pcd
+//   pcd-tools tile in.las out.pcdtiles
+import { open, readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import {
+  cloudBounds,
+  cloudCentre,
+  cloudEncoders,
+  cloudParsers,
+  colorsOf,
+  encodeTileSet,
+  filterCloud,
+} from "../js/core.js";
+
+const USAGE = `Usage:
+  pcd-tools info <input>
+  pcd-tools crop [options] <input> <output>
+  pcd-tools tile [--node-size <points>] <input> <output.pcdtiles>
+
+Inputs: .pcd, .ply, .las, .pcdtiles. Outputs: .pcd, .ply.
+
+Crop options:
+  --x <min,max>            keep points with min <= x <= max (also --y, --z)
+  --field <name:min,max>   keep points whose field value is in the range
+  --centred                ranges are relative to the centre of the cloud's
+                           bounding box, like the viewer's displayed frame
+  --format <format>        PCD: binary (default), binary_compressed, ascii
+                           PLY: binary_little_endian (default), ascii
+
+Tile options:
+  --node-size <points>     most points per octree node (default 20000); the
+                           viewer loads and drops whole nodes
+`;
+
+function extensionOf(path) {
+  return extname(path).slice(1).toLowerCase();
+}
+
+async function readCloud(path) {
+  const parse = cloudParsers[extensionOf(path)];
+  if (!parse) throw new Error(`Unsupported input format "${extname(path)}" (use .pcd, .ply, .las or .pcdtiles)`);
+  const bytes = await readFile(path);
+  return parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+async function writeCloud(path, cloud, format) {
+  const encode = cloudEncoders[extensionOf(path)];
+  if (!encode) throw new Error(`Unsupported output format "${extname(path)}" (use .pcd or .ply)`);
+  const parts = format ? encode(cloud, format) : encode(cloud);
+  await writeFile(path, Buffer.concat(parts.map(part =>
+    typeof part === 'string' ? Buffer.from(part) : Buffer.from(part.buffer, part.byteOffset, part.byteLength)
+  )));
+}
+
+function parseRange(text, option) {
+  const range = text.split(',').map(Number);
+  if (range.length !== 2 || !range.every(Number.isFinite) || range[0] > range[1]) {
+    throw new Error(`${option} needs <min,max>, got "${text}"`);
+  }
+  return range;
+}
+
+// Options and positional arguments of a command
+function parseArguments(args) {
+  const options = { x: null, y: null, z: null, field: null, centred: false, format: null, nodeSize: 20000 };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    // Values may start with "-" (negative minimum), so always take the next one
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+    switch (arg) {
+      case '--x':
+      case '--y':
+      case '--z':
+        options[arg.slice(2)] = parseRange(value(), arg);
+        break;
+      case '--field': {
+        const text = value();
+        const colon = text.lastIndexOf(':');
+        if (colon <= 0) throw new Error(`--field needs <name:min,max>, got "${text}"`);
+        options.field = { name: text.slice(0, colon), range: parseRange(text.slice(colon + 1), '--field') };
+        break;
+      }
+      case '--centred':
+        options.centred = true;
+        break;
+      case '--format':
+        options.format = value();
+        break;
+      case '--node-size': {
+        const text = value();
+        options.nodeSize = Number(text);
+        if (!Number.isInteger(options.nodeSize) || options.nodeSize < 1) {
+          throw new Error(`--node-size needs a positive whole number, got "${text}"`);
+        }
+        break;
+      }
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        positional.push(arg);
+    }
+  }
+  return { options, positional };
+}
+
+function formatNumber(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(4);
+}
+
+async function info(path) {
+  const cloud = await readCloud(path);
+  const { min, max } = cloudBounds(cloud);
+  const lines = [
+    path,
+    `points:    ${cloud.numPoints}`,
+    `fields:    ${cloud.fields.map(f => `${f.name} ${f.type}${f.size}${f.count > 1 ? `x${f.count}` : ''}`).join(', ')}`,
+    `viewpoint: ${(cloud.viewpoint || []).join(' ')}`,
+    `colour:    ${colorsOf(cloud) ? 'yes' : 'no'}`,
+  ];
+  if (cloud.numPoints > 0) {
+    ['x', 'y', 'z'].forEach((axis, k) => {
+      lines.push(`${axis}:         [${formatNumber(min[k])}, ${formatNumber(max[k])}]`);
+    });
+    lines.push(`centre:    ${cloudCentre(cloud).map(formatNumber).join(', ')}`);
+  }
+  console.log(lines.join('\n'));
+}
+
+async function crop(options, input, output) {
+  const cloud = await readCloud(input);
+  const offset = options.centred ? cloudCentre(cloud) : [0, 0, 0];
+  const cropped = filterCloud(cloud, { ...options, offset });
+  await writeCloud(output, cropped, options.format);
+  console.log(`Kept ${cropped.numPoints} of ${cloud.numPoints} points, written to ${output}`);
+}
+
+// Parts are written one after the other, so the file is never held twice
+async function tile(options, input, output) {
+  if (extensionOf(output) !== 'pcdtiles') throw new Error('Tile sets are written to .pcdtiles files');
+  const cloud = await readCloud(input);
+  if (cloud.numPoints === 0) throw new Error(`${input} contains no points`);
+  const parts = encodeTileSet(cloud, { nodeCapacity: options.nodeSize });
+  const file = await open(output, 'w');
+  try {
+    for (const part of parts) await file.write(typeof part === 'string' ? Buffer.from(part) : part);
+  } finally {
+    await file.close();
+  }
+  console.log(`Wrote ${cloud.numPoints} points to ${output}`);
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const { options, positional } = parseArguments(rest);
+  switch (command) {
+    case 'info':
+      if (positional.length !== 1) throw new Error(USAGE);
+      return info(positional[0]);
+    case 'crop':
+      if (positional.length !== 2) throw new Error(USAGE);
+      return crop(options, positional[0], positional[1]);
+    case 'tile':
+      if (positional.length !== 2) throw new Error(USAGE);
+      return tile(options, positional[0], positional[1]);
+    case undefined:
+    case '--help':
+    case 'help':
+      console.log(USAGE);
+      return undefined;
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`pcd-tools: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -1,23 +1,95 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { PCDLoader } from "three/addons/loaders/PCDLoader.js";
+import { CSS2DRenderer } from "three/addons/renderers/CSS2DRenderer.js";
 import { GUI } from "three/addons/libs/lil-gui.module.min.js";
+import { cloudEncoders } from "./core.js";
+import { showTextImportDialog } from "./import-dialog.js";
+import { parseInWorker } from "./load-worker.js";
+import { showLoadProgress } from "./load-progress.js";
+import { preparePoints } from "./points.js";
+import { createTileStreamer, openTileSet } from "./tile-layer.js";
+import { createAxisTest, createFieldTest } from "./filter.js";
+import { collectNodes, gatherIndices, raycastOctree, selectNodes } from "./octree.js";
+import { createField, findField, isCategoricalField, mergeClouds, subsetCloud } from "./cloud.js";
+import { createHistory } from "./history.js";
+import { createMeasureTool } from "./measure-tool.js";
+import { POINT_NORMAL, POINT_PREVIEW, POINT_REMOVED, POINT_SELECTED, frontHits, selectIndices, selectPoints } from "./selection.js";
+import { createSelectionTool } from "./selection-tool.js";
+import { cropShaderChunk, regionContains } from "./crop.js";
+import { createCropTool } from "./crop-tool.js";
+import { cuboidsToJSON, cuboidsToKitti, parseCuboidsJSON, parseKitti } from "./cuboids.js";
+import { createCuboidTool } from "./cuboid-tool.js";
+import { voxelDownsample } from "./voxel.js";
+import { radiusOutliers, statisticalOutliers } from "./outliers.js";
+import { formatPlane, segmentPlanes } from "./ransac.js";
+import { clusterBounds, euclideanClusters } from "./clustering.js";
+import { createClusterPanel } from "./cluster-panel.js";
+import {
+  DEFAULT_LABEL_CLASSES,
+  classColor,
+  classIdOf,
+  classProblem,
+  countLabels,
+  decodeKittiLabels,
+  encodeKittiLabels,
+  labelClassesToJSON,
+  parseLabelClasses,
+  withClassId,
+} from "./labels.js";
+import { createLabelTool } from "./label-tool.js";
+import { estimateNormals, findNormalFields, normalsOf, setCloudNormals } from "./normals.js";
+import { COLORMAPS, colormapData, colormapSize, isCategorical } from "./colormap.js";
+import { createColormapLegend } from "./colormap-legend.js";
+import { formatMatrix, icp, rigidFromPairs } from "./registration.js";
+import { SESSION_VERSION, parseSession, sessionFromHash, sessionToHash, sessionToJSON } from "./session.js";
+import {
+  datasetNameOf,
+  emptyPresetLibrary,
+  getRegion,
+  mergePresetLibraries,
+  parsePresetLibrary,
+  presetLibraryToJSON,
+  regionNames,
+  removeRegion,
+  setRegion,
+} from "./presets.js";
 
 const vtxShader = `
   attribute vec3 color;
+  attribute float scalar;
+  attribute float colorValue;
+  attribute float pointState;
+  attribute float hidden;
+  attribute vec3 segmentColor;
   varying float vX;
   varying float vY;
   varying float vZ;
+  varying float vScalar;
+  varying float vColorValue;
+  varying float vPointState;
+  varying float vHidden;
+  varying vec3 vSegmentColor;
   varying vec3 vColor;
+  varying vec3 vNormal;
   uniform float size;
   uniform float marginMinZ;
   uniform float marginMaxZ;
-
+${cropShaderChunk}
   void main() {
-    vX = position.x;
-    vY = position.y;
-    vZ = position.z;
+    // Filters work in the displayed frame, after the layer transform
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vX = worldPosition.x;
+    vY = worldPosition.y;
+    vZ = worldPosition.z;
+    vCropped = cropState(worldPosition.xyz);
+    vScalar = scalar;
+    vColorValue = colorValue;
+    vPointState = pointState;
+    vHidden = hidden;
+    vSegmentColor = segmentColor;
     vColor = color;
+    // View-space normal; zero for points without one
+    vNormal = normalMatrix * normal;
     gl_PointSize = size;
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
   }
@@ -27,23 +99,54 @@ const fragShader = `
   varying float vX;
   varying float vY;
   varying float vZ;
+  varying float vScalar;
+  varying float vColorValue;
+  varying float vPointState;
+  varying float vCropped;
+  varying float vHidden;
+  varying vec3 vSegmentColor;
   varying vec3 vColor;
+  varying vec3 vNormal;
   uniform bool enableFilterX;
   uniform bool enableFilterY;
   uniform bool enableFilterZ;
-  uniform bool useRgb;
+  uniform bool enableFilterField;
+  // 0 RGB, 1-3 X/Y/Z, 4 distance from the file origin, 5 colorValue field
+  uniform int colorSource;
+  uniform sampler2D colormap;
+  uniform bool categorical;
+  uniform float colormapSize;
+  uniform float colorMin;
+  uniform float colorMax;
+  uniform vec3 originOffset;
+  uniform bool useSegmentColors;
+  uniform bool useLighting;
   uniform float rgbBoost;
+  uniform vec3 tint;
   uniform float marginMinX;
   uniform float marginMaxX;
   uniform float marginMinY;
   uniform float marginMaxY;
   uniform float marginMinZ;
   uniform float marginMaxZ;
+  uniform float marginMinField;
+  uniform float marginMaxField;
 
   void main() {
-    // Calculate normalization value for cloud coloring according to Z-value
-    float normalizedZ = (vZ - marginMinZ) / (marginMaxZ - marginMinZ);
-    float r = normalizedZ;
+    // Points deleted with the selection tools
+    if (vPointState > 1.5 && vPointState < 2.5) {
+      discard;
+    }
+
+    // Points removed by the crop regions
+    if (vCropped > 0.5) {
+      discard;
+    }
+
+    // Segments (e.g. RANSAC planes) switched off
+    if (vHidden > 0.5) {
+      discard;
+    }
 
     // Filter out ground and roof planes
     if (enableFilterZ == true && (vZ < marginMinZ || vZ > marginMaxZ)) {
@@ -58,58 +161,77 @@ const fragShader = `
       discard;
     }
 
-    vec3 colorOut = vec3(r, 1.0 - r, 1.0 - r);
-    if (useRgb) {
-      // if RGB is supplied per-vertex, prefer it. Apply optional boost.
+    // Filter on the selected per-point field (intensity, classification, ...)
+    if (enableFilterField == true && (vScalar < marginMinField || vScalar > marginMaxField)) {
+      discard;
+    }
+
+    vec3 colorOut;
+    if (colorSource == 0) {
+      // RGB supplied per-vertex, with an optional boost
       colorOut = clamp(vColor * rgbBoost, 0.0, 1.0);
+    } else {
+      float value = vColorValue;
+      if (colorSource == 1) value = vX;
+      if (colorSource == 2) value = vY;
+      if (colorSource == 3) value = vZ;
+      if (colorSource == 4) value = length(vec3(vX, vY, vZ) + originOffset);
+
+      // Categorical maps cycle through their entries by integer value
+      float t = categorical
+        ? (mod(floor(value + 0.5), colormapSize) + 0.5) / colormapSize
+        : clamp((value - colorMin) / max(colorMax - colorMin, 1e-12), 0.0, 1.0);
+      colorOut = texture2D(colormap, vec2(t, 0.5)).rgb;
+    }
+
+    // Segment colours (planes, ...) where a point belongs to one
+    if (useSegmentColors && any(greaterThan(vSegmentColor, vec3(0.0)))) {
+      colorOut = vSegmentColor;
+    }
+
+    // Headlight shading from the normals, lit the same from either side
+    if (useLighting && length(vNormal) > 0.0) {
+      float lambert = abs(normalize(vNormal).z);
+      colorOut *= 0.25 + 0.75 * lambert;
+    }
+
+    // Highlight selected points, and points a previewed filter would remove
+    if (vPointState > 2.5) {
+      colorOut = vec3(1.0, 0.45, 0.0);
+    } else if (vPointState > 0.5) {
+      colorOut = vec3(1.0, 0.2, 0.8);
     }
 
-    gl_FragColor = vec4(colorOut, 1.0);
+    gl_FragColor = vec4(colorOut * tint, 1.0);
   }
 `;
 
-let camera, scene, renderer;
+let camera, scene, renderer, labelRenderer;
 
-init();
-render();
+// Save a blob through a temporary download link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
 
-let selectedDataset = "sp1f";
+// Delimited text needs a column mapping from the user before parsing. The
+// import dialog previews the start of the file; resolves with the options,
+// or null when the dialog is cancelled.
+const TEXT_EXTENSIONS = ['csv', 'xyz', 'txt'];
+const TEXT_PREVIEW_BYTES = 1024 * 1024;
 
-// Pre-defined margins for each POI from my thesis. Works only with default rotation.
-const cloudMargins = {
-  sp1f: {
-    global: {
-      x: [-50, 50],
-      y: [-50, 50],
-      z: [1.1, 3],
-    },
-    entrance: {
-      x: [-1.9, 15.3],
-      y: [7, 50],
-      z: [1.1, 3],
-    },
-    elevator: {
-      x: [-11, -1.2],
-      y: [-1, 6.5],
-      z: [1.1, 3],
-    },
-    glassDoors1: {
-      x: [-16, -7],
-      y: [8, 14],
-      z: [1.1, 3],
-    },
-    glassDoors2: {
-      x: [5, 20],
-      y: [-11, -1],
-      z: [1.1, 3],
-    },
-    glassDoors3: {
-      x: [-21, -12],
-      y: [-4, 3.5],
-      z: [1.1, 3],
-    },
-  },
-};
+function askTextImportOptions(file) {
+  return file.slice(0, TEXT_PREVIEW_BYTES).text().then(text => showTextImportDialog(text, file.name));
+}
+
+init();
+render();
 
 function init() {
   renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -117,6 +239,12 @@ function init() {
   renderer.setSize(window.innerWidth, window.innerHeight);
   document.body.appendChild(renderer.domElement);
 
+  // HTML labels (measurements) drawn over the canvas
+  labelRenderer = new CSS2DRenderer();
+  labelRenderer.setSize(window.innerWidth, window.innerHeight);
+  labelRenderer.domElement.id = 'label-layer';
+  document.body.appendChild(labelRenderer.domElement);
+
   scene = new THREE.Scene();
 
   camera = new THREE.PerspectiveCamera(
@@ -136,6 +264,7 @@ function init() {
 
   const controls = new OrbitControls(camera, renderer.domElement);
   controls.addEventListener("change", render);
+  controls.addEventListener("change", () => scheduleLevelOfDetail());
   
   // Standard 3D viewer mouse controls:
   // Left button = Rotate (orbit around target)
@@ -240,11 +369,144 @@ function init() {
   selectionMarker.visible = false;
   scene.add(selectionMarker);
 
-  const loader = new PCDLoader();
   let currentGUI = null;
   let currentXYZWidget = null;
   let filterBoundingBox = null; // Bounding box to show filtered area
   
+  // Loaded point clouds. Each layer has its own points, filters, tint and
+  // transform; the GUI always shows the active layer.
+  const layers = [];
+  let activeLayer = null;
+  let nextLayerId = 1;
+  
+  // Recentring offset shared by all layers, taken from the first cloud, so
+  // clouds in the same map frame stay aligned with each other
+  let sceneOrigin = null;
+  
+  // View options outlive the per-layer GUI
+  const viewOptions = {
+    lockPolar: false,
+    lockAzimuth: false,
+    // Most points drawn at once over all layers (see octree.js)
+    pointBudget: 3000000,
+    // Most points of tile sets kept loaded (see tile-layer.js); never less
+    // than the point budget
+    memoryBudget: 20000000,
+  };
+  
+  // Function to hold the camera at its current polar / azimuthal angle
+  // while the matching view option is set
+  function applyViewLocks() {
+    if (viewOptions.lockPolar) {
+      let polarAngle = controls.getPolarAngle();
+      controls.minPolarAngle = polarAngle;
+      controls.maxPolarAngle = polarAngle;
+    } else {
+      controls.minPolarAngle = 0;
+      controls.maxPolarAngle = Math.PI;
+    }
+    if (viewOptions.lockAzimuth) {
+      let azimuthalAngle = controls.getAzimuthalAngle();
+      controls.minAzimuthAngle = azimuthalAngle;
+      controls.maxAzimuthAngle = azimuthalAngle;
+    } else {
+      controls.minAzimuthAngle = 0;
+      controls.maxAzimuthAngle = Infinity;
+    }
+    render();
+  }
+  
+  // Region presets of every dataset, kept in the browser between visits
+  const PRESET_STORAGE_KEY = 'pcd-tools.presets';
+  let presetLibrary = emptyPresetLibrary();
+  try {
+    const stored = localStorage.getItem(PRESET_STORAGE_KEY);
+    if (stored) presetLibrary = parsePresetLibrary(stored);
+  } catch (err) {
+    console.error('Ignoring stored region presets:', err);
+  }
+  
+  function storePresetLibrary() {
+    try {
+      localStorage.setItem(PRESET_STORAGE_KEY, presetLibraryToJSON(presetLibrary));
+    } catch (err) {
+      console.error('Could not store region presets:', err);
+    }
+  }
+  
+  // Semantic label classes, also kept between visits, and the labelling
+  // mode: whether labels are drawn, the class painted and the brush stroke
+  // in progress (see labels.js)
+  const LABEL_CLASSES_STORAGE_KEY = 'pcd-tools.label-classes';
+  let labelClasses = DEFAULT_LABEL_CLASSES.map(cls => ({ ...cls }));
+  try {
+    const stored = localStorage.getItem(LABEL_CLASSES_STORAGE_KEY);
+    if (stored) labelClasses = parseLabelClasses(stored);
+  } catch (err) {
+    console.error('Ignoring stored label classes:', err);
+  }
+  const labelling = {
+    on: false,
+    classId: (labelClasses.find(cls => cls.id !== 0) || labelClasses[0] || { id: 0 }).id,
+    stroke: null,
+  };
+  
+  function storeLabelClasses() {
+    try {
+      localStorage.setItem(LABEL_CLASSES_STORAGE_KEY, labelClassesToJSON(labelClasses));
+    } catch (err) {
+      console.error('Could not store label classes:', err);
+    }
+  }
+  
+  // Store initial view for reset
+  const initialCameraPos = camera.position.clone();
+  const initialCameraTarget = controls.target.clone();
+  
+  // Edits to filters, transforms and layers, undone with Ctrl+Z
+  const history = createHistory({ onChange: renderHistoryPanel });
+  
+  // Include / exclude crop regions, shared by every layer
+  const cropTool = createCropTool({
+    scene,
+    camera,
+    canvas: renderer.domElement,
+    controls,
+    render,
+    history,
+    getPlacement: () => {
+      const target = controls.target.toArray();
+      if (!activeLayer) return { center: target, size: [5, 5, 5], zRange: [-5, 5] };
+      const { x, y, z } = activeLayer.defaults;
+      return {
+        center: target,
+        size: [(x[1] - x[0]) / 4, (y[1] - y[0]) / 4, z[1] - z[0]],
+        zRange: z,
+      };
+    },
+  });
+  
+  // Object cuboids, shared by every layer like the crop regions
+  const cuboidTool = createCuboidTool({
+    scene,
+    camera,
+    canvas: renderer.domElement,
+    controls,
+    render,
+    history,
+    // A car-sized box at the orbit target
+    getPlacement: () => ({ center: controls.target.toArray(), size: [4, 2, 1.6] }),
+    countPoints: (inverse) => countPointsInBox(inverse),
+    onFile: (action) => runCuboidAction(action),
+  });
+  
+  // Uniforms saved in history snapshots
+  const FILTER_UNIFORMS = [
+    'enableFilterX', 'enableFilterY', 'enableFilterZ', 'enableFilterField',
+    'marginMinX', 'marginMaxX', 'marginMinY', 'marginMaxY',
+    'marginMinZ', 'marginMaxZ', 'marginMinField', 'marginMaxField',
+  ];
+  
   // Function to create or update bounding box
   function updateBoundingBox(minX, maxX, minY, maxY, minZ, maxZ, enableX, enableY, enableZ) {
     // Remove old bounding box if exists
@@ -284,254 +546,673 @@ function init() {
     render();
   }
   
-  // Function to load and display PCD file
-  function loadPCDFile(url, filename) {
-    // Remove existing GUI if any
+  // Function to show the bounding box of the active layer's filters
+  function refreshBoundingBox() {
+    if (!activeLayer) {
+      updateBoundingBox(0, 0, 0, 0, 0, 0, false, false, false);
+      return;
+    }
+    const uniforms = activeLayer.points.material.uniforms;
+    updateBoundingBox(
+      uniforms.marginMinX.value,
+      uniforms.marginMaxX.value,
+      uniforms.marginMinY.value,
+      uniforms.marginMaxY.value,
+      uniforms.marginMinZ.value,
+      uniforms.marginMaxZ.value,
+      uniforms.enableFilterX.value,
+      uniforms.enableFilterY.value,
+      uniforms.enableFilterZ.value
+    );
+  }
+  
+  // Function to make a layer the one shown in the GUI
+  function setActiveLayer(layer) {
+    activeLayer = layer;
+    
     if (currentGUI) {
       currentGUI.destroy();
       currentGUI = null;
     }
-    
-    // Remove existing XYZ widget if any
-    if (currentXYZWidget) {
-      currentXYZWidget.remove();
-      currentXYZWidget = null;
+    if (layer) {
+      buildLayerGUI(layer);
+      fileNameDisplay.textContent = layer.name;
+      fileNameDisplay.style.display = 'inline-block';
     }
     
-    // Remove existing bounding box if any
-    if (filterBoundingBox) {
-      scene.remove(filterBoundingBox);
-      filterBoundingBox.geometry.dispose();
-      filterBoundingBox.material.dispose();
-      filterBoundingBox = null;
-    }
+    refreshBoundingBox();
+    renderLayerPanel();
+    updateClusterPanel();
+    updateLabelPanel();
+    updateLegend();
+    scheduleLevelOfDetail();
+    render();
+  }
+  
+  // Function to add a layer to the scene, at `index` when restoring one
+  function addLayer(layer, index = layers.length) {
+    layers.splice(index, 0, layer);
+    scene.add(layer.points);
+    if (!sceneOrigin) sceneOrigin = layer.points.userData.origin;
     
-    // Remove all existing point clouds (except markers)
-    const pointsToRemove = scene.children.filter(child => 
-      child.type === 'Points' && 
-      child !== hoverMarker && 
-      child !== selectionMarker
-    );
-    pointsToRemove.forEach(points => {
-      scene.remove(points);
-      if (points.geometry) points.geometry.dispose();
-      if (points.material) points.material.dispose();
-    });
+    if (!currentXYZWidget) createXYZWidget();
+    measurePanel.style.display = 'flex';
+    selectionPanel.style.display = 'flex';
+    setActiveLayer(layer);
+    updateSelectionCount();
+    
+    // Show buttons
+    deleteButton.style.display = 'inline-block';
+    exportButton.style.display = 'inline-block';
+    exportFormatSelect.style.display = 'inline-block';
+    exportScopeSelect.style.display = 'inline-block';
+    exportFrameSelect.style.display = 'inline-block';
+  }
+  
+  // Function to remove a layer with its helpers
+  function removeLayer(layer) {
+    const index = layers.indexOf(layer);
+    if (index === -1) return;
+    layers.splice(index, 1);
+    
+    scene.remove(layer.points);
+    layer.points.geometry.dispose();
+    layer.points.material.dispose();
     
     // Hide markers
     hoverMarker.visible = false;
     selectionMarker.visible = false;
     
-    loader.load(url, function (points) {
-      // Update file name display
-      const fileNameDisplay = document.getElementById('file-name-display');
-      if (fileNameDisplay && filename) {
-        fileNameDisplay.textContent = filename;
-        fileNameDisplay.style.display = 'inline-block';
+    if (layers.length === 0) {
+      if (tileStreamer.tileSets.length === 0) sceneOrigin = null;
+      
+      // Remove XYZ widget
+      if (currentXYZWidget) {
+        currentXYZWidget.remove();
+        currentXYZWidget = null;
       }
       
-      processPCDPoints(points);
+      // Clear file name and hide buttons
+      fileNameDisplay.textContent = '';
+      fileNameDisplay.style.display = 'none';
+      deleteButton.style.display = 'none';
+      exportButton.style.display = 'none';
+      exportFormatSelect.style.display = 'none';
+      exportScopeSelect.style.display = 'none';
+      exportFrameSelect.style.display = 'none';
+      measurePanel.style.display = 'none';
+      selectionPanel.style.display = 'none';
+    }
+    updateSelectionCount();
+    
+    if (activeLayer === layer || layers.length === 0) {
+      setActiveLayer(layers[layers.length - 1] || null);
+    } else {
+      renderLayerPanel();
+      render();
+    }
+  }
+  
+  // Function to list layers with visibility toggles in the layer panel
+  function renderLayerPanel() {
+    layerPanel.innerHTML = '';
+    layerPanel.style.display = layers.length + tileStreamer.tileSets.length > 0 ? 'flex' : 'none';
+    
+    layers.forEach(layer => {
+      const row = document.createElement('div');
+      row.className = 'layer-row' + (layer === activeLayer ? ' active' : '');
+      
+      const visible = document.createElement('input');
+      visible.type = 'checkbox';
+      visible.checked = layer.points.visible;
+      visible.title = 'Show layer';
+      visible.addEventListener('change', () => {
+        layer.points.visible = visible.checked;
+        scheduleLevelOfDetail();
+        render();
+      });
+      
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = layer.name;
+      name.title = `${layer.name} (${layer.cloud.numPoints} points)`;
+      name.addEventListener('click', () => setActiveLayer(layer));
+      
+      const remove = document.createElement('button');
+      remove.className = 'layer-remove';
+      remove.textContent = '✕';
+      remove.title = 'Remove layer';
+      remove.addEventListener('click', () => deleteLayer(layer));
+      
+      row.append(visible, name, remove);
+      layerPanel.appendChild(row);
+    });
+    
+    // Tile sets are shown only, with how much of them is loaded
+    tileStatus.clear();
+    tileStreamer.tileSets.forEach(tileSet => {
+      const row = document.createElement('div');
+      row.className = 'layer-row tiles';
+      
+      const visible = document.createElement('input');
+      visible.type = 'checkbox';
+      visible.checked = tileSet.group.visible;
+      visible.title = 'Show tile set';
+      visible.addEventListener('change', () => {
+        tileSet.group.visible = visible.checked;
+        scheduleLevelOfDetail();
+      });
+      
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = tileSet.name;
+      name.title = `${tileSet.name} (tile set, ${tileSet.header.numPoints} points)`;
+      
+      const status = document.createElement('span');
+      status.className = 'layer-status';
+      tileStatus.set(tileSet, status);
+      
+      const remove = document.createElement('button');
+      remove.className = 'layer-remove';
+      remove.textContent = '✕';
+      remove.title = 'Close tile set';
+      remove.addEventListener('click', () => removeTileSet(tileSet));
+      
+      row.append(visible, name, status, remove);
+      layerPanel.appendChild(row);
+    });
+    updateTileStatus();
+  }
+  
+  // Status of each tile set row: share of the points loaded, or the error
+  const tileStatus = new Map();
+  function updateTileStatus() {
+    tileStatus.forEach((element, tileSet) => {
+      const share = Math.round((tileSet.loadedPoints / tileSet.header.numPoints) * 100);
+      element.textContent = tileSet.failed ? 'read error' : `${share}%`;
+      element.title = tileSet.failed || `${tileSet.loadedPoints} of ${tileSet.header.numPoints} points loaded`;
+    });
+  }
+  
+  // Level of detail: whenever the view changes, the octree nodes drawn for
+  // every visible layer and tile set are chosen together within the point
+  // budget, largest on screen first. Layers draw their nodes through an index
+  // buffer; the geometry keeps every point, so filters, selection and exports
+  // still see the full cloud. Tile sets read the chosen nodes from disk and
+  // drop unused ones past the memory budget, so they never need to fit in
+  // GPU memory.
+  let lodFrame = 0;
+  function scheduleLevelOfDetail() {
+    if (lodFrame) return;
+    lodFrame = requestAnimationFrame(() => {
+      lodFrame = 0;
+      updateLevelOfDetail();
+      render();
+    });
+  }
+  
+  const lodFrustum = new THREE.Frustum();
+  const lodBox = new THREE.Box3();
+  const lodSphere = new THREE.Sphere();
+  function updateLevelOfDetail() {
+    const shown = layers.filter(layer => layer.points.visible && layer.points.geometry.userData.octree);
+    const shownTiles = tileStreamer.tileSets.filter(tileSet => tileSet.group.visible);
+    camera.updateMatrixWorld();
+    lodFrustum.setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    // Layers first, then tile sets
+    const objects = [...shown.map(layer => layer.points), ...shownTiles.map(tileSet => tileSet.group)];
+    objects.forEach(object => object.updateMatrixWorld());
+    
+    const trees = [
+      ...shown.map(layer => layer.points.geometry.userData.octree),
+      ...shownTiles.map(tileSet => tileSet.tree),
+    ];
+    const chosen = selectNodes(trees, viewOptions.pointBudget, (t, node) => {
+      lodBox.min.fromArray(node.min);
+      lodBox.max.set(node.min[0] + node.size, node.min[1] + node.size, node.min[2] + node.size);
+      lodBox.applyMatrix4(objects[t].matrixWorld);
+      if (!lodFrustum.intersectsBox(lodBox)) return 0;
+      // Apparent size: radius over distance from the camera
+      lodBox.getBoundingSphere(lodSphere);
+      const distance = lodSphere.center.distanceTo(camera.position) - lodSphere.radius;
+      return lodSphere.radius / Math.max(distance, camera.near);
+    });
+    
+    shown.forEach((layer, t) => {
+      const geometry = layer.points.geometry;
+      const key = chosen[t].join(',');
+      if (geometry.userData.lodKey === key) return;
+      geometry.userData.lodKey = key;
+      
+      const octree = trees[t];
+      const total = chosen[t].reduce((sum, node) => sum + octree.nodes[node].count, 0);
+      if (total === layer.cloud.numPoints) {
+        geometry.setIndex(null);
+        geometry.setDrawRange(0, Infinity);
+        return;
+      }
+      // One index buffer per geometry, updated in place; a new budget needs
+      // a bigger one, and disposing the geometry frees the old GPU buffer
+      const capacity = Math.min(viewOptions.pointBudget, layer.cloud.numPoints);
+      let index = geometry.userData.lodIndex;
+      if (!index || index.count !== capacity) {
+        if (index) {
+          geometry.setIndex(index);
+          geometry.dispose();
+        }
+        index = new THREE.BufferAttribute(new Uint32Array(capacity), 1);
+        index.setUsage(THREE.DynamicDrawUsage);
+        geometry.userData.lodIndex = index;
+      }
+      gatherIndices(octree, chosen[t], index.array);
+      index.needsUpdate = true;
+      geometry.setIndex(index);
+      geometry.setDrawRange(0, total);
+    });
+    
+    tileStreamer.update(
+      new Map(shownTiles.map((tileSet, k) => [tileSet, chosen[shown.length + k]])),
+      Math.max(viewOptions.memoryBudget, viewOptions.pointBudget),
+    );
+    updateTileStatus();
+  }
+  
+  // Tile sets streamed from disk (see tile-layer.js); each read node brings
+  // a new level-of-detail pass, which shows it
+  const tileStreamer = createTileStreamer({
+    onLoad: () => scheduleLevelOfDetail(),
+  });
+  
+  // Function to open a .pcdtiles file. Only the header is read here; the
+  // level of detail streams the nodes.
+  async function loadTileSet(file) {
+    let cancelled = false;
+    const progress = showLoadProgress(loadProgressContainer, file.name, () => {
+      cancelled = true;
+      progress.close();
+    });
+    progress.update('Reading tile set header');
+    try {
+      const tileSet = await openTileSet(file);
+      if (cancelled) return;
+      if (!sceneOrigin) sceneOrigin = tileSet.header.origin;
+      tileSet.group.position.fromArray(tileSet.header.origin.map((v, axis) => v - sceneOrigin[axis]));
+      scene.add(tileSet.group);
+      tileStreamer.add(tileSet);
+      renderLayerPanel();
+      scheduleLevelOfDetail();
+      progress.close();
+    } catch (err) {
+      console.error('Failed to open tile set:', err);
+      progress.fail(`Could not load ${file.name}: ${err.message}`);
+    }
+  }
+  
+  function removeTileSet(tileSet) {
+    tileStreamer.remove(tileSet);
+    if (layers.length === 0 && tileStreamer.tileSets.length === 0) sceneOrigin = null;
+    renderLayerPanel();
+    render();
+  }
+  
+  // Function to load and display a point cloud file as a new layer. The file
+  // is read and parsed in a worker while a progress panel is shown.
+  async function loadPCDFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'pcdtiles') return loadTileSet(file);
+    const textOptions = TEXT_EXTENSIONS.includes(extension) ? await askTextImportOptions(file) : null;
+    // Import dialog was cancelled
+    if (TEXT_EXTENSIONS.includes(extension) && !textOptions) return;
+    
+    let job = null;
+    const progress = showLoadProgress(loadProgressContainer, file.name, () => job.cancel());
+    job = parseInWorker({
+      file,
+      extension,
+      textOptions,
+      origin: sceneOrigin,
+      onProgress: progress.update,
     });
+    
+    try {
+      const result = await job.promise;
+      if (!result) {
+        console.log(`Loading ${file.name} cancelled`);
+        progress.close();
+        return;
+      }
+      progress.update('Creating layer');
+      const points = createPointsFromCloud(result.cloud, result.prepared);
+      addLayer(processPCDPoints(points, file.name));
+      applyPendingSession();
+      progress.close();
+    } catch (err) {
+      console.error('Failed to load point cloud:', err);
+      progress.fail(`Could not load ${file.name}: ${err.message}`);
+    }
+  }
+  
+  // Function to build renderable points from a parsed cloud. The cloud itself
+  // (with every original field) is kept in userData for export. `prepared`
+  // comes from the parse worker for new files.
+  function createPointsFromCloud(cloud, prepared = preparePoints(cloud, sceneOrigin)) {
+    // Positions are recentred in double precision before converting to
+    // float32, so large map coordinates (e.g. UTM eastings in LAS files) keep
+    // their resolution. The first layer fixes the origin for every layer
+    // loaded after it.
+    if (!sceneOrigin) sceneOrigin = prepared.origin;
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(prepared.positions, 3));
+    if (prepared.colors) geometry.setAttribute('color', new THREE.BufferAttribute(prepared.colors, 3));
+    // Normals read from the file or estimated earlier
+    if (prepared.normals) geometry.setAttribute('normal', new THREE.BufferAttribute(prepared.normals, 3));
+    
+    const points = new THREE.Points(geometry);
+    points.userData.cloud = cloud;
+    points.userData.origin = prepared.origin;
+    points.userData.bounds = prepared.bounds;
+    geometry.userData.octree = prepared.octree;
+    return points;
   }
   
   // Handle file input
   const fileInput = document.getElementById('pcd-file-input');
   const deleteButton = document.getElementById('delete-pcd-button');
   const exportButton = document.getElementById('export-pcd-button');
+  const exportFormatSelect = document.getElementById('export-format-select');
+  const exportScopeSelect = document.getElementById('export-scope-select');
+  const exportFrameSelect = document.getElementById('export-frame-select');
   const fileNameDisplay = document.getElementById('file-name-display');
+  const loadProgressContainer = document.getElementById('load-progress');
+  const layerPanel = document.getElementById('layer-panel');
+  const historyPanel = document.getElementById('history-panel');
+  const historyList = document.getElementById('history-list');
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
   
   fileInput.addEventListener('change', function(e) {
+    const files = Array.from(e.target.files);
+    // Load one file after the other so text import dialogs don't overlap
+    files.reduce(
+      (previous, file) => previous.then(() => loadPCDFile(file)),
+      Promise.resolve()
+    );
+    // Allow picking the same file again (e.g. after cancelling an import)
+    fileInput.value = '';
+  });
+  
+  // Session buttons
+  const saveSessionButton = document.getElementById('save-session-button');
+  const sessionFileInput = document.getElementById('session-file-input');
+  const copyLinkButton = document.getElementById('copy-link-button');
+  
+  saveSessionButton.addEventListener('click', () => {
+    const json = sessionToJSON(captureSession());
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'session.json');
+  });
+  
+  sessionFileInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const url = URL.createObjectURL(file);
-      loadPCDFile(url, file.name);
-      // Show buttons
-      deleteButton.style.display = 'inline-block';
-      exportButton.style.display = 'inline-block';
+    sessionFileInput.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => {
+        pendingSession = parseSession(text);
+        applyPendingSession();
+      })
+      .catch(err => alert(`Could not load session: ${err.message}`));
+  });
+  
+  copyLinkButton.addEventListener('click', () => {
+    // (`history` here is the edit history)
+    window.history.replaceState(null, '', sessionToHash(captureSession()));
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(location.href).catch(() => {});
     }
+    copyLinkButton.textContent = '✓ Copied';
+    setTimeout(() => {
+      copyLinkButton.textContent = '🔗 Link';
+    }, 1500);
   });
   
   // Handle delete button
   deleteButton.addEventListener('click', function() {
-    // Remove GUI
-    if (currentGUI) {
-      currentGUI.destroy();
-      currentGUI = null;
-    }
-    
-    // Remove XYZ widget
-    if (currentXYZWidget) {
-      currentXYZWidget.remove();
-      currentXYZWidget = null;
-    }
-    
-    // Remove bounding box
-    if (filterBoundingBox) {
-      scene.remove(filterBoundingBox);
-      filterBoundingBox.geometry.dispose();
-      filterBoundingBox.material.dispose();
-      filterBoundingBox = null;
-    }
-    
-    // Remove all point clouds from scene (except markers)
-    const pointsToRemove = scene.children.filter(child => 
-      child.type === 'Points' && 
-      child !== hoverMarker && 
-      child !== selectionMarker
-    );
-    pointsToRemove.forEach(points => {
-      scene.remove(points);
-      if (points.geometry) points.geometry.dispose();
-      if (points.material) points.material.dispose();
-    });
-    
-    // Hide markers
-    hoverMarker.visible = false;
-    selectionMarker.visible = false;
-    
-    // Clear file input and hide buttons
-    fileInput.value = '';
-    fileNameDisplay.textContent = '';
-    fileNameDisplay.style.display = 'none';
-    deleteButton.style.display = 'none';
-    exportButton.style.display = 'none';
-    
-    // Force render empty scene
-    renderer.render(scene, camera);
+    if (activeLayer) deleteLayer(activeLayer);
   });
   
   // Handle export button
   exportButton.addEventListener('click', function() {
-    // Find the current point cloud
-    const pointCloud = scene.children.find(child => 
-      child.type === 'Points' && 
-      child !== hoverMarker && 
-      child !== selectionMarker
-    );
-    
-    if (!pointCloud) {
+    if (!activeLayer) {
       alert('No point cloud loaded!');
       return;
     }
     
-    exportFilteredPCD(pointCloud);
+    if (exportScopeSelect.value === 'merged') {
+      exportMergedLayers();
+    } else {
+      exportFilteredPCD(activeLayer);
+    }
   });
   
-  // Function to export filtered PCD
-  function exportFilteredPCD(points) {
-    const geometry = points.geometry;
-    const material = points.material;
-    const uniforms = material.uniforms;
+  // Function returning a test for whether point i of a layer is shown: not
+  // deleted and passing the axis and field filters in the displayed frame
+  // (`includeHidden` also accepts points of segments switched off)
+  function visiblePointTest(layer, includeHidden = false) {
+    const points = layer.points;
+    const uniforms = points.material.uniforms;
+    const positions = points.geometry.attributes.position.array;
+    const pointState = layer.pointState;
+    const hidden = layer.hidden;
     
-    const positions = geometry.attributes.position.array;
-    const colors = geometry.attributes.color ? geometry.attributes.color.array : null;
-    
-    const enableFilterX = uniforms.enableFilterX.value;
-    const enableFilterY = uniforms.enableFilterY.value;
-    const enableFilterZ = uniforms.enableFilterZ.value;
-    const minX = uniforms.marginMinX.value;
-    const maxX = uniforms.marginMaxX.value;
-    const minY = uniforms.marginMinY.value;
-    const maxY = uniforms.marginMaxY.value;
-    const minZ = uniforms.marginMinZ.value;
-    const maxZ = uniforms.marginMaxZ.value;
-    
-    // Filter points based on current filter settings
-    const filteredPoints = [];
-    const numPoints = positions.length / 3;
+    // Same tests as the command-line tool (see filter.js)
+    const range = (Axis) => (uniforms[`enableFilter${Axis}`].value
+      ? [uniforms[`marginMin${Axis}`].value, uniforms[`marginMax${Axis}`].value]
+      : null);
+    const axisTest = createAxisTest({ x: range('X'), y: range('Y'), z: range('Z') });
+    const filterField = uniforms.enableFilterField.value
+      ? findField(layer.cloud, layer.scalarField)
+      : null;
+    const fieldTest = filterField
+      ? createFieldTest(filterField, [uniforms.marginMinField.value, uniforms.marginMaxField.value])
+      : null;
     
-    for (let i = 0; i < numPoints; i++) {
-      const x = positions[i * 3];
-      const y = positions[i * 3 + 1];
-      const z = positions[i * 3 + 2];
+    const crop = cropTool.createTest();
+    
+    points.updateMatrixWorld();
+    const e = points.matrixWorld.elements;
+    
+    return (i) => {
+      if (pointState[i] === POINT_REMOVED) return false;
+      if (!includeHidden && hidden[i]) return false;
       
-      // Apply filters
-      if (enableFilterX && (x < minX || x > maxX)) continue;
-      if (enableFilterY && (y < minY || y > maxY)) continue;
-      if (enableFilterZ && (z < minZ || z > maxZ)) continue;
+      const px = positions[i * 3];
+      const py = positions[i * 3 + 1];
+      const pz = positions[i * 3 + 2];
+      const x = e[0] * px + e[4] * py + e[8] * pz + e[12];
+      const y = e[1] * px + e[5] * py + e[9] * pz + e[13];
+      const z = e[2] * px + e[6] * py + e[10] * pz + e[14];
       
-      const point = { x, y, z };
-      if (colors) {
-        point.r = Math.round(colors[i * 3] * 255);
-        point.g = Math.round(colors[i * 3 + 1] * 255);
-        point.b = Math.round(colors[i * 3 + 2] * 255);
-      }
-      filteredPoints.push(point);
-    }
+      // Apply filters
+      if (axisTest && !axisTest(x, y, z)) return false;
+      if (fieldTest && !fieldTest(i)) return false;
+      if (crop && !crop(x, y, z)) return false;
+      return true;
+    };
+  }
+  
+  // Transform from the file coordinates of a layer to the map frame as
+  // displayed: the layer transform without the recentring (the scene is
+  // recentred on sceneOrigin)
+  function layerFileMatrix(layer) {
+    const toScene = new THREE.Matrix4().makeTranslation(-sceneOrigin[0], -sceneOrigin[1], -sceneOrigin[2]);
+    const fromScene = new THREE.Matrix4().makeTranslation(sceneOrigin[0], sceneOrigin[1], sceneOrigin[2]);
+    layer.points.updateMatrixWorld();
+    return fromScene.multiply(layer.points.matrixWorld).multiply(toScene);
+  }
+  
+  // Transform from the file coordinates of a layer to the displayed frame
+  function layerDisplayMatrix(layer) {
+    const origin = layer.points.userData.origin;
+    layer.points.updateMatrixWorld();
+    return layer.points.matrixWorld.clone()
+      .multiply(new THREE.Matrix4().makeTranslation(-origin[0], -origin[1], -origin[2]));
+  }
+  
+  // Function to work out how a layer is written in an export frame:
+  // 'original' keeps the file coordinates, 'displayed' writes them recentred
+  // and transformed as on screen, and 'map' applies the layer transform to
+  // the file coordinates (for merged layers, which share one VIEWPOINT).
+  // Returns `toWritten` (file → written coordinates) and the PCD VIEWPOINT,
+  // which is the pose taking the written points to the map frame as
+  // displayed, on top of the file's own VIEWPOINT, so viewers that apply
+  // VIEWPOINT (pcl_viewer) show every export in the same place.
+  function exportFrameOf(layer, frame) {
+    const toMap = layerFileMatrix(layer);
+    const toWritten = {
+      original: () => new THREE.Matrix4(),
+      displayed: () => layerDisplayMatrix(layer),
+      map: () => toMap.clone(),
+    }[frame]();
     
-    if (filteredPoints.length === 0) {
-      alert('No points remain after filtering!');
-      return;
+    const [tx, ty, tz, qw, qx, qy, qz] = layer.cloud.viewpoint || [0, 0, 0, 1, 0, 0, 0];
+    const sensor = new THREE.Matrix4().compose(
+      new THREE.Vector3(tx, ty, tz),
+      new THREE.Quaternion(qx, qy, qz, qw),
+      new THREE.Vector3(1, 1, 1)
+    );
+    const pose = toMap.multiply(sensor).multiply(toWritten.clone().invert());
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    pose.decompose(position, quaternion, new THREE.Vector3());
+    return {
+      toWritten,
+      viewpoint: [...position.toArray(), quaternion.w, quaternion.x, quaternion.y, quaternion.z],
+    };
+  }
+  
+  // Function to collect the points of a layer that are shown, with every
+  // original field, written in `frame` (see exportFrameOf). With
+  // `subset(i)` only those points are taken, whether their segment is
+  // hidden or not.
+  function collectFilteredCloud(layer, subset = null, frame = exportFrameSelect.value) {
+    const points = layer.points;
+    const positions = points.geometry.attributes.position.array;
+    const isShown = visiblePointTest(layer, subset !== null);
+    
+    // Collect indices of points that pass the current filter settings
+    const numPoints = positions.length / 3;
+    const kept = new Uint32Array(numPoints);
+    let numKept = 0;
+    for (let i = 0; i < numPoints; i++) {
+      if (subset && !subset(i)) continue;
+      if (isShown(i)) kept[numKept++] = i;
     }
     
-    // Generate PCD file content
-    const hasColor = filteredPoints[0].r !== undefined;
-    let pcdContent = `# .PCD v0.7 - Point Cloud Data file format
-VERSION 0.7
-FIELDS x y z${hasColor ? ' rgb' : ''}
-SIZE 4 4 4${hasColor ? ' 4' : ''}
-TYPE F F F${hasColor ? ' U' : ''}
-COUNT 1 1 1${hasColor ? ' 1' : ''}
-WIDTH ${filteredPoints.length}
-HEIGHT 1
-VIEWPOINT 0 0 0 1 0 0 0
-POINTS ${filteredPoints.length}
-DATA ascii
-`;
+    if (numKept === 0) return null;
     
-    // Add point data
-    filteredPoints.forEach(pt => {
-      if (hasColor) {
-        // Pack RGB into single uint32
-        const rgb = (pt.r << 16) | (pt.g << 8) | pt.b;
-        pcdContent += `${pt.x} ${pt.y} ${pt.z} ${rgb}\n`;
-      } else {
-        pcdContent += `${pt.x} ${pt.y} ${pt.z}\n`;
+    const exported = subsetCloud(layer.cloud, kept.subarray(0, numKept));
+    const { toWritten, viewpoint } = exportFrameOf(layer, frame);
+    exported.viewpoint = viewpoint;
+    if (frame === 'original') return exported;
+    
+    // From the file values in double precision, not the float32 positions
+    const position = new THREE.Vector3();
+    const fields = ['x', 'y', 'z'].map(name => findField(exported, name));
+    for (let k = 0; k < numKept; k++) {
+      fields.forEach((field, axis) => position.setComponent(axis, field.values[k * field.count]));
+      position.applyMatrix4(toWritten);
+      fields.forEach((field, axis) => {
+        field.values[k * field.count] = position.getComponent(axis);
+      });
+    }
+    
+    // Normals turn with the layer
+    const normalFields = findNormalFields(exported);
+    if (normalFields) {
+      const rotation = new THREE.Matrix3().getNormalMatrix(toWritten);
+      const normal = new THREE.Vector3();
+      for (let k = 0; k < numKept; k++) {
+        normalFields.forEach((field, axis) => normal.setComponent(axis, field.values[k * field.count]));
+        normal.applyMatrix3(rotation);
+        normalFields.forEach((field, axis) => {
+          field.values[k * field.count] = normal.getComponent(axis);
+        });
       }
-    });
+    }
+    return exported;
+  }
+  
+  // Function to encode a cloud in the chosen export format and download it
+  function downloadCloud(cloud, baseName) {
+    // Export format is "<extension>/<data format>", e.g. "ply/ascii"
+    const [extension, format] = exportFormatSelect.value.split('/');
+    const parts = cloudEncoders[extension](cloud, format);
     
     // Create download
-    const blob = new Blob([pcdContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'filtered_' + (fileNameDisplay.textContent || 'pointcloud.pcd');
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const filename = `${baseName}.${extension}`;
+    downloadBlob(new Blob(parts, { type: 'application/octet-stream' }), filename);
+    
+    console.log(`Exported ${cloud.numPoints} points to ${filename} (${format})`);
+  }
+  
+  // Function to export filtered PCD
+  function exportFilteredPCD(layer, frame = exportFrameSelect.value) {
+    const exported = collectFilteredCloud(layer, null, frame);
+    if (!exported) {
+      alert('No points remain after filtering!');
+      return;
+    }
     
-    console.log(`Exported ${filteredPoints.length} filtered points out of ${numPoints} total points`);
+    const baseName = layer.name.replace(/\.[^.]+$/, '');
+    downloadCloud(exported, `filtered_${baseName}`);
+    console.log(`Kept ${exported.numPoints} of ${layer.cloud.numPoints} points of ${layer.name}`);
+  }
+  
+  // Function to export part of a layer (e.g. plane inliers) as its own file
+  function exportLayerSubset(layer, subset, prefix) {
+    const exported = collectFilteredCloud(layer, subset);
+    if (!exported) {
+      alert('No points to export!');
+      return;
+    }
+    const baseName = layer.name.replace(/\.[^.]+$/, '');
+    downloadCloud(exported, `${prefix}_${baseName}`);
   }
   
-  // Function to process loaded PCD points
-  function processPCDPoints(points) {
-    // Center the point cloud geometry at origin (0,0,0)
-    points.geometry.center();
+  // Function to export every visible layer, filtered, as one cloud. Layers
+  // can be moved differently, so in the original frame their transforms are
+  // applied (which leaves unmoved layers in their file coordinates).
+  function exportMergedLayers() {
+    const frame = exportFrameSelect.value === 'original' ? 'map' : 'displayed';
+    const clouds = layers
+      .filter(layer => layer.points.visible)
+      .map(layer => collectFilteredCloud(layer, null, frame))
+      .filter(Boolean);
+    
+    if (clouds.length === 0) {
+      alert('No points remain after filtering!');
+      return;
+    }
     
-    // Reset all transformations: XYZ position and RPY (Roll, Pitch, Yaw) rotation
+    downloadCloud(mergeClouds(clouds), 'merged_layers');
+  }
+  
+  // Function to set up a loaded cloud as a new layer
+  function processPCDPoints(points, name) {
+    // Geometry is already centred on the shared scene origin by
+    // createPointsFromCloud. Reset all transformations: XYZ position and
+    // RPY (Roll, Pitch, Yaw) rotation
     points.position.set(0, 0, 0);
     points.rotation.set(0, 0, 0);
     points.scale.set(1, 1, 1);
 
-    // Calculate actual min/max values from the loaded PCD
-    const positions = points.geometry.attributes.position.array;
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    let minZ = Infinity, maxZ = -Infinity;
-    
-    for (let i = 0; i < positions.length; i += 3) {
-      const x = positions[i];
-      const y = positions[i + 1];
-      const z = positions[i + 2];
-      
-      if (x < minX) minX = x;
-      if (x > maxX) maxX = x;
-      if (y < minY) minY = y;
-      if (y > maxY) maxY = y;
-      if (z < minZ) minZ = z;
-      if (z > maxZ) maxZ = z;
-    }
+    // Actual min/max values of the loaded cloud (see points.js)
+    const { min, max } = points.userData.bounds;
+    const [minX, minY, minZ] = min;
+    const [maxX, maxY, maxZ] = max;
     
     // Add small padding to the range
     const paddingX = (maxX - minX) * 0.05;
@@ -548,188 +1229,1865 @@ DATA ascii
       z: `[${minZ.toFixed(2)}, ${maxZ.toFixed(2)}]`
     });
 
-    // Ensure a 'color' attribute exists for the shader
     const geom = points.geometry;
-    const hasRgbAttr = !!geom.getAttribute("rgb");
-    const hasColorAttr = !!geom.getAttribute("color");
-    if (!hasColorAttr && hasRgbAttr) {
-      const rgbAttr = geom.getAttribute("rgb");
-      const cloned = rgbAttr.clone ? rgbAttr.clone() : new THREE.Float32BufferAttribute(rgbAttr.array, rgbAttr.itemSize || 3);
-      geom.setAttribute("color", cloned);
-    }
+    const finalHasColor = !!geom.getAttribute('color');
 
-    // Normalize/unpack color attribute
-    const finalHasColor = !!geom.getAttribute("color");
-    if (finalHasColor) {
-      let colorAttr = geom.getAttribute('color');
-      if (colorAttr.itemSize === 1) {
-        const n = colorAttr.count;
-        const src = colorAttr.array;
-        const srcUint = new Uint32Array(src.buffer, src.byteOffset, src.byteLength / 4);
-        const dst = new Float32Array(n * 3);
-        for (let i = 0; i < n; i++) {
-          const packed = srcUint[i];
-          const r = (packed >> 16) & 0xff;
-          const g = (packed >> 8) & 0xff;
-          const b = packed & 0xff;
-          dst[i * 3] = r / 255;
-          dst[i * 3 + 1] = g / 255;
-          dst[i * 3 + 2] = b / 255;
-        }
-        geom.setAttribute('color', new THREE.Float32BufferAttribute(dst, 3));
-        colorAttr = geom.getAttribute('color');
-      } else if (colorAttr.itemSize === 3) {
-        const arr = colorAttr.array;
-        let maxv = 0;
-        for (let i = 0, L = arr.length; i < L; i++) {
-          if (arr[i] > maxv) maxv = arr[i];
-        }
-        if (maxv > 1.0) {
-          for (let i = 0, L = arr.length; i < L; i++) arr[i] = arr[i] / 255.0;
-          colorAttr.needsUpdate = true;
-        }
-      }
-    }
+    const cloud = points.userData.cloud;
+    const layer = {
+      id: nextLayerId++,
+      name,
+      points,
+      cloud,
+      defaults: { x: defaultX, y: defaultY, z: defaultZ },
+      scalarFields: scalarFieldsOf(cloud),
+      scalarField: null,
+      fieldRange: [0, 0],
+      // Selected / deleted flags per point (see selection.js)
+      pointState: new Uint8Array(cloud.numPoints),
+      // Voxel-grid settings and the last before → after point counts
+      voxel: {
+        leafX: 0.05,
+        leafY: 0.05,
+        leafZ: 0.05,
+        mode: 'centroid',
+        points: String(cloud.numPoints),
+      },
+      // Outlier removal settings and the last preview result
+      outliers: {
+        method: 'statistical',
+        k: 8,
+        stdMul: 1.0,
+        radius: 0.1,
+        minNeighbors: 3,
+        found: '-',
+        // State of each previewed point before the preview, to put back
+        prior: new Map(),
+      },
+      // RANSAC settings and the planes found, with their display modes
+      planes: {
+        maxPlanes: 1,
+        threshold: 0.05,
+        iterations: 200,
+        minInliers: 100,
+        results: [],
+        remainderMode: 'show',
+      },
+      hasColor: finalHasColor,
+      // What the points are coloured by: 'rgb', 'x', 'y', 'z', 'distance'
+      // or a field name, and the colormap for everything but RGB
+      coloring: {
+        by: finalHasColor ? 'rgb' : 'z',
+        colormap: 'viridis',
+      },
+      // Normal estimation settings and the normal lines display
+      normals: {
+        method: 'knn',
+        k: 16,
+        radius: 0.1,
+        showLines: false,
+        lineLength: 0.05,
+      },
+      normalLines: null,
+      // Dataset whose region presets are offered, and the chosen region
+      presets: {
+        dataset: datasetNameOf(name),
+        region: '',
+        newName: '',
+      },
+      // ICP settings against another layer, and the run in progress
+      registration: {
+        target: null,
+        method: 'point-to-plane',
+        maxDistance: 1.0,
+        maxIterations: 50,
+        status: 'Not run',
+        picking: false,
+        pairs: [],
+        running: false,
+        // Moved by ICP or picked pairs, not yet applied
+        pending: false,
+      },
+      // Euclidean clustering settings and the clusters found
+      clusters: {
+        tolerance: 0.2,
+        minSize: 50,
+        maxSize: 1000000,
+        results: [],
+      },
+    };
+    geom.setAttribute('pointState', new THREE.BufferAttribute(layer.pointState, 1));
+    resetSegments(layer);
+    paintSegments(layer);
+    selectScalarField(layer, layer.scalarFields.length > 0 ? layer.scalarFields[0].name : null);
 
     const material = new THREE.ShaderMaterial({
       vertexShader: vtxShader,
       fragmentShader: fragShader,
       uniforms: {
         size: { value: 1.0 },
+        tint: { value: new THREE.Color(1, 1, 1) },
         enableFilterX: { value: true },
         enableFilterY: { value: true },
         enableFilterZ: { value: false },
-        useRgb: { value: finalHasColor },
+        colorSource: { value: 0 },
+        colormap: { value: null },
+        categorical: { value: false },
+        colormapSize: { value: 256 },
+        colorMin: { value: 0 },
+        colorMax: { value: 1 },
+        originOffset: { value: new THREE.Vector3(...points.userData.origin) },
         rgbBoost: { value: 2.0 },
+        useSegmentColors: { value: true },
+        useLighting: { value: false },
         marginMinX: { value: defaultX[0] },
         marginMaxX: { value: defaultX[1] },
         marginMinY: { value: defaultY[0] },
         marginMaxY: { value: defaultY[1] },
         marginMinZ: { value: defaultZ[0] },
         marginMaxZ: { value: defaultZ[1] },
+        enableFilterField: { value: false },
+        marginMinField: { value: layer.fieldRange[0] },
+        marginMaxField: { value: layer.fieldRange[1] },
+        ...cropTool.uniforms,
       },
     });
 
     points.material = material;
-    scene.add(points);
-
-    // Shift+Left drag handler for Z-axis rotation
-    renderer.domElement.addEventListener('pointerdown', (e) => {
-      if (e.button === 0 && e.shiftKey) {
-        isShiftDragging = true;
-        lastMouseX = e.clientX;
-        controls.enabled = false;
-      }
-    });
-
-    renderer.domElement.addEventListener('pointerup', (e) => {
-      if (isShiftDragging) {
-        isShiftDragging = false;
-        controls.enabled = true;
+    applyColoring(layer);
+    layer.committedState = snapshotLayer(layer);
+    return layer;
+  }
+  
+  // Per-point fields that can drive the field filter
+  function scalarFieldsOf(cloud) {
+    return cloud.fields.filter(f => 
+      f.count === 1 && !['x', 'y', 'z', 'rgb', 'rgba'].includes(f.name)
+    );
+  }
+  
+  // Function to swap the cloud shown by a layer (downsampling, outlier
+  // removal). Filters and transform are kept, deleted points are gone and
+  // the swap is undoable.
+  // `pointState` carries point states over to the new cloud (all normal
+  // when left out)
+  function replaceLayerCloud(layer, cloud, label, pointState = new Uint8Array(cloud.numPoints)) {
+    const before = {
+      cloud: layer.cloud,
+      geometry: layer.points.geometry,
+      pointState: layer.pointState,
+    };
+    const geometry = createPointsFromCloud(cloud).geometry;
+    geometry.setAttribute('pointState', new THREE.BufferAttribute(pointState, 1));
+    const after = { cloud, geometry, pointState };
+    
+    setLayerCloud(layer, after);
+    history.record({
+      label: `${layer.name}: ${label}`,
+      undo: () => setLayerCloud(layer, before),
+      redo: () => setLayerCloud(layer, after),
+    });
+  }
+  
+  function setLayerCloud(layer, { cloud, geometry, pointState }) {
+    // GPU buffers only; the geometry is re-uploaded if undo brings it back
+    layer.points.geometry.dispose();
+    layer.points.geometry = geometry;
+    layer.points.userData.cloud = cloud;
+    scheduleLevelOfDetail();
+    layer.cloud = cloud;
+    layer.pointState = pointState;
+    
+    resetSegments(layer);
+    paintSegments(layer);
+    updateNormalLines(layer);
+    layer.scalarFields = scalarFieldsOf(cloud);
+    const keepField = layer.scalarFields.some(f => f.name === layer.scalarField);
+    const fallback = layer.scalarFields.length > 0 ? layer.scalarFields[0].name : null;
+    selectScalarField(layer, keepField ? layer.scalarField : fallback);
+    if (!['rgb', 'x', 'y', 'z', 'distance'].includes(layer.coloring.by) && !findField(cloud, layer.coloring.by)) {
+      layer.coloring.by = layer.hasColor ? 'rgb' : 'z';
+    }
+    applyColoring(layer, false);
+    layer.committedState = snapshotLayer(layer);
+    
+    hoverMarker.visible = false;
+    selectionMarker.visible = false;
+    updateSelectionCount();
+    if (layer === activeLayer) {
+      setActiveLayer(layer);
+    } else {
+      renderLayerPanel();
+      render();
+    }
+  }
+  
+  // Indices of the points of a layer that were not deleted
+  function keptPointIndices(layer) {
+    const kept = [];
+    for (let i = 0; i < layer.pointState.length; i++) {
+      if (layer.pointState[i] !== POINT_REMOVED) kept.push(i);
+    }
+    return kept;
+  }
+  
+  // Function to replace a layer by its voxel-grid downsampled cloud
+  function downsampleLayer(layer) {
+    const { leafX, leafY, leafZ, mode } = layer.voxel;
+    const kept = keptPointIndices(layer);
+    const source = kept.length === layer.cloud.numPoints ? layer.cloud : subsetCloud(layer.cloud, kept);
+    
+    let reduced;
+    try {
+      reduced = voxelDownsample(source, [leafX, leafY, leafZ], mode);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    
+    layer.voxel.points = `${source.numPoints} → ${reduced.numPoints}`;
+    console.log(`Voxel downsampling ${layer.name}: ${layer.voxel.points} points`);
+    replaceLayerCloud(layer, reduced, `Voxel downsample (${leafX}, ${leafY}, ${leafZ})`);
+  }
+  
+  // Function to mark the points outlier removal would delete with the
+  // preview colour. Deleted points take no part; selected ones are
+  // selected again when the preview is cleared.
+  function previewOutliers(layer) {
+    clearOutlierPreview(layer);
+    const kept = keptPointIndices(layer);
+    const source = layer.points.geometry.attributes.position.array;
+    const positions = new Float32Array(kept.length * 3);
+    kept.forEach((i, k) => {
+      positions.set(source.subarray(i * 3, i * 3 + 3), k * 3);
+    });
+    
+    const settings = layer.outliers;
+    const outliers = settings.method === 'statistical'
+      ? statisticalOutliers(positions, settings.k, settings.stdMul)
+      : radiusOutliers(positions, settings.radius, settings.minNeighbors);
+    
+    let found = 0;
+    kept.forEach((i, k) => {
+      if (outliers[k]) {
+        settings.prior.set(i, layer.pointState[i]);
+        layer.pointState[i] = POINT_PREVIEW;
+        found++;
       }
     });
-
-    renderer.domElement.addEventListener('pointermove', (e) => {
-      if (isShiftDragging) {
-        const dx = e.clientX - lastMouseX;
-        const angle = dx * rotateSpeed;
-        
-        const zAxis = new THREE.Vector3(0, 0, 1);
-        camera.position.applyAxisAngle(zAxis, -angle);
-        camera.up.applyAxisAngle(zAxis, -angle);
-        camera.lookAt(controls.target);
-        
-        lastMouseX = e.clientX;
-        controls.update();
+    layer.points.geometry.attributes.pointState.needsUpdate = true;
+    settings.found = `${found} of ${kept.length}`;
+    console.log(`Outliers in ${layer.name} (${settings.method}): ${settings.found}`);
+    updateSelectionCount();
+    render();
+    return found;
+  }
+  
+  function clearOutlierPreview(layer) {
+    const state = layer.pointState;
+    const prior = layer.outliers.prior;
+    for (let i = 0; i < state.length; i++) {
+      if (state[i] === POINT_PREVIEW) state[i] = prior.get(i) ?? POINT_NORMAL;
+    }
+    prior.clear();
+    layer.points.geometry.attributes.pointState.needsUpdate = true;
+    layer.outliers.found = '-';
+    render();
+  }
+  
+  // Function to drop the previewed outliers (previewing first if needed)
+  function removeOutliers(layer) {
+    if (!layer.pointState.includes(POINT_PREVIEW) && previewOutliers(layer) === 0) {
+      alert('No outliers found with these settings.');
+      return;
+    }
+    
+    // Only the previewed points go; deleted ones stay deleted (and undoable)
+    const kept = [];
+    for (let i = 0; i < layer.pointState.length; i++) {
+      if (layer.pointState[i] !== POINT_PREVIEW) kept.push(i);
+    }
+    const removed = layer.cloud.numPoints - kept.length;
+    const pointState = Uint8Array.from(kept, i => layer.pointState[i]);
+    const settings = layer.outliers;
+    const label = settings.method === 'statistical'
+      ? `Statistical outlier removal (k ${settings.k}, ${settings.stdMul}σ)`
+      : `Radius outlier removal (r ${settings.radius}, min ${settings.minNeighbors})`;
+    
+    replaceLayerCloud(layer, subsetCloud(layer.cloud, kept), label, pointState);
+    settings.prior.clear();
+    settings.found = `${removed} removed`;
+    updateSelectionCount();
+    if (currentGUI) currentGUI.updateDisplay();
+  }
+  
+  // Function to give a layer empty hidden / segment colour attributes and
+  // forget its segments (plane results refer to point indices)
+  function resetSegments(layer) {
+    const n = layer.cloud.numPoints;
+    const geometry = layer.points.geometry;
+    layer.hidden = new Uint8Array(n);
+    layer.segmentColors = new Float32Array(n * 3);
+    layer.planeOf = new Int16Array(n).fill(-1);
+    layer.clusterOf = new Int32Array(n).fill(-1);
+    geometry.setAttribute('hidden', new THREE.BufferAttribute(layer.hidden, 1));
+    const segmentColor = new THREE.BufferAttribute(layer.segmentColors, 3);
+    // Set while the whole buffer waits to be uploaded (see paintSegments)
+    layer.segmentUploadPending = true;
+    segmentColor.onUpload(() => {
+      layer.segmentUploadPending = false;
+    });
+    geometry.setAttribute('segmentColor', segmentColor);
+    if (layer.planes) layer.planes.results = [];
+    if (layer.clusters) layer.clusters.results = [];
+  }
+  
+  // Colours for segments (planes, ...), cycled
+  const SEGMENT_PALETTE = [
+    [0.12, 0.47, 0.71], [1.0, 0.5, 0.05], [0.17, 0.63, 0.17], [0.84, 0.15, 0.16],
+    [0.58, 0.4, 0.74], [0.55, 0.34, 0.29], [0.89, 0.47, 0.76], [0.74, 0.74, 0.13],
+    [0.09, 0.75, 0.81], [0.5, 0.5, 0.5],
+  ];
+  
+  function segmentColor(index) {
+    return SEGMENT_PALETTE[index % SEGMENT_PALETTE.length];
+  }
+  
+  // Function to write plane, then cluster colours into the segment colour
+  // attribute, and class colours over them in labelling mode. Once some
+  // clusters are chosen the others are drawn grey.
+  // Only the points at `indices` (in increasing order) when given
+  function paintSegments(layer, indices = null) {
+    const colors = layer.segmentColors;
+    const clusters = layer.clusters.results;
+    const choosing = clusters.some(cluster => cluster.chosen);
+    const unchosen = [0.3, 0.3, 0.3];
+    const labels = labelling.on ? labelFieldOf(layer) : null;
+    const classColors = new Map(labelClasses.map(cls => [cls.id, classColor(cls)]));
+    
+    const paint = (i) => {
+      const p = layer.planeOf[i];
+      const c = layer.clusterOf[i];
+      // Unlabeled points keep their colour, ids without a class get one
+      const id = labels ? classIdOf(labels.values[i]) : 0;
+      if (id !== 0) {
+        colors.set(classColors.get(id) || segmentColor(id), i * 3);
+      } else if (c >= 0) {
+        colors.set(!choosing || clusters[c].chosen ? clusters[c].color : unchosen, i * 3);
+      } else if (p >= 0) {
+        colors.set(segmentColor(p), i * 3);
+      } else {
+        colors.fill(0, i * 3, i * 3 + 3);
+      }
+    };
+    
+    const attribute = layer.points.geometry.attributes.segmentColor;
+    if (indices) {
+      if (indices.length === 0) return;
+      indices.forEach(paint);
+      // Upload only the span that changed, unless all of it is due anyway
+      if (!layer.segmentUploadPending) {
+        const first = indices[0];
+        attribute.addUpdateRange(first * 3, (indices[indices.length - 1] - first + 1) * 3);
+      }
+    } else {
+      for (let i = 0; i < layer.planeOf.length; i++) paint(i);
+      attribute.clearUpdateRanges();
+      layer.segmentUploadPending = true;
+    }
+    attribute.needsUpdate = true;
+  }
+  
+  // Function to gather the shown points of a layer in the displayed frame,
+  // as their indices and a flat double-precision position array. Clouds
+  // with more than `maxPoints` shown points are thinned to every n-th one.
+  function shownWorldPositions(layer, includeHidden = false, maxPoints = Infinity) {
+    const isShown = visiblePointTest(layer, includeHidden);
+    const points = layer.points;
+    const source = points.geometry.attributes.position.array;
+    
+    let indices = [];
+    for (let i = 0; i < layer.cloud.numPoints; i++) {
+      if (isShown(i)) indices.push(i);
+    }
+    if (indices.length > maxPoints) {
+      const step = indices.length / maxPoints;
+      indices = Array.from({ length: maxPoints }, (_, k) => indices[Math.floor(k * step)]);
+    }
+    const positions = new Float64Array(indices.length * 3);
+    const position = new THREE.Vector3();
+    indices.forEach((i, k) => {
+      position.fromArray(source, i * 3).applyMatrix4(points.matrixWorld).toArray(positions, k * 3);
+    });
+    return { indices, positions };
+  }
+  
+  // Function to find the largest planes among the shown points of a layer
+  function findPlanes(layer) {
+    const settings = layer.planes;
+    
+    // Fit in the displayed frame so equations match the XYZ readout
+    const { indices: candidates, positions } = shownWorldPositions(layer, true);
+    
+    const planes = segmentPlanes(positions, {
+      maxPlanes: settings.maxPlanes,
+      threshold: settings.threshold,
+      iterations: settings.iterations,
+      minInliers: settings.minInliers,
+    });
+    
+    layer.planeOf.fill(-1);
+    settings.results = planes.map((result, p) => {
+      result.inliers.forEach(k => {
+        layer.planeOf[candidates[k]] = p;
+      });
+      console.log(`Plane ${p + 1} of ${layer.name}: ${formatPlane(result.plane)} (${result.inliers.length} inliers)`);
+      return {
+        equation: formatPlane(result.plane),
+        plane: result.plane,
+        inliers: result.inliers.length,
+        mode: 'show',
+      };
+    });
+    settings.remainderMode = 'show';
+    paintSegments(layer);
+    
+    if (planes.length === 0) alert('No plane with enough inliers found.');
+    applySegmentModes(layer);
+    setActiveLayer(layer);
+  }
+  
+  // Function to hide or isolate planes and the remaining points
+  function applySegmentModes(layer) {
+    const results = layer.planes.results;
+    const modeOf = p => (p < 0 ? layer.planes.remainderMode : results[p].mode);
+    const isolating = layer.planes.remainderMode === 'isolate' || results.some(r => r.mode === 'isolate');
+    
+    for (let i = 0; i < layer.hidden.length; i++) {
+      const mode = modeOf(results.length > 0 ? layer.planeOf[i] : -1);
+      layer.hidden[i] = mode === 'hide' || (isolating && mode !== 'isolate') ? 1 : 0;
+    }
+    layer.points.geometry.attributes.hidden.needsUpdate = true;
+    render();
+  }
+  
+  function clearPlanes(layer) {
+    layer.planeOf.fill(-1);
+    layer.planes.results = [];
+    paintSegments(layer);
+    layer.planes.remainderMode = 'show';
+    applySegmentModes(layer);
+    setActiveLayer(layer);
+  }
+  
+  // Colormap lookup textures, shared by every layer
+  const colormapTextures = new Map();
+  function colormapTexture(name) {
+    if (!colormapTextures.has(name)) {
+      const texture = new THREE.DataTexture(colormapData(name), colormapSize(name), 1);
+      texture.magFilter = isCategorical(name) ? THREE.NearestFilter : THREE.LinearFilter;
+      texture.minFilter = texture.magFilter;
+      texture.needsUpdate = true;
+      colormapTextures.set(name, texture);
+    }
+    return colormapTextures.get(name);
+  }
+  
+  const COLOR_SOURCES = { rgb: 0, x: 1, y: 2, z: 3, distance: 4 };
+  
+  // Fields like `label` or `classification` hold class ids, not amounts
+  function looksCategorical(cloud, name) {
+    const field = findField(cloud, name);
+    return !!field && isCategoricalField(field);
+  }
+  
+  // Function to list the value every point is coloured by, as shown
+  function colorValuesOf(layer) {
+    const by = layer.coloring.by;
+    const n = layer.cloud.numPoints;
+    const values = new Float64Array(n);
+    const field = findField(layer.cloud, by);
+    if (field) {
+      for (let i = 0; i < n; i++) values[i] = field.values[i * field.count];
+      return values;
+    }
+    const points = layer.points;
+    const source = points.geometry.attributes.position.array;
+    const origin = points.userData.origin;
+    const position = new THREE.Vector3();
+    for (let i = 0; i < n; i++) {
+      position.fromArray(source, i * 3).applyMatrix4(points.matrixWorld);
+      if (by === 'distance') {
+        values[i] = Math.hypot(position.x + origin[0], position.y + origin[1], position.z + origin[2]);
+      } else {
+        values[i] = position.getComponent(COLOR_SOURCES[by] - 1);
+      }
+    }
+    return values;
+  }
+  
+  // Function to set the colour uniforms of a layer from its coloring
+  // settings; `autoRange` fits the colour range to the points not deleted
+  function applyColoring(layer, autoRange = true) {
+    const coloring = layer.coloring;
+    const uniforms = layer.points.material.uniforms;
+    const geometry = layer.points.geometry;
+    const field = findField(layer.cloud, coloring.by);
+    
+    uniforms.colorSource.value = field ? 5 : COLOR_SOURCES[coloring.by];
+    uniforms.colormap.value = colormapTexture(coloring.colormap);
+    uniforms.categorical.value = isCategorical(coloring.colormap);
+    uniforms.colormapSize.value = colormapSize(coloring.colormap);
+    
+    if (field) {
+      const values = new Float32Array(layer.cloud.numPoints);
+      for (let i = 0; i < values.length; i++) values[i] = field.values[i * field.count];
+      geometry.setAttribute('colorValue', new THREE.BufferAttribute(values, 1));
+    } else if (!geometry.attributes.colorValue) {
+      geometry.setAttribute('colorValue', new THREE.BufferAttribute(new Float32Array(layer.cloud.numPoints), 1));
+    }
+    
+    layer.colorClasses = [];
+    if (coloring.by !== 'rgb' && (autoRange || uniforms.categorical.value)) {
+      const values = colorValuesOf(layer);
+      let min = Infinity, max = -Infinity;
+      const classes = new Set();
+      for (let i = 0; i < values.length; i++) {
+        if (layer.pointState[i] === POINT_REMOVED) continue;
+        const v = values[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+        if (classes.size <= colormapSize('categorical')) classes.add(Math.round(v));
+      }
+      if (autoRange && min <= max) {
+        uniforms.colorMin.value = min;
+        uniforms.colorMax.value = max;
+      }
+      layer.colorClasses = [...classes].sort((a, b) => a - b).slice(0, colormapSize('categorical'));
+    }
+    
+    if (layer === activeLayer) updateLegend();
+    render();
+  }
+  
+  function updateLegend() {
+    const layer = activeLayer;
+    if (!layer || layer.coloring.by === 'rgb') {
+      colormapLegend.update(null);
+      return;
+    }
+    const uniforms = layer.points.material.uniforms;
+    colormapLegend.update({
+      title: layer.coloring.by === 'distance' ? 'distance from origin' : layer.coloring.by,
+      colormap: layer.coloring.colormap,
+      min: uniforms.colorMin.value,
+      max: uniforms.colorMax.value,
+      classes: layer.colorClasses,
+    });
+  }
+  
+  // Function to estimate normals for every point of a layer, facing the
+  // VIEWPOINT of its file. They are stored in the cloud so they get exported.
+  function estimateLayerNormals(layer) {
+    const settings = layer.normals;
+    const geometry = layer.points.geometry;
+    const positions = geometry.attributes.position.array;
+    const origin = layer.points.userData.origin;
+    const viewpoint = (layer.cloud.viewpoint || [0, 0, 0]).slice(0, 3).map((v, axis) => v - origin[axis]);
+    
+    const normals = estimateNormals(positions, {
+      k: settings.k,
+      radius: settings.method === 'radius' ? settings.radius : 0,
+    }, viewpoint);
+    const before = normalsState(layer);
+    setCloudNormals(layer.cloud, normals);
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normalsOf(layer.cloud), 3));
+    console.log(`Estimated normals for ${layer.name}`);
+    
+    layer.points.material.uniforms.useLighting.value = true;
+    const after = normalsState(layer);
+    history.record({
+      label: `${layer.name}: Estimate normals`,
+      undo: () => restoreNormals(layer, geometry, before),
+      redo: () => restoreNormals(layer, geometry, after),
+    });
+    updateNormalLines(layer);
+    setActiveLayer(layer);
+  }
+  
+  // Function to snapshot the normal fields, normal attribute and lighting of
+  // a layer, which normal estimation changes
+  function normalsState(layer) {
+    const fields = findNormalFields(layer.cloud);
+    return {
+      fields: layer.cloud.fields.slice(),
+      values: fields ? fields.map(field => field.values.slice()) : null,
+      attribute: layer.points.geometry.attributes.normal || null,
+      lighting: layer.points.material.uniforms.useLighting.value,
+    };
+  }
+  
+  function restoreNormals(layer, geometry, state) {
+    layer.cloud.fields = state.fields.slice();
+    if (state.values) {
+      findNormalFields(layer.cloud).forEach((field, axis) => field.values.set(state.values[axis]));
+    }
+    if (state.attribute) {
+      state.attribute.needsUpdate = true;
+      geometry.setAttribute('normal', state.attribute);
+    } else {
+      geometry.deleteAttribute('normal');
+    }
+    layer.points.material.uniforms.useLighting.value = state.lighting;
+    layer.scalarFields = scalarFieldsOf(layer.cloud);
+    updateNormalLines(layer);
+    if (layer === activeLayer) setActiveLayer(layer);
+    render();
+  }
+  
+  // Most normal lines drawn per layer; denser clouds show every n-th one
+  const MAX_NORMAL_LINES = 200000;
+  
+  // Function to (re)draw the normals of the shown points as short lines
+  function updateNormalLines(layer) {
+    if (layer.normalLines) {
+      layer.normalLines.removeFromParent();
+      layer.normalLines.geometry.dispose();
+      layer.normalLines.material.dispose();
+      layer.normalLines = null;
+    }
+    const normal = layer.points.geometry.attributes.normal;
+    if (!layer.normals.showLines || !normal) {
+      render();
+      return;
+    }
+    
+    const isShown = visiblePointTest(layer);
+    const positions = layer.points.geometry.attributes.position.array;
+    const shown = [];
+    for (let i = 0; i < layer.cloud.numPoints; i++) {
+      if (isShown(i)) shown.push(i);
+    }
+    const step = Math.max(1, Math.ceil(shown.length / MAX_NORMAL_LINES));
+    const length = layer.normals.lineLength;
+    const vertices = [];
+    for (let k = 0; k < shown.length; k += step) {
+      const p = shown[k] * 3;
+      vertices.push(
+        positions[p], positions[p + 1], positions[p + 2],
+        positions[p] + normal.array[p] * length,
+        positions[p + 1] + normal.array[p + 1] * length,
+        positions[p + 2] + normal.array[p + 2] * length,
+      );
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    layer.normalLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0x33aaff }));
+    // Child of the points so it follows the layer transform and visibility
+    layer.points.add(layer.normalLines);
+    render();
+  }
+  
+  // Points used by ICP; denser clouds are thinned to keep it interactive
+  const ICP_MAX_SOURCE_POINTS = 20000;
+  const ICP_MAX_TARGET_POINTS = 200000;
+  
+  // Function to move a layer by a rigid transform (row-major 4x4, in the
+  // displayed frame) applied on top of the `start` world matrix
+  function applyRigidTransform(layer, matrix, start) {
+    const transform = new THREE.Matrix4().set(...matrix).multiply(start);
+    transform.decompose(layer.points.position, layer.points.quaternion, layer.points.scale);
+    layer.points.updateMatrixWorld();
+    layer.registration.pending = true;
+    scheduleLevelOfDetail();
+  }
+  
+  // Function to register the active layer onto its target layer with ICP,
+  // one iteration per frame so RMSE and iteration count update live. The
+  // result is a preview until applied.
+  function runRegistration(layer) {
+    const settings = layer.registration;
+    const target = layers.find(l => l.id === settings.target);
+    if (!target || settings.running) return;
+    
+    const source = shownWorldPositions(layer, false, ICP_MAX_SOURCE_POINTS).positions;
+    const targetPositions = shownWorldPositions(target, false, ICP_MAX_TARGET_POINTS).positions;
+    if (source.length < 9 || targetPositions.length < 9) {
+      alert('Both layers need at least three shown points.');
+      return;
+    }
+    const targetNormals = settings.method === 'point-to-plane'
+      ? estimateNormals(targetPositions, { k: 10 })
+      : null;
+    
+    const start = layer.points.matrixWorld.clone();
+    const iterations = icp(source, targetPositions, {
+      method: settings.method,
+      maxDistance: settings.maxDistance,
+      maxIterations: settings.maxIterations,
+      targetNormals,
+    });
+    settings.running = true;
+    
+    const step = () => {
+      const { value, done } = iterations.next();
+      if (!done) {
+        applyRigidTransform(layer, value.matrix, start);
+        settings.status = `Iteration ${value.iteration}: RMSE ${value.rmse.toPrecision(4)} (${value.pairs} pairs)`;
+        if (currentGUI && activeLayer === layer) currentGUI.updateDisplay();
         render();
       }
+      if (done || value.converged || !settings.running || !layers.includes(layer)) {
+        settings.running = false;
+        console.log(`ICP ${layer.name} → ${target.name}: ${settings.status}`);
+        return;
+      }
+      requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+  }
+  
+  // Function to start picking point pairs for a coarse alignment: a point on
+  // the moving layer, then the matching point on the target, three times
+  function startPairPicking(layer) {
+    const settings = layer.registration;
+    settings.picking = true;
+    settings.pairs = [];
+    settings.status = 'Pick point 1 on this layer';
+    if (currentGUI) currentGUI.updateDisplay();
+  }
+  
+  function addRegistrationPoint(layer, hit) {
+    const settings = layer.registration;
+    const target = layers.find(l => l.id === settings.target);
+    const wanted = settings.pairs.length % 2 === 0 ? layer : target;
+    if (hit.layer !== wanted) return;
+    
+    settings.pairs.push(hit.point.toArray());
+    const pair = Math.floor(settings.pairs.length / 2) + 1;
+    if (settings.pairs.length < 6) {
+      settings.status = settings.pairs.length % 2 === 0
+        ? `Pick point ${pair} on this layer`
+        : `Pick point ${pair} on ${target.name}`;
+    } else {
+      settings.picking = false;
+      const moving = settings.pairs.filter((_, k) => k % 2 === 0).flat();
+      const fixed = settings.pairs.filter((_, k) => k % 2 === 1).flat();
+      applyRigidTransform(layer, rigidFromPairs(moving, fixed), layer.points.matrixWorld.clone());
+      settings.status = 'Coarse alignment from 3 pairs';
+      render();
+    }
+    if (currentGUI) currentGUI.updateDisplay();
+  }
+  
+  // Transform from the file coordinates of a layer to the file coordinates
+  // of the target layer
+  function registrationMatrix(layer, target) {
+    return layerFileMatrix(target).invert().multiply(layerFileMatrix(layer));
+  }
+  
+  function exportRegistrationMatrix(layer) {
+    const target = layers.find(l => l.id === layer.registration.target);
+    if (!target) return;
+    const matrix = registrationMatrix(layer, target).transpose().elements;
+    const baseName = (l) => l.name.replace(/\.[^.]+$/, '');
+    downloadBlob(new Blob([formatMatrix(matrix)], { type: 'text/plain' }), `${baseName(layer)}_to_${baseName(target)}.txt`);
+  }
+  
+  // Function to set the XYZ filters of a layer to a preset region
+  function applyRegion(layer, name) {
+    const region = getRegion(presetLibrary, layer.presets.dataset, name);
+    if (!region) return;
+    const uniforms = layer.points.material.uniforms;
+    ['x', 'y', 'z'].forEach(axis => {
+      const Axis = axis.toUpperCase();
+      uniforms[`enableFilter${Axis}`].value = !!region[axis];
+      if (region[axis]) {
+        uniforms[`marginMin${Axis}`].value = region[axis][0];
+        uniforms[`marginMax${Axis}`].value = region[axis][1];
+      }
     });
-
-    // Hover and selection handlers
-    function onPointerMove(event) {
-      if (isShiftDragging) return;
-      pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
-      pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-      raycaster.setFromCamera(pointer, camera);
-      const intersects = raycaster.intersectObject(points);
+    refreshBoundingBox();
+    recordLayerEdit(layer, `Apply region ${name}`);
+    if (layer === activeLayer) currentGUI.updateDisplay();
+    render();
+  }
+  
+  // Function to save the current filter box of a layer as a named region
+  function saveRegion(layer) {
+    const name = layer.presets.newName.trim() || layer.presets.region;
+    if (!name) {
+      alert('Enter a name for the region first.');
+      return;
+    }
+    const uniforms = layer.points.material.uniforms;
+    const region = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      const Axis = axis.toUpperCase();
+      region[axis] = uniforms[`enableFilter${Axis}`].value
+        ? [uniforms[`marginMin${Axis}`].value, uniforms[`marginMax${Axis}`].value]
+        : null;
+    });
+    setRegion(presetLibrary, layer.presets.dataset, name, region);
+    storePresetLibrary();
+    layer.presets.region = name;
+    layer.presets.newName = '';
+    setActiveLayer(layer);
+  }
+  
+  function deleteRegion(layer) {
+    const name = layer.presets.region;
+    if (!name || !confirm(`Delete region "${name}" of ${layer.presets.dataset}?`)) return;
+    removeRegion(presetLibrary, layer.presets.dataset, name);
+    storePresetLibrary();
+    layer.presets.region = '';
+    setActiveLayer(layer);
+  }
+  
+  function exportPresetLibrary() {
+    const json = presetLibraryToJSON(presetLibrary);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'region-presets.json');
+  }
+  
+  function importPresetLibrary() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text()
+        .then(text => {
+          const count = mergePresetLibraries(presetLibrary, parsePresetLibrary(text));
+          storePresetLibrary();
+          console.log(`Imported ${count} region presets from ${file.name}`);
+          if (activeLayer) setActiveLayer(activeLayer);
+        })
+        .catch(err => alert(`Could not import presets: ${err.message}`));
+    });
+    input.click();
+  }
+  
+  // Function to split the shown points of a layer into Euclidean clusters
+  // (points of hidden planes are left out, e.g. to separate objects standing
+  // on a floor)
+  function findClusters(layer) {
+    const settings = layer.clusters;
+    const { indices: candidates, positions } = shownWorldPositions(layer);
+    
+    const clusters = euclideanClusters(positions, {
+      tolerance: settings.tolerance,
+      minSize: settings.minSize,
+      maxSize: settings.maxSize,
+    });
+    
+    layer.clusterOf.fill(-1);
+    settings.results = clusters.map((members, c) => {
+      members.forEach(k => {
+        layer.clusterOf[candidates[k]] = c;
+      });
+      return {
+        size: members.length,
+        bounds: clusterBounds(positions, members),
+        color: segmentColor(c),
+        chosen: false,
+      };
+    });
+    console.log(`Found ${clusters.length} clusters in ${layer.name}`);
+    
+    if (clusters.length === 0) alert('No cluster within the size limits found.');
+    paintSegments(layer);
+    updateClusterPanel();
+    render();
+  }
+  
+  function updateClusterPanel() {
+    clusterPanel.update(activeLayer ? activeLayer.clusters.results : null);
+  }
+  
+  // Function to choose or unchoose clusters (all when `index` is null)
+  function chooseClusters(layer, index, chosen) {
+    layer.clusters.results.forEach((cluster, c) => {
+      if (index === null || c === index) cluster.chosen = chosen === undefined ? !cluster.chosen : chosen;
+    });
+    paintSegments(layer);
+    updateClusterPanel();
+    render();
+  }
+  
+  // Function to export the chosen clusters as one file each, or together
+  // with their cluster number (from 1) in a `label` field
+  function exportClusters(layer, labelled) {
+    const chosen = [];
+    layer.clusters.results.forEach((cluster, c) => {
+      if (cluster.chosen) chosen.push(c);
+    });
+    if (chosen.length === 0) {
+      alert('Choose clusters to export first.');
+      return;
+    }
+    
+    const baseName = layer.name.replace(/\.[^.]+$/, '');
+    const parts = [];
+    chosen.forEach(c => {
+      const part = collectFilteredCloud(layer, i => layer.clusterOf[i] === c);
+      if (!part) return;
+      if (!labelled) {
+        downloadCloud(part, `cluster${c + 1}_${baseName}`);
+        return;
+      }
+      const label = createField('label', 'U', 4, part.numPoints);
+      label.values.fill(c + 1);
+      part.fields = part.fields.filter(field => field.name !== 'label').concat(label);
+      parts.push(part);
+    });
+    if (labelled && parts.length > 0) downloadCloud(mergeClouds(parts), `clusters_${baseName}`);
+  }
+  
+  function clearClusters(layer) {
+    layer.clusterOf.fill(-1);
+    layer.clusters.results = [];
+    paintSegments(layer);
+    updateClusterPanel();
+    render();
+  }
+  
+  // The one-value label field of a layer's cloud; with `create` a U4 field of
+  // unlabeled points is added when the cloud has none
+  function labelFieldOf(layer, create = false) {
+    const field = findField(layer.cloud, 'label');
+    if (field && field.count === 1) return field;
+    if (!create) return null;
+    const created = createField('label', 'U', 4, layer.cloud.numPoints);
+    layer.cloud.fields = layer.cloud.fields.filter(f => f.name !== 'label').concat(created);
+    layer.scalarFields = scalarFieldsOf(layer.cloud);
+    return created;
+  }
+  
+  function labelClassName(id) {
+    const cls = labelClasses.find(c => c.id === id);
+    return cls ? cls.name : `class ${id}`;
+  }
+  
+  // Function to start a label change of a layer: its label field, added
+  // (all unlabeled) when there is none, and the labels before the edit
+  function beginLabelChange(layer) {
+    const created = !labelFieldOf(layer);
+    // A `label` field with several values per point is replaced
+    const replaced = created ? findField(layer.cloud, 'label') : null;
+    const field = labelFieldOf(layer, true);
+    return { layer, field, before: field.values.slice(), created, replaced };
+  }
+  
+  // Function to put an added label field in or take it out of its layer
+  // again, with the field it replaced
+  function placeLabelField(change, present) {
+    const layer = change.layer;
+    const [added, dropped] = present ? [change.field, change.replaced] : [change.replaced, change.field];
+    layer.cloud.fields = layer.cloud.fields.filter(f => f !== dropped);
+    if (added && !layer.cloud.fields.includes(added)) layer.cloud.fields.push(added);
+    layer.scalarFields = scalarFieldsOf(layer.cloud);
+  }
+  
+  // Function to record label changes (see beginLabelChange, plus `after`)
+  // as one history step and redraw them. Undo also takes out label fields
+  // the changes added.
+  function recordLabelChanges(label, changes) {
+    if (changes.length === 0) return;
+    const restore = (key) => () => {
+      changes.forEach(change => {
+        if (change.created) placeLabelField(change, key === 'after');
+        change.field.values.set(change[key]);
+        paintSegments(change.layer);
+      });
+      updateLabelPanel();
+      render();
+    };
+    history.record({ label, undo: restore('before'), redo: restore('after') });
+    changes.forEach(change => paintSegments(change.layer));
+    updateLabelPanel();
+    render();
+  }
+  
+  // Function to change the labels of `targets` through `edit(layer, values)`,
+  // which returns true when it changed them
+  function editLabels(label, targets, edit) {
+    const changes = [];
+    targets.forEach(layer => {
+      const change = beginLabelChange(layer);
+      if (!edit(layer, change.field.values)) {
+        if (change.created) placeLabelField(change, false);
+        return;
+      }
+      changes.push({ ...change, after: change.field.values.slice() });
+    });
+    recordLabelChanges(label, changes);
+  }
+  
+  // Brush depth test: screen cells in pixels, and how far behind the nearest
+  // point of a cell (as a fraction of its distance) still counts as in front
+  const BRUSH_CELL_SIZE = 6;
+  const BRUSH_DEPTH_TOLERANCE = 0.02;
+  
+  const brushFrustum = new THREE.Frustum();
+  const brushBox = new THREE.Box3();
+  
+  // Function to list the points of a layer in the octree nodes that reach
+  // into the brush rectangle ({ left, top, right, bottom } in canvas
+  // pixels), in increasing order
+  function brushCandidates(layer, bounds) {
+    const octree = layer.points.geometry.userData.octree;
+    const canvas = renderer.domElement;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    // Clip space squeezed so the rectangle fills it
+    const x0 = (bounds.left / width) * 2 - 1;
+    const x1 = (bounds.right / width) * 2 - 1;
+    const y0 = 1 - (bounds.bottom / height) * 2;
+    const y1 = 1 - (bounds.top / height) * 2;
+    const crop = new THREE.Matrix4().set(
+      2 / (x1 - x0), 0, 0, -(x1 + x0) / (x1 - x0),
+      0, 2 / (y1 - y0), 0, -(y1 + y0) / (y1 - y0),
+      0, 0, 1, 0,
+      0, 0, 0, 1,
+    );
+    brushFrustum.setFromProjectionMatrix(
+      crop.multiply(camera.projectionMatrix).multiply(camera.matrixWorldInverse)
+    );
+    const matrixWorld = layer.points.matrixWorld;
+    const nodes = collectNodes(octree, node => {
+      brushBox.min.fromArray(node.min);
+      brushBox.max.set(node.min[0] + node.size, node.min[1] + node.size, node.min[2] + node.size);
+      return brushFrustum.intersectsBox(brushBox.applyMatrix4(matrixWorld));
+    });
+    const count = nodes.reduce((sum, node) => sum + octree.nodes[node].count, 0);
+    const indices = new Uint32Array(count);
+    gatherIndices(octree, nodes, indices);
+    return indices.sort();
+  }
+  
+  // Function to give the shown points of visible layers under the brush the
+  // active class. Only the front points are painted, not the ones behind
+  // them (across layers too), and only the octree nodes under the brush are
+  // searched. A stroke becomes one history step when it ends.
+  function brushLabels(inside, bounds) {
+    const canvas = renderer.domElement;
+    const matrix = new THREE.Matrix4();
+    camera.updateMatrixWorld();
+    if (!labelling.stroke) labelling.stroke = new Map();
+    
+    const screen = { x: [], y: [], depth: [] };
+    const hitsOf = layers.map(layer => {
+      if (!layer.points.visible) return [];
+      layer.points.updateMatrixWorld();
+      matrix
+        .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        .multiply(layer.points.matrixWorld);
+      const positions = layer.points.geometry.attributes.position.array;
+      const candidates = layer.points.geometry.userData.octree ? brushCandidates(layer, bounds) : null;
+      return selectIndices(candidates, positions, matrix.elements, canvas.clientWidth, canvas.clientHeight, inside, visiblePointTest(layer), screen);
+    });
+    const front = frontHits(screen, BRUSH_CELL_SIZE, BRUSH_DEPTH_TOLERANCE);
+    
+    let k = 0;
+    layers.forEach((layer, l) => {
+      const hits = hitsOf[l].filter(() => front[k++]);
+      if (hits.length === 0) return;
       
-      if (intersects.length > 0) {
-        const pos = intersects[0].point;
-        hoverPos[0] = pos.x;
-        hoverPos[1] = pos.y;
-        hoverPos[2] = pos.z;
-        hoverGeom.attributes.position.needsUpdate = true;
-        hoverMarker.visible = true;
-        document.body.style.cursor = 'pointer';
-        updateXYZWidgetWithPoint(pos);
+      if (!labelling.stroke.has(layer)) labelling.stroke.set(layer, beginLabelChange(layer));
+      const field = labelling.stroke.get(layer).field;
+      hits.forEach(i => {
+        field.values[i] = withClassId(field.values[i], labelling.classId);
+      });
+      paintSegments(layer, hits);
+    });
+    render();
+  }
+  
+  function endBrushStroke() {
+    const stroke = labelling.stroke;
+    labelling.stroke = null;
+    if (!stroke) return;
+    const changes = [...stroke.values()].map(change => ({ ...change, after: change.field.values.slice() }));
+    recordLabelChanges(`Paint ${labelClassName(labelling.classId)}`, changes);
+  }
+  
+  // Function to show the class list with the point counts of the active layer
+  function updateLabelPanel() {
+    let counts = null;
+    if (activeLayer) {
+      const field = labelFieldOf(activeLayer);
+      const kept = (i) => activeLayer.pointState[i] !== POINT_REMOVED;
+      counts = field
+        ? countLabels(field.values, kept)
+        : new Map([[0, keptPointIndices(activeLayer).length]]);
+    }
+    labelTool.update(labelClasses, counts, labelling.classId);
+  }
+  
+  function setLabelling(on) {
+    labelling.on = on;
+    layers.forEach(paintSegments);
+    render();
+  }
+  
+  // Function to add or remove a class or change its colour
+  function changeLabelClass(action, cls) {
+    if (action === 'add') {
+      const problem = classProblem(cls, labelClasses);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+      labelClasses.push(cls);
+      labelClasses.sort((a, b) => a.id - b.id);
+      labelling.classId = cls.id;
+    } else if (action === 'remove') {
+      // Points keep their label; it is listed under "other ids"
+      labelClasses = labelClasses.filter(c => c.id !== cls.id);
+      if (labelling.classId === cls.id) labelling.classId = labelClasses.length > 0 ? labelClasses[0].id : 0;
+    } else if (action === 'color') {
+      labelClasses.find(c => c.id === cls.id).color = cls.color;
+    }
+    storeLabelClasses();
+    if (labelling.on) layers.forEach(paintSegments);
+    updateLabelPanel();
+    render();
+  }
+  
+  // Function to open a file and hand its contents to `read`
+  function chooseFile(accept, read) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+      if (input.files[0]) read(input.files[0]);
+    });
+    input.click();
+  }
+  
+  // Function to count the shown points of every layer inside a box region
+  // (see crop.js)
+  function countPointsInBox(inverse) {
+    const region = { type: 'box', inverse };
+    let count = 0;
+    layers.forEach(layer => {
+      if (!layer.points.visible) return;
+      const isShown = visiblePointTest(layer);
+      const positions = layer.points.geometry.attributes.position.array;
+      const e = layer.points.matrixWorld.elements;
+      for (let i = 0; i < positions.length / 3; i++) {
+        const px = positions[i * 3];
+        const py = positions[i * 3 + 1];
+        const pz = positions[i * 3 + 2];
+        const x = e[0] * px + e[4] * py + e[8] * pz + e[12];
+        const y = e[1] * px + e[5] * py + e[9] * pz + e[13];
+        const z = e[2] * px + e[6] * py + e[10] * pz + e[14];
+        if (regionContains(region, x, y, z) && isShown(i)) count++;
+      }
+    });
+    return count;
+  }
+  
+  // Function to run the cuboid import / export buttons. Files hold the map
+  // frame, the cuboid tool the displayed one (recentred on sceneOrigin).
+  function runCuboidAction(action) {
+    const origin = sceneOrigin || [0, 0, 0];
+    const shift = (cuboids, sign) => cuboids.map(cuboid => ({
+      ...cuboid,
+      center: cuboid.center.map((v, axis) => v + sign * origin[axis]),
+    }));
+    const baseName = activeLayer ? activeLayer.name.replace(/\.[^.]+$/, '') : 'cuboids';
+    
+    if (action === 'exportKitti' || action === 'exportJSON') {
+      const cuboids = shift(cuboidTool.getCuboids(), 1);
+      if (cuboids.length === 0) {
+        alert('There are no cuboids to export.');
+        return;
+      }
+      if (action === 'exportKitti') {
+        downloadBlob(new Blob([cuboidsToKitti(cuboids, cuboidTool.kittiFrame)], { type: 'text/plain' }), `${baseName}.txt`);
       } else {
-        hoverMarker.visible = false;
-        document.body.style.cursor = '';
-        updateXYZWidgetFromPointer(pointer);
+        downloadBlob(new Blob([cuboidsToJSON(cuboids, cuboidTool.getCounts())], { type: 'application/json' }), `${baseName}.cuboids.json`);
       }
-      render();
+      return;
     }
-
-    function onClick(event) {
-      if (event.button !== 0) return;
+    
+    const kitti = action === 'importKitti';
+    chooseFile(kitti ? '.txt' : '.json,application/json', file => file.text()
+      .then(text => {
+        const cuboids = kitti ? parseKitti(text, cuboidTool.kittiFrame) : parseCuboidsJSON(text);
+        cuboidTool.setCuboids(shift(cuboids, -1), `${file.name} cuboids`);
+      })
+      .catch(err => alert(`Could not import cuboids: ${err.message}`)));
+  }
+  
+  // Function to run the labelling panel buttons
+  function runLabelAction(action) {
+    const name = labelClassName(labelling.classId);
+    const baseName = activeLayer ? activeLayer.name.replace(/\.[^.]+$/, '') : '';
+    if (action === 'selection') {
+      // Hidden layers are left alone, as by the other selection actions
+      editLabels(`Label selection as ${name}`, layers.filter(layer => layer.points.visible), (layer, values) => {
+        let changed = false;
+        layer.pointState.forEach((state, i) => {
+          if (state !== POINT_SELECTED) return;
+          values[i] = withClassId(values[i], labelling.classId);
+          changed = true;
+        });
+        return changed;
+      });
+    } else if (action === 'clusters' && activeLayer) {
+      const clusters = activeLayer.clusters.results;
+      if (!clusters.some(cluster => cluster.chosen)) {
+        alert('Choose clusters to label first.');
+        return;
+      }
+      editLabels(`Label clusters as ${name}`, [activeLayer], (layer, values) => {
+        layer.clusterOf.forEach((c, i) => {
+          if (c >= 0 && clusters[c].chosen) values[i] = withClassId(values[i], labelling.classId);
+        });
+        return true;
+      });
+    } else if (action === 'importLabels' && activeLayer) {
+      const layer = activeLayer;
+      chooseFile('.label', file => file.arrayBuffer()
+        .then(buffer => {
+          const imported = decodeKittiLabels(buffer, layer.cloud.numPoints);
+          editLabels(`${file.name} labels`, [layer], (l, values) => {
+            values.set(imported);
+            return true;
+          });
+          if (layer === activeLayer) setActiveLayer(layer);
+        })
+        .catch(err => alert(`Could not import labels: ${err.message}`)));
+    } else if (action === 'exportLabels' && activeLayer) {
+      // Same points in the same order as "Export Filtered Cloud"
+      if (!labelFieldOf(activeLayer)) {
+        alert('The active layer has no labels yet.');
+        return;
+      }
+      const exported = collectFilteredCloud(activeLayer);
+      if (!exported) {
+        alert('No points remain after filtering!');
+        return;
+      }
+      const labels = encodeKittiLabels(findField(exported, 'label').values);
+      downloadBlob(new Blob([labels], { type: 'application/octet-stream' }), `filtered_${baseName}.label`);
+    } else if (action === 'importClasses') {
+      chooseFile('.json,application/json', file => file.text()
+        .then(text => {
+          labelClasses = parseLabelClasses(text);
+          if (!labelClasses.some(cls => cls.id === labelling.classId)) {
+            labelling.classId = labelClasses.length > 0 ? labelClasses[0].id : 0;
+          }
+          storeLabelClasses();
+          setLabelling(labelling.on);
+          updateLabelPanel();
+        })
+        .catch(err => alert(`Could not import classes: ${err.message}`)));
+    } else if (action === 'exportClasses') {
+      downloadBlob(new Blob([labelClassesToJSON(labelClasses)], { type: 'application/json' }), 'label-classes.json');
+    }
+  }
+  
+  // Filter and transform state of a layer, as stored in history
+  function snapshotLayer(layer) {
+    const uniforms = layer.points.material.uniforms;
+    const state = {
+      scalarField: layer.scalarField,
+      position: layer.points.position.toArray(),
+      rotation: layer.points.rotation.toArray().slice(0, 3),
+    };
+    FILTER_UNIFORMS.forEach(name => {
+      state[name] = uniforms[name].value;
+    });
+    return state;
+  }
+  
+  // Function to describe the camera, view options and settings of every
+  // layer as a session (see session.js)
+  function captureSession() {
+    return {
+      version: SESSION_VERSION,
+      origin: sceneOrigin,
+      camera: {
+        position: camera.position.toArray(),
+        up: camera.up.toArray(),
+        target: controls.target.toArray(),
+      },
+      view: { ...viewOptions },
+      activeLayer: activeLayer ? activeLayer.name : null,
+      layers: layers.map(layer => {
+        const uniforms = layer.points.material.uniforms;
+        return {
+          name: layer.name,
+          visible: layer.points.visible,
+          size: uniforms.size.value,
+          tint: `#${uniforms.tint.value.getHexString()}`,
+          rgbBoost: uniforms.rgbBoost.value,
+          lighting: uniforms.useLighting.value,
+          coloring: {
+            ...layer.coloring,
+            min: uniforms.colorMin.value,
+            max: uniforms.colorMax.value,
+          },
+          state: snapshotLayer(layer),
+        };
+      }),
+    };
+  }
+  
+  // Session waiting for its files to be loaded (from the URL hash or a
+  // session file)
+  let pendingSession = null;
+  try {
+    pendingSession = sessionFromHash(location.hash);
+  } catch (err) {
+    console.error(err);
+    alert(`Could not read the session in the link: ${err.message}`);
+  }
+  
+  // Function to apply the pending session to the layers loaded so far; it
+  // stays pending until every layer it names is loaded
+  function applyPendingSession() {
+    if (!pendingSession || layers.length === 0) return;
+    const missing = restoreSession(pendingSession);
+    if (missing.length === 0) {
+      pendingSession = null;
+    } else {
+      console.log('Session waits for:', missing.join(', '));
+    }
+  }
+  
+  // Function to restore a session onto the loaded layers, matched by name.
+  // Returns the names of the session layers that are not loaded.
+  function restoreSession(session) {
+    // The session may have been saved with another recentring origin (e.g.
+    // files loaded in another order); shift everything by the difference
+    const delta = new THREE.Vector3();
+    if (session.origin && sceneOrigin) {
+      delta.fromArray(session.origin.map((v, axis) => v - sceneOrigin[axis]));
+    }
+    
+    const missing = [];
+    const restored = new Set();
+    session.layers.forEach(saved => {
+      const layer = layers.find(l => l.name === saved.name && !restored.has(l));
+      if (!layer) {
+        missing.push(saved.name);
+        return;
+      }
+      restored.add(layer);
       
-      pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
-      pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+      const uniforms = layer.points.material.uniforms;
+      layer.points.visible = saved.visible !== false;
+      uniforms.size.value = saved.size;
+      uniforms.tint.value.set(saved.tint);
+      uniforms.rgbBoost.value = saved.rgbBoost;
+      uniforms.useLighting.value = !!saved.lighting && !!layer.points.geometry.attributes.normal;
       
-      raycaster.setFromCamera(pointer, camera);
-      const intersects = raycaster.intersectObject(points);
+      const by = saved.coloring.by;
+      const known = by === 'rgb' ? layer.hasColor : ['x', 'y', 'z', 'distance'].includes(by) || !!findField(layer.cloud, by);
+      if (known) {
+        layer.coloring.by = by;
+        layer.coloring.colormap = saved.coloring.colormap;
+        applyColoring(layer, false);
+        uniforms.colorMin.value = saved.coloring.min;
+        uniforms.colorMax.value = saved.coloring.max;
+      }
       
-      if (intersects.length > 0) {
-        const pos = intersects[0].point;
-        const idx = intersects[0].index;
-        
-        selectPos[0] = pos.x;
-        selectPos[1] = pos.y;
-        selectPos[2] = pos.z;
-        selectGeom.attributes.position.needsUpdate = true;
-        selectionMarker.visible = true;
-        
-        console.log('Selected point:', idx, 'position:', pos);
-        updateXYZWidgetWithPoint(pos);
-      } else {
-        selectionMarker.visible = false;
+      // Filters are in the displayed frame; the translation makes up for
+      // the layer rotating about another origin: t' = t + d - R d
+      const state = { ...saved.state };
+      ['X', 'Y', 'Z'].forEach((axis, k) => {
+        state[`marginMin${axis}`] += delta.getComponent(k);
+        state[`marginMax${axis}`] += delta.getComponent(k);
+      });
+      const rotated = delta.clone().applyEuler(new THREE.Euler(...state.rotation));
+      state.position = new THREE.Vector3().fromArray(state.position).add(delta).sub(rotated).toArray();
+      restoreLayerState(layer, state);
+    });
+    
+    // Free the angles first, or the old locks would clamp the saved camera
+    viewOptions.lockPolar = false;
+    viewOptions.lockAzimuth = false;
+    applyViewLocks();
+    camera.position.fromArray(session.camera.position).add(delta);
+    camera.up.fromArray(session.camera.up);
+    controls.target.fromArray(session.camera.target).add(delta);
+    controls.update();
+    Object.assign(viewOptions, session.view);
+    applyViewLocks();
+    
+    setActiveLayer(layers.find(l => l.name === session.activeLayer) || activeLayer);
+    renderLayerPanel();
+    return missing;
+  }
+  
+  // Function to put a layer back into a snapshot state and show it
+  function restoreLayerState(layer, state) {
+    const uniforms = layer.points.material.uniforms;
+    if (state.scalarField !== layer.scalarField) {
+      selectScalarField(layer, state.scalarField);
+    }
+    layer.points.position.fromArray(state.position);
+    layer.points.rotation.set(...state.rotation);
+    FILTER_UNIFORMS.forEach(name => {
+      uniforms[name].value = state[name];
+    });
+    layer.committedState = state;
+    
+    // Rebuild the GUI so sliders and field ranges match the restored state
+    if (layers.includes(layer)) setActiveLayer(layer);
+    render();
+  }
+  
+  // Function to record the changes made to a layer since its last snapshot
+  function recordLayerEdit(layer, label) {
+    const before = layer.committedState;
+    const after = snapshotLayer(layer);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    
+    layer.committedState = after;
+    // The edit may have moved the layer
+    scheduleLevelOfDetail();
+    history.record({
+      label: `${layer.name}: ${label}`,
+      undo: () => restoreLayerState(layer, before),
+      redo: () => restoreLayerState(layer, after),
+    });
+  }
+  
+  // Function to remove a layer as an undoable edit
+  function deleteLayer(layer) {
+    const index = layers.indexOf(layer);
+    if (index === -1) return;
+    removeLayer(layer);
+    history.record({
+      label: `Remove layer ${layer.name}`,
+      undo: () => addLayer(layer, index),
+      redo: () => removeLayer(layer),
+    });
+  }
+  
+  // Function to list history entries; undone ones are greyed out
+  function renderHistoryPanel() {
+    historyPanel.style.display = history.entries.length > 0 ? 'flex' : 'none';
+    undoButton.disabled = !history.canUndo();
+    redoButton.disabled = !history.canRedo();
+    
+    historyList.innerHTML = '';
+    // Clicking an entry returns to the state right after it; the first row
+    // is the state before any recorded edit
+    ['Loaded', ...history.entries.map(entry => entry.label)].forEach((label, i) => {
+      const item = document.createElement('li');
+      item.textContent = label;
+      item.title = label;
+      if (i === history.position) item.className = 'current';
+      else if (i > history.position) item.className = 'undone';
+      item.addEventListener('click', () => history.goTo(i));
+      historyList.appendChild(item);
+    });
+    historyList.scrollTop = historyList.scrollHeight;
+  }
+  
+  undoButton.addEventListener('click', () => history.undo());
+  redoButton.addEventListener('click', () => history.redo());
+  
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), also Ctrl+Y for redo. Text fields
+  // keep their own undo.
+  window.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      history.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      history.redo();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+  
+  // Copy a layer's field into the 'scalar' attribute and remember its range
+  function selectScalarField(layer, name) {
+    const cloud = layer.cloud;
+    const field = findField(cloud, name);
+    const values = new Float32Array(cloud.numPoints);
+    let min = Infinity, max = -Infinity;
+    if (field) {
+      for (let i = 0; i < values.length; i++) {
+        const v = field.values[i];
+        values[i] = v;
+        if (v < min) min = v;
+        if (v > max) max = v;
       }
-      render();
     }
+    layer.points.geometry.setAttribute('scalar', new THREE.Float32BufferAttribute(values, 1));
+    layer.scalarField = field ? name : null;
+    layer.fieldRange = min <= max ? [min, max] : [0, 0];
+    return layer.fieldRange;
+  }
+
+  // Shift+Left drag handler for Z-axis rotation
+  renderer.domElement.addEventListener('pointerdown', (e) => {
+    if (e.button === 0 && e.shiftKey && !selectionTool.active) {
+      isShiftDragging = true;
+      lastMouseX = e.clientX;
+      controls.enabled = false;
+    }
+  });
+
+  renderer.domElement.addEventListener('pointerup', (e) => {
+    if (isShiftDragging) {
+      isShiftDragging = false;
+      controls.enabled = true;
+    }
+  });
 
-    function onDoubleClick() {
-      camera.position.copy(initialCameraPos);
-      controls.target.copy(initialCameraTarget);
+  renderer.domElement.addEventListener('pointermove', (e) => {
+    if (isShiftDragging) {
+      const dx = e.clientX - lastMouseX;
+      const angle = dx * rotateSpeed;
+      
+      const zAxis = new THREE.Vector3(0, 0, 1);
+      camera.position.applyAxisAngle(zAxis, -angle);
+      camera.up.applyAxisAngle(zAxis, -angle);
+      camera.lookAt(controls.target);
+      
+      lastMouseX = e.clientX;
       controls.update();
       render();
     }
+  });
 
-    // Attach listeners
-    renderer.domElement.addEventListener('pointermove', onPointerMove);
-    renderer.domElement.addEventListener('click', onClick);
-    renderer.domElement.addEventListener('dblclick', onDoubleClick);
+  // Pick the nearest shown point under the cursor in every visible layer, at
+  // full resolution (points left out by the level of detail can be picked
+  // too) but through the octree, so only the nodes along the ray are tested
+  const _pickInverse = new THREE.Matrix4();
+  const _pickRay = new THREE.Ray();
+  function pickPoint(event) {
+    pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
+    raycaster.setFromCamera(pointer, camera);
+    let best = null;
+    layers.forEach(layer => {
+      const points = layer.points;
+      const octree = points.geometry.userData.octree;
+      if (!points.visible || !octree) return;
+      points.updateMatrixWorld();
+      _pickInverse.copy(points.matrixWorld).invert();
+      _pickRay.copy(raycaster.ray).applyMatrix4(_pickInverse);
+      // Layer transforms are rigid, so distances keep their scale
+      const hit = raycastOctree(
+        octree,
+        points.geometry.attributes.position.array,
+        _pickRay.origin.toArray(),
+        _pickRay.direction.normalize().toArray(),
+        raycaster.params.Points.threshold,
+        visiblePointTest(layer),
+      );
+      if (hit && (!best || hit.distance < best.distance)) best = { layer, hit };
+    });
+    if (!best) return null;
+    
+    // The point on the ray closest to the picked point, as the raycaster gives
+    const point = _pickRay.copy(raycaster.ray).at(best.hit.distance, new THREE.Vector3());
+    return { layer: best.layer, index: best.hit.index, point };
+  }
+  
+  // Function to copy a point state mask into a layer and redraw
+  function setPointState(layer, mask) {
+    layer.pointState.set(mask);
+    layer.points.geometry.attributes.pointState.needsUpdate = true;
+  }
+  
+  function updateSelectionCount() {
+    let selected = 0;
+    layers.forEach(layer => {
+      for (let i = 0; i < layer.pointState.length; i++) {
+        if (layer.pointState[i] === POINT_SELECTED) selected++;
+      }
+    });
+    selectionTool.setCount(selected);
+  }
+  
+  // Function to change the point states of every layer through `edit`,
+  // which returns true when it changed the layer. Recorded in history when
+  // points were deleted.
+  function editPointStates(label, edit, recordHistory) {
+    const changes = [];
+    layers.forEach(layer => {
+      const before = layer.pointState.slice();
+      if (!edit(layer, layer.pointState)) return;
+      layer.points.geometry.attributes.pointState.needsUpdate = true;
+      changes.push({ layer, before, after: layer.pointState.slice() });
+    });
+    
+    if (recordHistory && changes.length > 0) {
+      const restore = (key) => () => {
+        changes.forEach(change => setPointState(change.layer, change[key]));
+        updateSelectionCount();
+        render();
+      };
+      history.record({ label, undo: restore('before'), redo: restore('after') });
+    }
+    updateSelectionCount();
+    updateLabelPanel();
+    render();
+  }
+  
+  // Function to select the shown points of visible layers inside a screen region
+  function applySelection(inside, operation) {
+    const canvas = renderer.domElement;
+    const matrix = new THREE.Matrix4();
+    camera.updateMatrixWorld();
+    
+    editPointStates('Select', (layer, state) => {
+      if (operation === 'replace') {
+        for (let i = 0; i < state.length; i++) {
+          if (state[i] === POINT_SELECTED) state[i] = POINT_NORMAL;
+        }
+      }
+      if (!layer.points.visible) return true;
+      
+      const isShown = visiblePointTest(layer);
+      matrix
+        .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        .multiply(layer.points.matrixWorld);
+      const positions = layer.points.geometry.attributes.position.array;
+      const hits = selectPoints(positions, matrix.elements, canvas.clientWidth, canvas.clientHeight, inside, isShown);
+      const value = operation === 'subtract' ? POINT_NORMAL : POINT_SELECTED;
+      hits.forEach(i => {
+        state[i] = value;
+      });
+      return true;
+    }, false);
+  }
+  
+  // Function to run the invert / delete / keep / clear buttons
+  function applySelectionAction(action) {
+    const hasSelection = state => state.includes(POINT_SELECTED);
+    
+    if (action === 'invert') {
+      // Only points that can be seen take part in the inversion
+      editPointStates('Invert selection', (layer, state) => {
+        const isShown = layer.points.visible ? visiblePointTest(layer) : () => false;
+        for (let i = 0; i < state.length; i++) {
+          if (state[i] === POINT_REMOVED) continue;
+          state[i] = state[i] === POINT_NORMAL && isShown(i) ? POINT_SELECTED : POINT_NORMAL;
+        }
+        return true;
+      }, false);
+    } else if (action === 'delete') {
+      editPointStates('Delete selected points', (layer, state) => {
+        if (!hasSelection(state)) return false;
+        for (let i = 0; i < state.length; i++) {
+          if (state[i] === POINT_SELECTED) state[i] = POINT_REMOVED;
+        }
+        return true;
+      }, true);
+    } else if (action === 'keep') {
+      // A pending outlier preview is cleared first, so its points go back
+      // to their own state instead of being removed with the rest
+      layers.forEach(layer => {
+        if (layer.pointState.includes(POINT_PREVIEW)) clearOutlierPreview(layer);
+      });
+      // Layers without a selection are left alone
+      editPointStates('Keep only selected points', (layer, state) => {
+        if (!hasSelection(state)) return false;
+        for (let i = 0; i < state.length; i++) {
+          state[i] = state[i] === POINT_SELECTED ? POINT_NORMAL : POINT_REMOVED;
+        }
+        return true;
+      }, true);
+    } else if (action === 'clear') {
+      editPointStates('Clear selection', (layer, state) => {
+        for (let i = 0; i < state.length; i++) {
+          if (state[i] === POINT_SELECTED) state[i] = POINT_NORMAL;
+        }
+        return true;
+      }, false);
+    }
+  }
+  
+  // Rectangle and lasso selection
+  const selectionPanel = document.getElementById('selection-panel');
+  const selectionTool = createSelectionTool({
+    canvas: renderer.domElement,
+    panel: selectionPanel,
+    controls,
+    onSelect: applySelection,
+    onAction: applySelectionAction,
+  });
+
+  // Distance, angle, height and area measurements on picked points
+  const measurePanel = document.getElementById('measure-panel');
+  const measureTool = createMeasureTool({
+    scene,
+    panel: measurePanel,
+    render,
+    download: downloadBlob,
+  });
+  
+  // Class list, brush and label actions
+  const labelTool = createLabelTool({
+    canvas: renderer.domElement,
+    panel: document.getElementById('label-panel'),
+    controls,
+    onToggle: setLabelling,
+    onBrush: brushLabels,
+    onBrushEnd: endBrushStroke,
+    onClass: (id) => {
+      labelling.classId = id;
+      updateLabelPanel();
+    },
+    onClassChange: changeLabelClass,
+    onAction: runLabelAction,
+  });
+  
+  // Colour scale of the active layer
+  const colormapLegend = createColormapLegend(document.getElementById('colormap-legend'));
+  
+  // Clusters of the active layer
+  const clusterPanel = createClusterPanel({
+    panel: document.getElementById('cluster-panel'),
+    onToggle: index => chooseClusters(activeLayer, index),
+    onAction: action => {
+      if (action === 'all') chooseClusters(activeLayer, null, true);
+      if (action === 'none') chooseClusters(activeLayer, null, false);
+      if (action === 'clear') clearClusters(activeLayer);
+      if (action === 'separate') exportClusters(activeLayer, false);
+      if (action === 'labelled') exportClusters(activeLayer, true);
+    },
+  });
+  
+  // A click that ends an orbit drag should not pick a point
+  let pointerDownX = 0;
+  let pointerDownY = 0;
+  renderer.domElement.addEventListener('pointerdown', (e) => {
+    pointerDownX = e.clientX;
+    pointerDownY = e.clientY;
+  });
+
+  // Hover and selection handlers
+  function onPointerMove(event) {
+    if (isShiftDragging || layers.length === 0) return;
+    const hit = pickPoint(event);
+    
+    if (hit) {
+      const pos = hit.point;
+      hoverPos[0] = pos.x;
+      hoverPos[1] = pos.y;
+      hoverPos[2] = pos.z;
+      hoverGeom.attributes.position.needsUpdate = true;
+      hoverMarker.visible = true;
+      document.body.style.cursor = 'pointer';
+      updateXYZWidgetWithPoint(pos, originalPosition(hit.layer, hit.index));
+    } else {
+      hoverMarker.visible = false;
+      document.body.style.cursor = '';
+      updateXYZWidgetFromPointer(pointer);
+    }
+    render();
+  }
+
+  function onClick(event) {
+    if (event.button !== 0 || layers.length === 0 || labelTool.brushing) return;
+    if (Math.hypot(event.clientX - pointerDownX, event.clientY - pointerDownY) > 5) return;
+    const hit = pickPoint(event);
+    
+    if (hit) {
+      const pos = hit.point;
+      
+      selectPos[0] = pos.x;
+      selectPos[1] = pos.y;
+      selectPos[2] = pos.z;
+      selectGeom.attributes.position.needsUpdate = true;
+      selectionMarker.visible = true;
+      
+      const original = originalPosition(hit.layer, hit.index);
+      console.log('Selected point:', hit.index, 'layer:', hit.layer.name, 'position:', pos, 'file position:', original);
+      updateXYZWidgetWithPoint(pos, original);
+      showPointFields(hit.layer, hit.index);
+      if (activeLayer && activeLayer.registration.picking) {
+        addRegistrationPoint(activeLayer, hit);
+      } else if (cropTool.drawing) {
+        cropTool.addPoint(pos.toArray());
+      } else if (measureTool.active) {
+        measureTool.addPoint(pos.toArray());
+      } else if (hit.layer === activeLayer && hit.layer.clusterOf[hit.index] >= 0) {
+        chooseClusters(hit.layer, hit.layer.clusterOf[hit.index]);
+      }
+    } else {
+      selectionMarker.visible = false;
+      showPointFields(null);
+      // Polygon corners may also lie where there are no points
+      if (cropTool.drawing && raycaster.ray.intersectPlane(_plane, _tmpPt)) {
+        cropTool.addPoint(_tmpPt.toArray());
+      }
+    }
+    render();
+  }
+
+  function onDoubleClick() {
+    // Double-click closes a crop polygon or an area polygon while measuring
+    if (cropTool.drawing) {
+      cropTool.finish();
+      return;
+    }
+    if (measureTool.active) {
+      measureTool.finish();
+      return;
+    }
+    camera.position.copy(initialCameraPos);
+    controls.target.copy(initialCameraTarget);
+    controls.update();
+    render();
+  }
+
+  // Attach listeners
+  renderer.domElement.addEventListener('pointermove', onPointerMove);
+  renderer.domElement.addEventListener('click', onClick);
+  renderer.domElement.addEventListener('dblclick', onDoubleClick);
+  
+  // Function to build the lil-gui controls of a layer
+  function buildLayerGUI(layer) {
+    const points = layer.points;
+    const cloud = layer.cloud;
+    const defaultX = layer.defaults.x;
+    const defaultY = layer.defaults.y;
+    const defaultZ = layer.defaults.z;
+    
     let rotateClockwise = () => {
-      points.geometry.rotateZ(-Math.PI / 4);
+      points.rotation.z -= Math.PI / 4;
+      recordLayerEdit(layer, 'Rotate clockwise');
+      gui.updateDisplay();
       render();
     };
 
     let rotateAntiClockwise = () => {
-      points.geometry.rotateZ(Math.PI / 4);
+      points.rotation.z += Math.PI / 4;
+      recordLayerEdit(layer, 'Rotate anti-clockwise');
+      gui.updateDisplay();
       render();
     };
 
-    const gui = new GUI();
+    const gui = new GUI({ title: layer.name });
     currentGUI = gui;
-
-    // Store initial view for reset
-    const initialCameraPos = camera.position.clone();
-    const initialCameraTarget = controls.target.clone();
+    
+    // Slider drags and typed values become one history entry when finished
+    // (a registration preview waits for Apply or Discard)
+    gui.onFinishChange(event => {
+      if (layer.registration.pending) return;
+      recordLayerEdit(layer, event.controller.$name.textContent);
+    });
     
     const guiOptions = {
-      lockPolar: false,
-      lockAzimuth: false,
       rotateClockwise: rotateClockwise,
       rotateAntiClockwise: rotateAntiClockwise,
       resetView: () => {
@@ -738,34 +3096,6 @@ DATA ascii
         controls.update();
         render();
       },
-      applyPresetValues: () => {
-        points.material.uniforms.enableFilterX.value = true;
-        points.material.uniforms.marginMinX.value = -9.8;
-        points.material.uniforms.marginMaxX.value = 7.9;
-        
-        points.material.uniforms.enableFilterY.value = true;
-        points.material.uniforms.marginMinY.value = -8;
-        points.material.uniforms.marginMaxY.value = 30;
-        
-        points.material.uniforms.enableFilterZ.value = true;
-        points.material.uniforms.marginMinZ.value = -3.3;
-        points.material.uniforms.marginMaxZ.value = 1;
-        
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
-        
-        gui.updateDisplay();
-        render();
-      },
       resetFilters: () => {
         // Reset to original bounds
         points.material.uniforms.marginMinX.value = defaultX[0];
@@ -774,26 +3104,36 @@ DATA ascii
         points.material.uniforms.marginMaxY.value = defaultY[1];
         points.material.uniforms.marginMinZ.value = defaultZ[0];
         points.material.uniforms.marginMaxZ.value = defaultZ[1];
+        points.material.uniforms.marginMinField.value = layer.fieldRange[0];
+        points.material.uniforms.marginMaxField.value = layer.fieldRange[1];
         
         // Disable all filters
         points.material.uniforms.enableFilterX.value = false;
         points.material.uniforms.enableFilterY.value = false;
         points.material.uniforms.enableFilterZ.value = false;
+        points.material.uniforms.enableFilterField.value = false;
         
         // Remove bounding box
-        if (filterBoundingBox) {
-          scene.remove(filterBoundingBox);
-          filterBoundingBox.geometry.dispose();
-          filterBoundingBox.material.dispose();
-          filterBoundingBox = null;
-        }
+        refreshBoundingBox();
+        recordLayerEdit(layer, 'Reset filters');
         
         gui.updateDisplay();
         render();
       }
     };
+    
+    // Layer transform in degrees for the GUI
+    const rotationDegrees = {
+      get roll() { return THREE.MathUtils.radToDeg(points.rotation.x); },
+      set roll(value) { points.rotation.x = THREE.MathUtils.degToRad(value); },
+      get pitch() { return THREE.MathUtils.radToDeg(points.rotation.y); },
+      set pitch(value) { points.rotation.y = THREE.MathUtils.degToRad(value); },
+      get yaw() { return THREE.MathUtils.radToDeg(points.rotation.z); },
+      set yaw(value) { points.rotation.z = THREE.MathUtils.degToRad(value); },
+    };
 
     const folderGeneral = gui.addFolder("General");
+    const folderTransform = gui.addFolder("Transform");
     const folderX = gui.addFolder("X axis");
     const folderY = gui.addFolder("Y axis");
     const folderZ = gui.addFolder("Z axis");
@@ -803,33 +3143,27 @@ DATA ascii
       .name("Point size")
       .onChange(render);
     folderGeneral
-      .add(guiOptions, "lockPolar")
+      .addColor(points.material.uniforms.tint, "value")
+      .name("Tint")
+      .onChange(render);
+    folderGeneral
+      .add(viewOptions, "lockPolar")
       .name("Lock polar angle")
-      .onChange((value) => {
-        if (value == true) {
-          let polarAngle = controls.getPolarAngle();
-          controls.minPolarAngle = polarAngle;
-          controls.maxPolarAngle = polarAngle;
-        } else {
-          controls.minPolarAngle = 0;
-          controls.maxPolarAngle = Math.PI;
-        }
-        render();
-      });
+      .onChange(applyViewLocks);
     folderGeneral
-      .add(guiOptions, "lockAzimuth")
+      .add(viewOptions, "lockAzimuth")
       .name("Lock azimuthal angle")
-      .onChange((value) => {
-        if (value == true) {
-          let azimuthalAngle = controls.getAzimuthalAngle();
-          controls.minAzimuthAngle = azimuthalAngle;
-          controls.maxAzimuthAngle = azimuthalAngle;
-        } else {
-          controls.minAzimuthAngle = 0;
-          controls.maxAzimuthAngle = Infinity;
-        }
-        render();
-      });
+      .onChange(applyViewLocks);
+    folderGeneral
+      .add(viewOptions, "pointBudget", 100000, 20000000, 100000)
+      .name("Point budget (all layers)")
+      .onFinishChange(scheduleLevelOfDetail);
+    const memoryControl = folderGeneral
+      .add(viewOptions, "memoryBudget", 1000000, 100000000, 1000000)
+      .name("Tile set memory (points)")
+      .onFinishChange(scheduleLevelOfDetail);
+    memoryControl.domElement.title =
+      'Most points of .pcdtiles files kept loaded; nodes the view no longer needs are dropped past it. Never less than the point budget.';
     folderGeneral
       .add(guiOptions, "rotateClockwise")
       .name("Rotate clockwise");
@@ -839,73 +3173,225 @@ DATA ascii
     folderGeneral
       .add(guiOptions, "resetView")
       .name("Reset View");
-    folderGeneral
-      .add(guiOptions, "applyPresetValues")
-      .name("Apply Preset Filters");
     folderGeneral
       .add(guiOptions, "resetFilters")
       .name("Reset Filters");
     
-    if (points.material.uniforms.useRgb) {
-      folderGeneral
-        .add(points.material.uniforms.useRgb, "value")
-        .name("Use RGB color")
-        .onChange(render);
-      folderGeneral
+    const folderColor = folderGeneral.addFolder("Colour");
+    const colorSources = {};
+    if (layer.hasColor) colorSources["RGB"] = "rgb";
+    Object.assign(colorSources, { "X": "x", "Y": "y", "Z": "z", "Distance from origin": "distance" });
+    layer.scalarFields.forEach(field => {
+      colorSources[field.name] = field.name;
+    });
+    folderColor
+      .add(layer.coloring, "by", colorSources)
+      .name("Colour by")
+      .onChange((by) => {
+        if (looksCategorical(cloud, by)) layer.coloring.colormap = 'categorical';
+        else if (isCategorical(layer.coloring.colormap)) layer.coloring.colormap = 'viridis';
+        applyColoring(layer);
+        gui.updateDisplay();
+      });
+    folderColor
+      .add(layer.coloring, "colormap", COLORMAPS)
+      .name("Colormap")
+      .onChange(() => applyColoring(layer, false));
+    const onRangeChange = () => {
+      updateLegend();
+      render();
+    };
+    folderColor.add(points.material.uniforms.colorMin, "value").name("Range min").onChange(onRangeChange);
+    folderColor.add(points.material.uniforms.colorMax, "value").name("Range max").onChange(onRangeChange);
+    folderColor
+      .add({ fit: () => {
+        applyColoring(layer);
+        gui.updateDisplay();
+      } }, "fit")
+      .name("Fit range to data");
+    if (layer.hasColor) {
+      folderColor
         .add(points.material.uniforms.rgbBoost, "value", 0.5, 2)
         .name("RGB boost")
         .onChange(render);
     }
     
+    const folderPresets = folderGeneral.addFolder("Region presets");
+    const presets = layer.presets;
+    const datasets = Object.keys(presetLibrary.datasets);
+    if (!datasets.includes(presets.dataset)) datasets.push(presets.dataset);
+    folderPresets
+      .add(presets, "dataset", datasets.sort())
+      .name("Dataset")
+      .onChange(() => {
+        presets.region = '';
+        setActiveLayer(layer);
+      });
+    folderPresets
+      .add(presets, "region", ['', ...regionNames(presetLibrary, presets.dataset)])
+      .name("Region")
+      .onChange(name => applyRegion(layer, name));
+    folderPresets.add(presets, "newName").name("New region name");
+    folderPresets.add({ save: () => saveRegion(layer) }, "save").name("Save filter box as region");
+    folderPresets.add({ remove: () => deleteRegion(layer) }, "remove").name("Delete region");
+    folderPresets.add({ importLibrary: importPresetLibrary }, "importLibrary").name("Import presets (JSON)");
+    folderPresets.add({ exportLibrary: exportPresetLibrary }, "exportLibrary").name("Export presets (JSON)");
+    folderPresets.close();
+    
+    const folderVoxel = folderGeneral.addFolder("Voxel grid");
+    folderVoxel.add(layer.voxel, "leafX").min(0.001).step(0.01).name("Leaf size X");
+    folderVoxel.add(layer.voxel, "leafY").min(0.001).step(0.01).name("Leaf size Y");
+    folderVoxel.add(layer.voxel, "leafZ").min(0.001).step(0.01).name("Leaf size Z");
+    folderVoxel.add(layer.voxel, "mode", ["centroid", "first"]).name("Point position");
+    folderVoxel.add({ downsample: () => downsampleLayer(layer) }, "downsample").name("Downsample");
+    folderVoxel.add(layer.voxel, "points").name("Points").disable();
+    folderVoxel.close();
+    
+    const folderOutliers = gui.addFolder("Outlier removal");
+    const outlierActions = {
+      preview: () => {
+        previewOutliers(layer);
+        gui.updateDisplay();
+      },
+      clear: () => {
+        clearOutlierPreview(layer);
+        gui.updateDisplay();
+      },
+      remove: () => removeOutliers(layer),
+    };
+    folderOutliers.add(layer.outliers, "method", ["statistical", "radius"]).name("Method");
+    folderOutliers.add(layer.outliers, "k", 1, 100, 1).name("Neighbours (k)");
+    folderOutliers.add(layer.outliers, "stdMul", 0, 5, 0.1).name("Std-dev multiplier");
+    folderOutliers.add(layer.outliers, "radius").min(0.001).step(0.01).name("Radius");
+    folderOutliers.add(layer.outliers, "minNeighbors", 1, 100, 1).name("Min neighbours");
+    folderOutliers.add(outlierActions, "preview").name("Preview");
+    folderOutliers.add(outlierActions, "clear").name("Clear preview");
+    folderOutliers.add(outlierActions, "remove").name("Remove outliers");
+    folderOutliers.add(layer.outliers, "found").name("Outliers").disable();
+    folderOutliers.close();
+    
+    const folderPlanes = gui.addFolder("Planes (RANSAC)");
+    const planeSettings = layer.planes;
+    folderPlanes.add(planeSettings, "maxPlanes", 1, 10, 1).name("Number of planes");
+    folderPlanes.add(planeSettings, "threshold").min(0.001).step(0.005).name("Distance threshold");
+    folderPlanes.add(planeSettings, "iterations", 10, 2000, 10).name("Iterations");
+    folderPlanes.add(planeSettings, "minInliers").min(3).step(1).name("Min inliers");
+    folderPlanes.add({ find: () => findPlanes(layer) }, "find").name("Find planes");
+    if (planeSettings.results.length > 0) {
+      const segmentModes = ["show", "hide", "isolate"];
+      folderPlanes
+        .add(points.material.uniforms.useSegmentColors, "value")
+        .name("Colour planes")
+        .onChange(render);
+      planeSettings.results.forEach((result, p) => {
+        const folderPlane = folderPlanes.addFolder(`Plane ${p + 1} (${result.inliers} inliers)`);
+        folderPlane.add(result, "equation").name("Equation").disable();
+        folderPlane.add(result, "mode", segmentModes).name("Inliers").onChange(() => applySegmentModes(layer));
+        folderPlane
+          .add({ exportInliers: () => exportLayerSubset(layer, i => layer.planeOf[i] === p, `plane${p + 1}`) }, "exportInliers")
+          .name("Export inliers");
+      });
+      const folderRemainder = folderPlanes.addFolder("Remaining points");
+      folderRemainder.add(planeSettings, "remainderMode", segmentModes).name("Points").onChange(() => applySegmentModes(layer));
+      folderRemainder
+        .add({ exportRemainder: () => exportLayerSubset(layer, i => layer.planeOf[i] < 0, "no_planes") }, "exportRemainder")
+        .name("Export remaining");
+      folderPlanes.add({ clear: () => clearPlanes(layer) }, "clear").name("Clear planes");
+    } else {
+      folderPlanes.close();
+    }
+    
+    const folderNormals = gui.addFolder("Normals");
+    const hasNormals = !!points.geometry.attributes.normal;
+    folderNormals.add(layer.normals, "method", { "k nearest": "knn", "Radius": "radius" }).name("Neighbours");
+    folderNormals.add(layer.normals, "k", 3, 100, 1).name("k");
+    folderNormals.add(layer.normals, "radius").min(0.001).step(0.01).name("Radius");
+    folderNormals.add({ estimate: () => estimateLayerNormals(layer) }, "estimate").name(hasNormals ? "Re-estimate normals" : "Estimate normals");
+    if (hasNormals) {
+      folderNormals.add(points.material.uniforms.useLighting, "value").name("Lit shading").onChange(render);
+      folderNormals.add(layer.normals, "showLines").name("Show normals").onChange(() => updateNormalLines(layer));
+      folderNormals.add(layer.normals, "lineLength").min(0.001).step(0.01).name("Normal length")
+        .onFinishChange(() => updateNormalLines(layer));
+    } else {
+      folderNormals.close();
+    }
+    
+    const otherLayers = layers.filter(l => l !== layer);
+    if (otherLayers.length > 0) {
+      const registration = layer.registration;
+      if (!otherLayers.some(l => l.id === registration.target)) registration.target = otherLayers[0].id;
+      const folderRegistration = gui.addFolder("Registration (ICP)");
+      folderRegistration
+        .add(registration, "target", Object.fromEntries(otherLayers.map(l => [l.name, l.id])))
+        .name("Align to");
+      folderRegistration.add(registration, "method", ["point-to-point", "point-to-plane"]).name("Method");
+      folderRegistration.add(registration, "maxDistance").min(0.001).step(0.05).name("Max pair distance");
+      folderRegistration.add(registration, "maxIterations", 1, 200, 1).name("Max iterations");
+      folderRegistration.add({ pick: () => startPairPicking(layer) }, "pick").name("Pick 3 point pairs");
+      folderRegistration.add({ run: () => runRegistration(layer) }, "run").name("Run ICP");
+      folderRegistration
+        .add({ stop: () => { registration.running = false; } }, "stop")
+        .name("Stop");
+      folderRegistration.add(registration, "status").name("Status").disable();
+      folderRegistration
+        .add({ apply: () => {
+          registration.running = false;
+          registration.pending = false;
+          recordLayerEdit(layer, 'Apply registration');
+          gui.updateDisplay();
+        } }, "apply")
+        .name("Apply to layer");
+      folderRegistration
+        .add({ discard: () => {
+          registration.running = false;
+          registration.picking = false;
+          registration.pending = false;
+          registration.status = 'Not run';
+          restoreLayerState(layer, layer.committedState);
+        } }, "discard")
+        .name("Discard");
+      folderRegistration.add({ exportMatrix: () => exportRegistrationMatrix(layer) }, "exportMatrix").name("Export 4×4 matrix");
+      // In the original frame the alignment is applied rather than only
+      // written in VIEWPOINT
+      const alignedFrame = () => (exportFrameSelect.value === 'original' ? 'map' : 'displayed');
+      folderRegistration.add({ exportCloud: () => exportFilteredPCD(layer, alignedFrame()) }, "exportCloud").name("Export aligned cloud");
+      folderRegistration.close();
+    }
+    
+    const folderClusters = gui.addFolder("Clusters (Euclidean)");
+    folderClusters.add(layer.clusters, "tolerance").min(0.001).step(0.01).name("Tolerance");
+    folderClusters.add(layer.clusters, "minSize").min(1).step(1).name("Min points");
+    folderClusters.add(layer.clusters, "maxSize").min(1).step(1).name("Max points");
+    folderClusters.add({ find: () => findClusters(layer) }, "find").name("Find clusters");
+    if (layer.clusters.results.length === 0) folderClusters.close();
+    
+    folderTransform.add(points.position, "x").step(0.01).name("Offset X").onChange(render);
+    folderTransform.add(points.position, "y").step(0.01).name("Offset Y").onChange(render);
+    folderTransform.add(points.position, "z").step(0.01).name("Offset Z").onChange(render);
+    folderTransform.add(rotationDegrees, "roll", -180, 180, 0.1).name("Roll (°)").onChange(render);
+    folderTransform.add(rotationDegrees, "pitch", -180, 180, 0.1).name("Pitch (°)").onChange(render);
+    folderTransform.add(rotationDegrees, "yaw", -360, 360, 0.1).name("Yaw (°)").onChange(render);
+    folderTransform.close();
+    
     folderX
       .add(points.material.uniforms.enableFilterX, "value")
       .name("Enable X filter")
       .onChange(() => {
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderY
       .add(points.material.uniforms.enableFilterY, "value")
       .name("Enable Y filter")
       .onChange(() => {
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderZ
       .add(points.material.uniforms.enableFilterZ, "value")
       .name("Enable Z filter")
       .onChange(() => {
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderX
@@ -918,17 +3404,7 @@ DATA ascii
           points.material.uniforms.marginMinX.value = points.material.uniforms.marginMaxX.value;
           gui.updateDisplay();
         }
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderX
@@ -941,17 +3417,7 @@ DATA ascii
           points.material.uniforms.marginMaxX.value = points.material.uniforms.marginMinX.value;
           gui.updateDisplay();
         }
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderY
@@ -964,17 +3430,7 @@ DATA ascii
           points.material.uniforms.marginMinY.value = points.material.uniforms.marginMaxY.value;
           gui.updateDisplay();
         }
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderY
@@ -987,17 +3443,7 @@ DATA ascii
           points.material.uniforms.marginMaxY.value = points.material.uniforms.marginMinY.value;
           gui.updateDisplay();
         }
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderZ
@@ -1010,17 +3456,7 @@ DATA ascii
           points.material.uniforms.marginMinZ.value = points.material.uniforms.marginMaxZ.value;
           gui.updateDisplay();
         }
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
     folderZ
@@ -1033,30 +3469,83 @@ DATA ascii
           points.material.uniforms.marginMaxZ.value = points.material.uniforms.marginMinZ.value;
           gui.updateDisplay();
         }
-        updateBoundingBox(
-          points.material.uniforms.marginMinX.value,
-          points.material.uniforms.marginMaxX.value,
-          points.material.uniforms.marginMinY.value,
-          points.material.uniforms.marginMaxY.value,
-          points.material.uniforms.marginMinZ.value,
-          points.material.uniforms.marginMaxZ.value,
-          points.material.uniforms.enableFilterX.value,
-          points.material.uniforms.enableFilterY.value,
-          points.material.uniforms.enableFilterZ.value
-        );
+        refreshBoundingBox();
         render();
       });
+    
+    if (layer.scalarFields.length > 0) {
+      const folderField = gui.addFolder("Field filter");
+      const fieldOptions = { field: layer.scalarField };
+      let fieldMinController = null;
+      let fieldMaxController = null;
+      
+      // Integer fields (classification, ring, ...) step by whole values
+      const fieldStep = (name) => (findField(cloud, name).type === 'F' ? 0.01 : 1);
+      
+      folderField
+        .add(fieldOptions, "field", layer.scalarFields.map(f => f.name))
+        .name("Field")
+        .onChange((name) => {
+          const fieldRange = selectScalarField(layer, name);
+          points.material.uniforms.marginMinField.value = fieldRange[0];
+          points.material.uniforms.marginMaxField.value = fieldRange[1];
+          [fieldMinController, fieldMaxController].forEach(controller => {
+            controller.min(fieldRange[0]).max(fieldRange[1]).step(fieldStep(name));
+          });
+          gui.updateDisplay();
+          render();
+        });
+      folderField
+        .add(points.material.uniforms.enableFilterField, "value")
+        .name("Enable field filter")
+        .onChange(render);
+      fieldMinController = folderField
+        .add(points.material.uniforms.marginMinField, "value", layer.fieldRange[0], layer.fieldRange[1], fieldStep(fieldOptions.field))
+        .name("Min")
+        .onChange((value) => {
+          // Ensure min doesn't exceed max
+          if (value > points.material.uniforms.marginMaxField.value) {
+            points.material.uniforms.marginMinField.value = points.material.uniforms.marginMaxField.value;
+            gui.updateDisplay();
+          }
+          render();
+        });
+      fieldMaxController = folderField
+        .add(points.material.uniforms.marginMaxField, "value", layer.fieldRange[0], layer.fieldRange[1], fieldStep(fieldOptions.field))
+        .name("Max")
+        .onChange((value) => {
+          // Ensure max doesn't go below min
+          if (value < points.material.uniforms.marginMinField.value) {
+            points.material.uniforms.marginMaxField.value = points.material.uniforms.marginMinField.value;
+            gui.updateDisplay();
+          }
+          render();
+        });
+    }
+    
+    cropTool.buildGUI(gui);
+    cuboidTool.buildGUI(gui);
     gui.open();
+  }
 
-    // Create XYZ widget
+  // XYZ widget elements, created with the first layer
+  let barX, barY, barZ, xyzValues, xyzOriginal, pointFields;
+  
+  // Function to create the XYZ widget
+  function createXYZWidget() {
     const xyzWidget = document.createElement('div');
     xyzWidget.id = 'xyz-widget';
     currentXYZWidget = xyzWidget;
     xyzWidget.innerHTML = `
       <div style="display:flex;justify-content:space-between;align-items:center;">
         <div class="label"><strong>XYZ</strong></div>
-        <div class="value" id="xyz-values">-</div>
+        <div class="value" id="xyz-values" title="Displayed frame">-</div>
       </div>
+      <div class="original-row">
+        <div class="label">file</div>
+        <div class="value" id="xyz-original" title="Original frame (file coordinates)">-</div>
+      </div>
+      <div id="point-fields"></div>
       <div class="bar-row">
         <div class="bars">
           <div class="bar x"><div class="bar-inner" id="bar-x"></div></div>
@@ -1067,47 +3556,94 @@ DATA ascii
     `;
     document.body.appendChild(xyzWidget);
 
-    const barX = document.getElementById('bar-x');
-    const barY = document.getElementById('bar-y');
-    const barZ = document.getElementById('bar-z');
-    const xyzValues = document.getElementById('xyz-values');
+    barX = document.getElementById('bar-x');
+    barY = document.getElementById('bar-y');
+    barZ = document.getElementById('bar-z');
+    xyzValues = document.getElementById('xyz-values');
+    xyzOriginal = document.getElementById('xyz-original');
+    pointFields = document.getElementById('point-fields');
+  }
 
-    function norm(val, min, max) {
-      if (max === min) return 0.5;
-      return Math.max(0, Math.min(1, (val - min) / (max - min)));
-    }
+  function norm(val, min, max) {
+    // (also when no layer is visible and the bounds are empty)
+    if (!(max > min)) return 0.5;
+    return Math.max(0, Math.min(1, (val - min) / (max - min)));
+  }
 
-    function updateXYZWidgetWithPoint(pt) {
-      const mx = cloudMargins[selectedDataset].global.x;
-      const my = cloudMargins[selectedDataset].global.y;
-      const mz = cloudMargins[selectedDataset].global.z;
+  // Bars span the bounds of the visible layers, as displayed. `original` is
+  // the point in file coordinates; by default it is worked out from the
+  // active layer's transform.
+  const _widgetBounds = new THREE.Box3();
+  function updateXYZWidgetWithPoint(pt, original = null) {
+    _widgetBounds.makeEmpty();
+    layers.forEach(layer => {
+      if (layer.points.visible) _widgetBounds.expandByObject(layer.points);
+    });
+    const { min, max } = _widgetBounds;
 
-      const nx = norm(pt.x, mx[0], mx[1]);
-      const ny = norm(pt.y, my[0], my[1]);
-      const nz = norm(pt.z, mz[0], mz[1]);
+    const nx = norm(pt.x, min.x, max.x);
+    const ny = norm(pt.y, min.y, max.y);
+    const nz = norm(pt.z, min.z, max.z);
 
-      barX.style.height = Math.max(6, Math.round(nx * 100)) + '%';
-      barY.style.height = Math.max(6, Math.round(ny * 100)) + '%';
-      barZ.style.height = Math.max(6, Math.round(nz * 100)) + '%';
-      xyzValues.textContent = `${pt.x.toFixed(2)}, ${pt.y.toFixed(2)}, ${pt.z.toFixed(2)}`;
+    barX.style.height = Math.max(6, Math.round(nx * 100)) + '%';
+    barY.style.height = Math.max(6, Math.round(ny * 100)) + '%';
+    barZ.style.height = Math.max(6, Math.round(nz * 100)) + '%';
+    xyzValues.textContent = `${pt.x.toFixed(2)}, ${pt.y.toFixed(2)}, ${pt.z.toFixed(2)}`;
+    
+    if (!original && activeLayer) {
+      original = pt.clone().applyMatrix4(layerDisplayMatrix(activeLayer).invert());
     }
+    xyzOriginal.textContent = original
+      ? `${original.x.toFixed(2)}, ${original.y.toFixed(2)}, ${original.z.toFixed(2)}`
+      : '-';
+  }
+  
+  // Exact file coordinates of point i of a layer
+  function originalPosition(layer, i) {
+    const [x, y, z] = ['x', 'y', 'z'].map(name => {
+      const field = findField(layer.cloud, name);
+      return field.values[i * field.count];
+    });
+    return new THREE.Vector3(x, y, z);
+  }
 
-    const _plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-    const _tmpPt = new THREE.Vector3();
-    function updateXYZWidgetFromPointer(pointer) {
-      raycaster.setFromCamera(pointer, camera);
-      const ok = raycaster.ray.intersectPlane(_plane, _tmpPt);
-      if (ok && _tmpPt) {
-        updateXYZWidgetWithPoint(_tmpPt);
+  // List the original field values of the picked point
+  function showPointFields(layer, idx) {
+    if (!layer) {
+      pointFields.textContent = '';
+      return;
+    }
+    const lines = layers.length > 1 ? [`layer: ${layer.name}`] : [];
+    for (const field of layer.cloud.fields) {
+      if (['x', 'y', 'z'].includes(field.name)) continue;
+      let value;
+      if ((field.name === 'rgb' || field.name === 'rgba') && field.size === 4) {
+        const packed = new Uint32Array(field.values.buffer, field.values.byteOffset, field.values.length)[idx];
+        value = [(packed >> 16) & 0xff, (packed >> 8) & 0xff, packed & 0xff].join(', ');
       } else {
-        barX.style.height = '6%';
-        barY.style.height = '6%';
-        barZ.style.height = '6%';
-        xyzValues.textContent = '-';
+        value = Array.from(field.values.subarray(idx * field.count, (idx + 1) * field.count))
+          .map(v => (Number.isInteger(v) ? v : v.toFixed(3)))
+          .join(', ');
       }
+      lines.push(`${field.name}: ${value}`);
     }
+    pointFields.textContent = lines.join('\n');
+  }
 
-    render();
+  const _plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+  const _tmpPt = new THREE.Vector3();
+  function updateXYZWidgetFromPointer(pointer) {
+    raycaster.setFromCamera(pointer, camera);
+    const ok = raycaster.ray.intersectPlane(_plane, _tmpPt);
+    if (ok && _tmpPt) {
+      updateXYZWidgetWithPoint(_tmpPt);
+    } else {
+      barX.style.height = '6%';
+      barY.style.height = '6%';
+      barZ.style.height = '6%';
+      xyzValues.textContent = '-';
+      xyzOriginal.textContent = '-';
+    }
   }
 
   window.addEventListener("resize", onWindowResize);
@@ -1117,9 +3653,11 @@ function onWindowResize() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  labelRenderer.setSize(window.innerWidth, window.innerHeight);
   render();
 }
 
 function render() {
   renderer.render(scene, camera);
+  labelRenderer.render(scene, camera);
 }
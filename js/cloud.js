@@ -0,0 +1,122 @@
+// Helpers for the in-memory point cloud shared by the loaders and writers.
+//
+// A cloud is { numPoints, fields, viewpoint } where every field is
+// { name, size, type, count, values } using PCD semantics for SIZE/TYPE/COUNT
+// and `values` is a typed array with numPoints * count elements.
+
+const TYPED_ARRAYS = {
+  F4: Float32Array,
+  F8: Float64Array,
+  U1: Uint8Array,
+  U2: Uint16Array,
+  U4: Uint32Array,
+  I1: Int8Array,
+  I2: Int16Array,
+  I4: Int32Array,
+};
+
+export function typedArrayFor(type, size) {
+  const ArrayType = TYPED_ARRAYS[type + size];
+  if (!ArrayType) {
+    throw new Error(`Unsupported field type ${type} with size ${size}`);
+  }
+  return ArrayType;
+}
+
+export function createField(name, type, size, numPoints, count = 1) {
+  const ArrayType = typedArrayFor(type, size);
+  return { name, size, type, count, values: new ArrayType(numPoints * count) };
+}
+
+// Float32 values print with ~17 digits by default; use the shortest decimal
+// (at most 9 significant digits) that reads back as the same float32.
+export function formatFieldValue(value, type, size) {
+  if (type !== 'F' || size !== 4) return String(value);
+  for (let precision = 6; precision < 9; precision++) {
+    const short = Number(value.toPrecision(precision));
+    if (Math.fround(short) === value) return String(short);
+  }
+  return String(Number(value.toPrecision(9)));
+}
+
+export function findField(cloud, name) {
+  return cloud.fields.find(f => f.name === name) || null;
+}
+
+// A packed rgb/rgba colour: one 32-bit word whatever its TYPE
+export function isPackedColorField(field) {
+  return (field.name === 'rgb' || field.name === 'rgba') && field.size === 4 && field.count === 1;
+}
+
+// Fields like `label`, `classification` or `ring` hold ids, not amounts
+export function isCategoricalField(field) {
+  return field.type !== 'F' && /label|class|cluster|segment|instance|^ring$/i.test(field.name);
+}
+
+// Copy the points at `indices` (in order) into a new cloud with the same fields
+export function subsetCloud(cloud, indices) {
+  const numPoints = indices.length;
+  const fields = cloud.fields.map(field => {
+    const out = createField(field.name, field.type, field.size, numPoints, field.count);
+    const src = field.values;
+    const dst = out.values;
+    const count = field.count;
+    if (count === 1) {
+      for (let k = 0; k < numPoints; k++) dst[k] = src[indices[k]];
+    } else {
+      for (let k = 0; k < numPoints; k++) {
+        const s = indices[k] * count;
+        for (let c = 0; c < count; c++) dst[k * count + c] = src[s + c];
+      }
+    }
+    return out;
+  });
+  return { ...cloud, numPoints, fields };
+}
+
+// Concatenate clouds into one. Fields are the union of all inputs in
+// first-seen order; points from a cloud without a field get 0. Fields whose
+// type or size differ between inputs are widened to F8, fields whose count
+// differs are dropped. Packed rgb/rgba words (F4 in PCL files, U4 from the
+// other loaders) keep the first input's type and are copied bit for bit.
+export function mergeClouds(clouds) {
+  const specs = new Map();
+  for (const cloud of clouds) {
+    for (const field of cloud.fields) {
+      const spec = specs.get(field.name);
+      if (!spec) {
+        specs.set(field.name, {
+          type: field.type, size: field.size, count: field.count, packed: isPackedColorField(field),
+        });
+      } else if (spec.count !== field.count) {
+        spec.dropped = true;
+      } else if (spec.packed && isPackedColorField(field)) {
+        continue;
+      } else if (spec.type !== field.type || spec.size !== field.size) {
+        spec.type = 'F';
+        spec.size = 8;
+        spec.packed = false;
+      }
+    }
+  }
+
+  const numPoints = clouds.reduce((sum, cloud) => sum + cloud.numPoints, 0);
+  const fields = [];
+  for (const [name, spec] of specs) {
+    if (spec.dropped) continue;
+    const out = createField(name, spec.type, spec.size, numPoints, spec.count);
+    let offset = 0;
+    const words = spec.packed ? new Uint32Array(out.values.buffer, out.values.byteOffset, numPoints) : null;
+    for (const cloud of clouds) {
+      const field = findField(cloud, name);
+      if (field && words) {
+        words.set(new Uint32Array(field.values.buffer, field.values.byteOffset, cloud.numPoints), offset);
+      } else if (field) {
+        out.values.set(field.values, offset * spec.count);
+      }
+      offset += cloud.numPoints;
+    }
+    fields.push(out);
+  }
+  return { numPoints, fields, viewpoint: clouds[0].viewpoint };
+}
@@ -0,0 +1,64 @@
+// Cluster list of the active layer: point count and bounds per cluster,
+// click to choose clusters, and export actions for the chosen ones.
+
+function formatBounds({ min, max }) {
+  const size = max.map((v, axis) => (v - min[axis]).toFixed(2));
+  return `${size.join(' × ')} m at (${min.map(v => v.toFixed(2)).join(', ')})`;
+}
+
+// `onToggle(index)` flips whether a cluster is chosen, `onAction(action)`
+// receives 'separate', 'labelled', 'all', 'none' or 'clear'
+export function createClusterPanel({ panel, onToggle, onAction }) {
+  panel.innerHTML = `
+    <div class="cluster-header"><span>Clusters</span><span class="cluster-count"></span></div>
+    <div class="cluster-hint">Click a cluster in the list or in the cloud to choose it.</div>
+    <ol class="cluster-list"></ol>
+    <div class="cluster-actions">
+      <button data-action="all">All</button>
+      <button data-action="none">None</button>
+      <button data-action="clear">Clear</button>
+    </div>
+    <div class="cluster-actions">
+      <button data-action="separate" title="One file per chosen cluster">Export files</button>
+      <button data-action="labelled" title="Chosen clusters in one file with a label field">Export labelled</button>
+    </div>
+  `;
+  const count = panel.querySelector('.cluster-count');
+  const list = panel.querySelector('.cluster-list');
+
+  // `clusters` is a list of { size, bounds, color, chosen }, or null to hide
+  function update(clusters) {
+    panel.style.display = clusters && clusters.length > 0 ? 'flex' : 'none';
+    if (!clusters) return;
+
+    const chosen = clusters.filter(cluster => cluster.chosen).length;
+    count.textContent = `${chosen} / ${clusters.length} chosen`;
+    list.innerHTML = '';
+    clusters.forEach((cluster, i) => {
+      const item = document.createElement('li');
+      item.classList.toggle('chosen', cluster.chosen);
+      item.dataset.index = i;
+      const swatch = document.createElement('span');
+      swatch.className = 'cluster-swatch';
+      swatch.style.background = `rgb(${cluster.color.map(c => Math.round(c * 255)).join(',')})`;
+      const text = document.createElement('span');
+      text.textContent = `${i + 1}. ${cluster.size} pts, ${formatBounds(cluster.bounds)}`;
+      item.append(swatch, text);
+      list.appendChild(item);
+    });
+  }
+
+  panel.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (button) {
+      onAction(button.dataset.action);
+      return;
+    }
+    const item = e.target.closest('li');
+    if (item) onToggle(Number(item.dataset.index));
+  });
+
+  update(null);
+
+  return { update };
+}
@@ -0,0 +1,51 @@
+// Euclidean cluster extraction, following PCL's EuclideanClusterExtraction:
+// points closer than `tolerance` to a member of a cluster join it. Clusters
+// outside [minSize, maxSize] points are dropped.
+import { buildKDTree } from "./kdtree.js";
+
+// Returns point index lists (Uint32Array), largest cluster first
+export function euclideanClusters(positions, { tolerance, minSize = 1, maxSize = Infinity }, tree = buildKDTree(positions)) {
+  const n = positions.length / 3;
+  const visited = new Uint8Array(n);
+  const clusters = [];
+  const queue = [];
+  const neighbours = [];
+
+  for (let seed = 0; seed < n; seed++) {
+    if (visited[seed]) continue;
+    visited[seed] = 1;
+    queue.length = 0;
+    queue.push(seed);
+
+    // Breadth-first growth; `queue` ends up holding the whole cluster
+    for (let head = 0; head < queue.length; head++) {
+      const p = queue[head] * 3;
+      neighbours.length = 0;
+      tree.withinRadius(positions[p], positions[p + 1], positions[p + 2], tolerance, neighbours);
+      for (const i of neighbours) {
+        if (!visited[i]) {
+          visited[i] = 1;
+          queue.push(i);
+        }
+      }
+    }
+
+    if (queue.length >= minSize && queue.length <= maxSize) clusters.push(Uint32Array.from(queue));
+  }
+  return clusters.sort((a, b) => b.length - a.length);
+}
+
+// Axis-aligned bounds of the points at `indices` as { min: [x, y, z], max }
+export function clusterBounds(positions, indices) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let k = 0; k < indices.length; k++) {
+    const p = indices[k] * 3;
+    for (let axis = 0; axis < 3; axis++) {
+      const v = positions[p + axis];
+      if (v < min[axis]) min[axis] = v;
+      if (v > max[axis]) max[axis] = v;
+    }
+  }
+  return { min, max };
+}
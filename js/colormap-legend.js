@@ -0,0 +1,53 @@
+// Legend overlay for the colormap of the active layer: a gradient bar with
+// the range ends, or one swatch per class for categorical colouring.
+import { colormapColor, colormapGradient, cssColor, isCategorical } from "./colormap.js";
+
+function formatValue(v) {
+  return Math.abs(v) >= 1000 || Number.isInteger(v) ? String(Math.round(v)) : v.toPrecision(3);
+}
+
+export function createColormapLegend(element) {
+  // `legend` is { title, colormap, min, max, classes } or null to hide;
+  // `classes` lists the values present for categorical maps
+  function update(legend) {
+    element.style.display = legend ? 'flex' : 'none';
+    if (!legend) return;
+
+    element.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'legend-title';
+    title.textContent = legend.title;
+    element.appendChild(title);
+
+    if (isCategorical(legend.colormap)) {
+      const list = document.createElement('div');
+      list.className = 'legend-classes';
+      legend.classes.forEach(value => {
+        const item = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.background = cssColor(colormapColor(legend.colormap, value));
+        item.append(swatch, formatValue(value));
+        list.appendChild(item);
+      });
+      element.appendChild(list);
+      return;
+    }
+
+    const bar = document.createElement('div');
+    bar.className = 'legend-bar';
+    bar.style.background = colormapGradient(legend.colormap);
+    const range = document.createElement('div');
+    range.className = 'legend-range';
+    [legend.min, (legend.min + legend.max) / 2, legend.max].forEach(v => {
+      const label = document.createElement('span');
+      label.textContent = formatValue(v);
+      range.appendChild(label);
+    });
+    element.append(bar, range);
+  }
+
+  update(null);
+
+  return { update };
+}
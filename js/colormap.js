@@ -0,0 +1,99 @@
+// Colormaps for colouring points by a scalar value.
+//
+// Continuous maps are sampled into RGBA lookup tables for a 1D texture;
+// categorical maps have one entry per class and are indexed by the integer
+// value modulo their size, so label values keep their colour at any range.
+
+function clamp01(v) {
+  return Math.min(1, Math.max(0, v));
+}
+
+// Polynomial fit of matplotlib's viridis
+function viridis(t) {
+  const c = [
+    [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+    [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+    [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+    [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+    [6.228269936347081, 14.17993336680509, 56.69055260068105],
+    [4.776384997670288, -13.74514537774601, -65.35303263337234],
+    [-5.435455855934631, 4.645852612178535, 26.3124352495832],
+  ];
+  return [0, 1, 2].map(k => c.reduceRight((sum, coefficients) => sum * t + coefficients[k], 0));
+}
+
+// Polynomial fit of Google's Turbo
+function turbo(t) {
+  const c = [
+    [0.13572138, 4.6153926, -42.66032258, 132.13108234, -152.94239396, 59.28637943],
+    [0.09140261, 2.19418839, 4.84296658, -14.18503333, 4.27729857, 2.82956604],
+    [0.1066733, 12.64194608, -60.58204836, 110.36276771, -89.90310912, 27.34824973],
+  ];
+  return c.map(coefficients => coefficients.reduceRight((sum, a) => sum * t + a, 0));
+}
+
+function jet(t) {
+  return [
+    clamp01(1.5 - Math.abs(4 * t - 3)),
+    clamp01(1.5 - Math.abs(4 * t - 2)),
+    clamp01(1.5 - Math.abs(4 * t - 1)),
+  ];
+}
+
+function greyscale(t) {
+  return [t, t, t];
+}
+
+// matplotlib's tab20
+const CATEGORICAL = [
+  0x1f77b4, 0xaec7e8, 0xff7f0e, 0xffbb78, 0x2ca02c, 0x98df8a, 0xd62728, 0xff9896,
+  0x9467bd, 0xc5b0d5, 0x8c564b, 0xc49c94, 0xe377c2, 0xf7b6d2, 0x7f7f7f, 0xc7c7c7,
+  0xbcbd22, 0xdbdb8d, 0x17becf, 0x9edae5,
+].map(hex => [(hex >> 16) / 255, ((hex >> 8) & 0xff) / 255, (hex & 0xff) / 255]);
+
+const CONTINUOUS = { viridis, turbo, jet, greyscale };
+
+export const COLORMAPS = [...Object.keys(CONTINUOUS), 'categorical'];
+
+export function isCategorical(name) {
+  return name === 'categorical';
+}
+
+// Entries in the lookup table of a colormap
+export function colormapSize(name) {
+  return isCategorical(name) ? CATEGORICAL.length : 256;
+}
+
+// [r, g, b] in 0..1 for `t` in 0..1 (continuous) or a class value
+export function colormapColor(name, t) {
+  if (isCategorical(name)) {
+    const n = CATEGORICAL.length;
+    return CATEGORICAL[(((Math.round(t) % n) + n) % n)];
+  }
+  return CONTINUOUS[name](clamp01(t)).map(clamp01);
+}
+
+// RGBA bytes of the lookup table, for a size x 1 texture
+export function colormapData(name) {
+  const size = colormapSize(name);
+  const data = new Uint8Array(size * 4);
+  for (let i = 0; i < size; i++) {
+    const color = isCategorical(name) ? CATEGORICAL[i] : colormapColor(name, i / (size - 1));
+    color.forEach((v, k) => {
+      data[i * 4 + k] = Math.round(v * 255);
+    });
+    data[i * 4 + 3] = 255;
+  }
+  return data;
+}
+
+export function cssColor([r, g, b]) {
+  return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
+
+// CSS gradient of a continuous colormap, left (0) to right (1)
+export function colormapGradient(name) {
+  const stops = [];
+  for (let i = 0; i <= 10; i++) stops.push(`${cssColor(colormapColor(name, i / 10))} ${i * 10}%`);
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
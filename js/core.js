@@ -0,0 +1,30 @@
+// DOM-free processing library: the reading, writing, bounds, colour and
+// filter code of the viewer, for Node scripts and bin/pcd-tools.js. Nothing
+// here touches the DOM or three.js.
+import { parsePCD, encodePCD } from "./pcd.js";
+import { parsePLY, encodePLY } from "./ply.js";
+import { parseLAS } from "./las.js";
+import { encodeTileSet, parseTileSet } from "./tiles.js";
+
+export { parsePCD, encodePCD, parsePLY, encodePLY, parseLAS, encodeTileSet, parseTileSet };
+export { PLY_FORMATS } from "./ply.js";
+export { parseDelimitedText } from "./text-cloud.js";
+export { createField, findField, formatFieldValue, mergeClouds, subsetCloud } from "./cloud.js";
+export { cloudBounds, cloudCentre, colorsOf, preparePoints } from "./points.js";
+export { createAxisTest, createFieldTest, filterCloud } from "./filter.js";
+
+// Point cloud readers (ArrayBuffer in) and writers (list of Blob parts out:
+// strings and Uint8Arrays), keyed by file extension. Delimited text needs a
+// column mapping and goes through parseDelimitedText; tile sets are written
+// with encodeTileSet.
+export const cloudParsers = {
+  pcd: parsePCD,
+  ply: parsePLY,
+  las: parseLAS,
+  pcdtiles: parseTileSet,
+};
+
+export const cloudEncoders = {
+  pcd: encodePCD,
+  ply: encodePLY,
+};
@@ -0,0 +1,386 @@
+// Crop region editor: region helpers in the scene, a TransformControls gizmo,
+// the "Crop regions" GUI folder and the uniforms shared by every layer
+// material. The containment logic itself lives in crop.js.
+import * as THREE from "three";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import {
+  MAX_CROP_REGIONS,
+  MAX_POLYGON_VERTICES,
+  createCropTest,
+  packCropUniforms,
+} from "./crop.js";
+
+const MODE_COLORS = {
+  include: 0x00ff00,
+  exclude: 0xff4444,
+};
+const PENDING_COLOR = 0xffaa00;
+
+// Segments of a horizontal unit circle at height z
+function circleSegments(z, radius = 1, segments = 48, plane = 'xy') {
+  const out = [];
+  for (let i = 0; i < segments; i++) {
+    const a0 = (i / segments) * Math.PI * 2;
+    const a1 = ((i + 1) / segments) * Math.PI * 2;
+    for (const a of [a0, a1]) {
+      const u = Math.cos(a) * radius;
+      const v = Math.sin(a) * radius;
+      if (plane === 'xy') out.push(u, v, z);
+      else if (plane === 'xz') out.push(u, z, v);
+      else out.push(z, u, v);
+    }
+  }
+  return out;
+}
+
+// Outline of a region in its unit local frame
+function regionGeometry(type, polygon, zRange) {
+  if (type === 'box') {
+    return new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+  }
+
+  let segments;
+  if (type === 'sphere') {
+    segments = [
+      ...circleSegments(0, 1, 48, 'xy'),
+      ...circleSegments(0, 1, 48, 'xz'),
+      ...circleSegments(0, 1, 48, 'yz'),
+    ];
+  } else if (type === 'cylinder') {
+    segments = [...circleSegments(-0.5), ...circleSegments(0.5)];
+    for (let i = 0; i < 4; i++) {
+      const a = (i / 4) * Math.PI * 2;
+      segments.push(Math.cos(a), Math.sin(a), -0.5, Math.cos(a), Math.sin(a), 0.5);
+    }
+  } else {
+    segments = [];
+    const n = polygon.length / 2;
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      const [x0, y0, x1, y1] = [polygon[i * 2], polygon[i * 2 + 1], polygon[j * 2], polygon[j * 2 + 1]];
+      segments.push(x0, y0, zRange[0], x1, y1, zRange[0]);
+      segments.push(x0, y0, zRange[1], x1, y1, zRange[1]);
+      segments.push(x0, y0, zRange[0], x0, y0, zRange[1]);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(segments, 3));
+  return geometry;
+}
+
+// `getPlacement()` returns { center, size, zRange } for new regions (the
+// view target and the active layer bounds).
+export function createCropTool({ scene, camera, canvas, controls, render, history, getPlacement }) {
+  const regions = [];
+  let nextRegionId = 1;
+  let editedRegion = null;
+  let folder = null;
+  let regionFolders = [];
+
+  // Polygon being drawn, as [x, y, z] points
+  let drawing = false;
+  let pending = [];
+  let pendingLine = null;
+
+  const uniforms = {
+    cropCount: { value: 0 },
+    cropType: { value: new Array(MAX_CROP_REGIONS).fill(0) },
+    cropInclude: { value: new Array(MAX_CROP_REGIONS).fill(0) },
+    cropMatrix: { value: Array.from({ length: MAX_CROP_REGIONS }, () => new THREE.Matrix4()) },
+    cropZRange: { value: Array.from({ length: MAX_CROP_REGIONS }, () => new THREE.Vector2()) },
+    cropPolygonSize: { value: new Array(MAX_CROP_REGIONS).fill(0) },
+    cropPolygon: {
+      value: Array.from({ length: (MAX_CROP_REGIONS * MAX_POLYGON_VERTICES) / 2 }, () => new THREE.Vector4()),
+    },
+  };
+
+  const options = { gizmoMode: 'translate' };
+
+  const gizmo = new TransformControls(camera, canvas);
+  gizmo.addEventListener('change', render);
+  gizmo.addEventListener('dragging-changed', (e) => {
+    controls.enabled = !e.value;
+  });
+  gizmo.addEventListener('objectChange', () => {
+    constrainRegion(editedRegion);
+    refresh();
+  });
+  gizmo.addEventListener('mouseUp', () => commit('Move crop region'));
+  scene.add(gizmo);
+
+  // Spheres stay round; cylinders and polygon prisms stay vertical
+  function constrainRegion(region) {
+    const object = region.object;
+    if (region.type === 'sphere') {
+      const previous = region.lastScale;
+      const changed = ['x', 'y', 'z'].reduce((a, b) =>
+        Math.abs(object.scale[b] - previous[b]) > Math.abs(object.scale[a] - previous[a]) ? b : a
+      );
+      object.scale.setScalar(object.scale[changed]);
+    } else if (region.type === 'cylinder') {
+      const previous = region.lastScale;
+      const radius = object.scale.x !== previous.x ? object.scale.x : object.scale.y;
+      object.scale.x = radius;
+      object.scale.y = radius;
+    }
+    if (region.type !== 'box') {
+      object.rotation.x = 0;
+      object.rotation.y = 0;
+    }
+    region.lastScale.copy(object.scale);
+  }
+
+  // Recompute region matrices and upload them to the shader
+  function refresh() {
+    regions.forEach(region => {
+      const object = region.object;
+      object.updateMatrixWorld();
+      region.inverse = object.matrixWorld.clone().invert().toArray();
+      object.material.color.setHex(MODE_COLORS[region.mode]);
+      object.material.opacity = region.enabled ? 0.9 : 0.3;
+    });
+    packCropUniforms(uniforms, regions);
+    render();
+  }
+
+  // Undo/redo works on whole snapshots of the region list
+  function snapshot() {
+    return regions.map(region => ({
+      region,
+      enabled: region.enabled,
+      mode: region.mode,
+      matrix: region.object.matrix.toArray(),
+    }));
+  }
+
+  function serialize(state) {
+    return JSON.stringify(state.map(s => [s.region.id, s.enabled, s.mode, s.matrix]));
+  }
+
+  function restore(state) {
+    regions.forEach(region => {
+      if (!state.some(s => s.region === region)) region.object.removeFromParent();
+    });
+    regions.length = 0;
+    state.forEach(s => {
+      const region = s.region;
+      region.enabled = s.enabled;
+      region.mode = s.mode;
+      region.object.matrix.fromArray(s.matrix);
+      region.object.matrix.decompose(region.object.position, region.object.quaternion, region.object.scale);
+      region.lastScale.copy(region.object.scale);
+      if (!region.object.parent) scene.add(region.object);
+      regions.push(region);
+    });
+    committed = state;
+    if (editedRegion && !regions.includes(editedRegion)) editRegion(null);
+    rebuildRegionFolders();
+    refresh();
+  }
+
+  let committed = snapshot();
+  function commit(label) {
+    const before = committed;
+    const after = snapshot();
+    if (serialize(before) === serialize(after)) return;
+    committed = after;
+    history.record({
+      label,
+      undo: () => restore(before),
+      redo: () => restore(after),
+    });
+  }
+
+  function createRegion(type, polygon = null, zRange = null) {
+    const object = new THREE.LineSegments(
+      regionGeometry(type, polygon, zRange),
+      new THREE.LineBasicMaterial({ color: MODE_COLORS.include, transparent: true })
+    );
+    const region = {
+      id: nextRegionId++,
+      type,
+      mode: 'include',
+      enabled: true,
+      object,
+      polygon,
+      zRange,
+      inverse: null,
+      lastScale: new THREE.Vector3(1, 1, 1),
+    };
+    object.userData.cropRegion = region;
+    return region;
+  }
+
+  function addRegion(region, label) {
+    if (regions.length >= MAX_CROP_REGIONS) {
+      alert(`At most ${MAX_CROP_REGIONS} crop regions are supported`);
+      region.object.geometry.dispose();
+      region.object.material.dispose();
+      return;
+    }
+    region.lastScale.copy(region.object.scale);
+    scene.add(region.object);
+    regions.push(region);
+    rebuildRegionFolders();
+    refresh();
+    commit(label);
+  }
+
+  function addShape(type) {
+    const { center, size } = getPlacement();
+    const region = createRegion(type);
+    const object = region.object;
+    object.position.set(...center);
+    if (type === 'box') {
+      object.scale.set(...size);
+    } else if (type === 'sphere') {
+      object.scale.setScalar(Math.max(...size) / 2);
+    } else {
+      const radius = Math.max(size[0], size[1]) / 2;
+      object.scale.set(radius, radius, size[2]);
+    }
+    addRegion(region, `Add crop ${type}`);
+  }
+
+  function removeRegion(region) {
+    if (editedRegion === region) editRegion(null);
+    regions.splice(regions.indexOf(region), 1);
+    region.object.removeFromParent();
+    rebuildRegionFolders();
+    refresh();
+    commit(`Remove crop ${region.type}`);
+  }
+
+  // Attach the gizmo to a region, or detach it with null
+  function editRegion(region) {
+    editedRegion = region;
+    if (region) {
+      gizmo.attach(region.object);
+      setGizmoMode(options.gizmoMode);
+    } else {
+      gizmo.detach();
+    }
+    render();
+  }
+
+  function setGizmoMode(mode) {
+    gizmo.setMode(mode);
+    // Only boxes may tilt; other shapes just turn around Z
+    const tilt = !editedRegion || editedRegion.type === 'box' || mode !== 'rotate';
+    gizmo.showX = tilt;
+    gizmo.showY = tilt;
+    render();
+  }
+
+  function redrawPending() {
+    if (pendingLine) {
+      pendingLine.geometry.dispose();
+      pendingLine.material.dispose();
+      pendingLine.removeFromParent();
+      pendingLine = null;
+    }
+    if (pending.length > 0) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(pending.flat(), 3));
+      pendingLine = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: PENDING_COLOR, depthTest: false }));
+      pendingLine.renderOrder = 10;
+      scene.add(pendingLine);
+    }
+    render();
+  }
+
+  function startPolygon() {
+    drawing = true;
+    pending = [];
+    redrawPending();
+  }
+
+  function cancel() {
+    drawing = false;
+    pending = [];
+    redrawPending();
+  }
+
+  function addPoint(point) {
+    if (!drawing) return;
+    // The second click of a double-click lands on the same point
+    const last = pending[pending.length - 1];
+    if (last && last[0] === point[0] && last[1] === point[1]) return;
+    pending.push(point);
+    if (pending.length === MAX_POLYGON_VERTICES) {
+      finish();
+    } else {
+      redrawPending();
+    }
+  }
+
+  // Close the polygon into a prism over the active layer's height range
+  function finish() {
+    if (!drawing || pending.length < 3) return;
+    const { zRange } = getPlacement();
+    const cx = pending.reduce((sum, p) => sum + p[0], 0) / pending.length;
+    const cy = pending.reduce((sum, p) => sum + p[1], 0) / pending.length;
+    const polygon = pending.flatMap(p => [p[0] - cx, p[1] - cy]);
+    cancel();
+
+    const region = createRegion('polygon', polygon, zRange);
+    region.object.position.set(cx, cy, 0);
+    addRegion(region, 'Add crop polygon');
+  }
+
+  function rebuildRegionFolders() {
+    regionFolders.forEach(f => f.destroy());
+    regionFolders = [];
+    if (!folder) return;
+
+    regions.forEach((region, i) => {
+      const regionFolder = folder.addFolder(`${i + 1}. ${region.type}`);
+      const actions = {
+        edit: () => editRegion(editedRegion === region ? null : region),
+        remove: () => removeRegion(region),
+      };
+      regionFolder.add(region, 'enabled').name('Enabled').onChange(refresh);
+      regionFolder.add(region, 'mode', ['include', 'exclude']).name('Mode').onChange(refresh);
+      regionFolder.add(actions, 'edit').name('Toggle gizmo');
+      regionFolder.add(actions, 'remove').name('Remove');
+      regionFolders.push(regionFolder);
+    });
+  }
+
+  window.addEventListener('keydown', (e) => {
+    if (!drawing || (e.target.closest && e.target.closest('input, select, textarea'))) return;
+    if (e.key === 'Enter') finish();
+    if (e.key === 'Escape') cancel();
+  });
+
+  return {
+    uniforms,
+    get drawing() {
+      return drawing;
+    },
+    addPoint,
+    finish,
+    cancel,
+    // Test for (x, y, z) in the displayed frame, or null without regions
+    createTest() {
+      return createCropTest(regions);
+    },
+    // Add the "Crop regions" folder to a layer GUI
+    buildGUI(gui) {
+      folder = gui.addFolder('Crop regions');
+      folder.add({ addBox: () => addShape('box') }, 'addBox').name('Add box');
+      folder.add({ addSphere: () => addShape('sphere') }, 'addSphere').name('Add sphere');
+      folder.add({ addCylinder: () => addShape('cylinder') }, 'addCylinder').name('Add cylinder');
+      folder.add({ drawPolygon: startPolygon }, 'drawPolygon').name('Draw XY polygon (Enter closes)');
+      folder
+        .add(options, 'gizmoMode', ['translate', 'rotate', 'scale'])
+        .name('Gizmo mode')
+        .onChange(setGizmoMode);
+      // Enabled / mode toggles become history entries
+      folder.onFinishChange(() => commit('Edit crop region'));
+      regionFolders = [];
+      rebuildRegionFolders();
+      folder.close();
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// Crop regions shared by the shader preview and the CPU export path.
+//
+// Every region is a unit shape in its own local frame; `inverse` holds the
+// 16 column-major elements of the world -> local matrix:
+//   box       |x|, |y|, |z| <= 0.5
+//   sphere    x² + y² + z² <= 1
+//   cylinder  x² + y² <= 1 and |z| <= 0.5 (vertical axis)
+//   polygon   (x, y) inside `polygon` and zRange[0] <= z <= zRange[1]
+// A point is kept when it is inside at least one enabled include region (if
+// there are any) and outside every enabled exclude region.
+import { pointInPolygon } from "./selection.js";
+
+export const CROP_TYPES = ['box', 'sphere', 'cylinder', 'polygon'];
+
+// Shader array sizes
+export const MAX_CROP_REGIONS = 8;
+export const MAX_POLYGON_VERTICES = 16;
+
+export function regionContains(region, x, y, z) {
+  const e = region.inverse;
+  const lx = e[0] * x + e[4] * y + e[8] * z + e[12];
+  const ly = e[1] * x + e[5] * y + e[9] * z + e[13];
+  const lz = e[2] * x + e[6] * y + e[10] * z + e[14];
+  switch (region.type) {
+    case 'box':
+      return Math.abs(lx) <= 0.5 && Math.abs(ly) <= 0.5 && Math.abs(lz) <= 0.5;
+    case 'sphere':
+      return lx * lx + ly * ly + lz * lz <= 1;
+    case 'cylinder':
+      return lx * lx + ly * ly <= 1 && Math.abs(lz) <= 0.5;
+    case 'polygon':
+      return lz >= region.zRange[0] && lz <= region.zRange[1] && pointInPolygon(lx, ly, region.polygon);
+    default:
+      throw new Error(`Unknown crop region type "${region.type}"`);
+  }
+}
+
+// Test function for (x, y, z) in the displayed frame, or null when no
+// region is enabled
+export function createCropTest(regions) {
+  const active = regions.filter(region => region.enabled).slice(0, MAX_CROP_REGIONS);
+  if (active.length === 0) return null;
+  const include = active.filter(region => region.mode === 'include');
+  const exclude = active.filter(region => region.mode === 'exclude');
+  return (x, y, z) => {
+    for (const region of exclude) {
+      if (regionContains(region, x, y, z)) return false;
+    }
+    if (include.length === 0) return true;
+    return include.some(region => regionContains(region, x, y, z));
+  };
+}
+
+// GLSL for the vertex shader: sets `vCropped` to 1.0 for points the regions
+// remove. Uniform layout matches packCropUniforms.
+export const cropShaderChunk = `
+  #define MAX_CROP_REGIONS ${MAX_CROP_REGIONS}
+  #define POLYGON_SLOTS ${MAX_POLYGON_VERTICES / 2}
+  uniform int cropCount;
+  uniform int cropType[MAX_CROP_REGIONS];
+  uniform int cropInclude[MAX_CROP_REGIONS];
+  uniform mat4 cropMatrix[MAX_CROP_REGIONS];
+  uniform vec2 cropZRange[MAX_CROP_REGIONS];
+  uniform int cropPolygonSize[MAX_CROP_REGIONS];
+  // Two polygon vertices per vec4
+  uniform vec4 cropPolygon[MAX_CROP_REGIONS * POLYGON_SLOTS];
+  varying float vCropped;
+
+  vec2 cropVertex(int region, int k) {
+    vec4 pair = cropPolygon[region * POLYGON_SLOTS + k / 2];
+    return (k % 2 == 0) ? pair.xy : pair.zw;
+  }
+
+  bool insideCropPolygon(int region, vec2 p) {
+    bool inside = false;
+    int n = cropPolygonSize[region];
+    for (int i = 0; i < ${MAX_POLYGON_VERTICES}; i++) {
+      if (i >= n) break;
+      vec2 a = cropVertex(region, i);
+      vec2 b = cropVertex(region, i == 0 ? n - 1 : i - 1);
+      if ((a.y > p.y) != (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  bool insideCropRegion(int region, vec3 world) {
+    vec3 p = (cropMatrix[region] * vec4(world, 1.0)).xyz;
+    int type = cropType[region];
+    if (type == 0) return all(lessThanEqual(abs(p), vec3(0.5)));
+    if (type == 1) return dot(p, p) <= 1.0;
+    if (type == 2) return dot(p.xy, p.xy) <= 1.0 && abs(p.z) <= 0.5;
+    return p.z >= cropZRange[region].x && p.z <= cropZRange[region].y && insideCropPolygon(region, p.xy);
+  }
+
+  float cropState(vec3 world) {
+    bool hasInclude = false;
+    bool included = false;
+    for (int r = 0; r < MAX_CROP_REGIONS; r++) {
+      if (r >= cropCount) break;
+      bool inside = insideCropRegion(r, world);
+      if (cropInclude[r] == 1) {
+        hasInclude = true;
+        included = included || inside;
+      } else if (inside) {
+        return 1.0;
+      }
+    }
+    return (hasInclude && !included) ? 1.0 : 0.0;
+  }
+`;
+
+// Fill the crop uniforms (see cropShaderChunk) from the enabled regions.
+// `uniforms` values are plain arrays of numbers, matrix and vector objects
+// exposing fromArray/set.
+export function packCropUniforms(uniforms, regions) {
+  const active = regions.filter(region => region.enabled).slice(0, MAX_CROP_REGIONS);
+  uniforms.cropCount.value = active.length;
+  active.forEach((region, r) => {
+    uniforms.cropType.value[r] = CROP_TYPES.indexOf(region.type);
+    uniforms.cropInclude.value[r] = region.mode === 'include' ? 1 : 0;
+    uniforms.cropMatrix.value[r].fromArray(region.inverse);
+    const zRange = region.zRange || [0, 0];
+    uniforms.cropZRange.value[r].set(zRange[0], zRange[1]);
+
+    const polygon = region.polygon || [];
+    const size = Math.min(polygon.length / 2, MAX_POLYGON_VERTICES);
+    uniforms.cropPolygonSize.value[r] = size;
+    for (let slot = 0; slot < MAX_POLYGON_VERTICES / 2; slot++) {
+      const k = slot * 2;
+      uniforms.cropPolygon.value[r * (MAX_POLYGON_VERTICES / 2) + slot].set(
+        polygon[k * 2] || 0,
+        polygon[k * 2 + 1] || 0,
+        polygon[k * 2 + 2] || 0,
+        polygon[k * 2 + 3] || 0
+      );
+    }
+  });
+}
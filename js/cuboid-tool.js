@@ -0,0 +1,296 @@
+// Cuboid annotation editor: oriented boxes in the scene with a heading mark
+// and a class / track / point count tag, a TransformControls gizmo for
+// moving, turning (yaw only) and resizing them, and the "Cuboids" GUI
+// folder with their numeric fields. File formats live in cuboids.js.
+import * as THREE from "three";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { CSS2DObject } from "three/addons/renderers/CSS2DRenderer.js";
+import { KITTI_TYPES, cuboidInverse } from "./cuboids.js";
+
+const CUBOID_COLOR = 0x00aaff;
+const EDITED_COLOR = 0xffff00;
+const MIN_SIZE = 0.01;
+
+// Unit box outline plus a line from the centre to the front face
+function cuboidGeometry() {
+  const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+  const segments = [...edges.attributes.position.array, 0, 0, 0, 0.5, 0, 0];
+  edges.dispose();
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(segments, 3));
+  return geometry;
+}
+
+// `getPlacement()` returns { center, size } for new cuboids, `countPoints(
+// inverse)` the shown points inside a box (see cuboidInverse) and
+// `onFile(action)` runs 'importKitti', 'importJSON', 'exportKitti' or
+// 'exportJSON'.
+export function createCuboidTool({ scene, camera, canvas, controls, render, history, getPlacement, countPoints, onFile }) {
+  const cuboids = [];
+  let nextCuboidId = 1;
+  let editedCuboid = null;
+  let folder = null;
+  let cuboidFolders = [];
+
+  const options = { gizmoMode: 'translate', kittiFrame: 0 };
+
+  const gizmo = new TransformControls(camera, canvas);
+  gizmo.addEventListener('change', render);
+  gizmo.addEventListener('dragging-changed', (e) => {
+    controls.enabled = !e.value;
+  });
+  gizmo.addEventListener('objectChange', () => {
+    constrain(editedCuboid);
+    refresh();
+  });
+  gizmo.addEventListener('mouseUp', () => commit('Move cuboid'));
+  scene.add(gizmo);
+
+  // Boxes only turn about Z and keep a size
+  function constrain(cuboid) {
+    const object = cuboid.object;
+    object.rotation.x = 0;
+    object.rotation.y = 0;
+    ['x', 'y', 'z'].forEach(axis => {
+      object.scale[axis] = Math.max(Math.abs(object.scale[axis]), MIN_SIZE);
+    });
+  }
+
+  function modelOf(cuboid) {
+    const object = cuboid.object;
+    return {
+      label: cuboid.label,
+      trackId: cuboid.trackId,
+      center: object.position.toArray(),
+      size: object.scale.toArray(),
+      yaw: object.rotation.z,
+    };
+  }
+
+  function recount() {
+    cuboids.forEach(cuboid => {
+      cuboid.points = countPoints(cuboidInverse(modelOf(cuboid)));
+    });
+    refresh();
+  }
+
+  // Redraw colours and tags, and the GUI fields while dragging
+  function refresh() {
+    cuboids.forEach(cuboid => {
+      cuboid.object.updateMatrixWorld();
+      cuboid.object.material.color.setHex(cuboid === editedCuboid ? EDITED_COLOR : CUBOID_COLOR);
+      cuboid.tag.element.textContent = `${cuboid.label} #${cuboid.trackId} · ${cuboid.points} pts`;
+    });
+    cuboidFolders.forEach(f => f.updateDisplay());
+    render();
+  }
+
+  // Undo/redo works on whole snapshots of the cuboid list
+  function snapshot() {
+    return cuboids.map(cuboid => ({
+      cuboid,
+      label: cuboid.label,
+      trackId: cuboid.trackId,
+      matrix: cuboid.object.matrix.toArray(),
+    }));
+  }
+
+  function serialize(state) {
+    return JSON.stringify(state.map(s => [s.cuboid.id, s.label, s.trackId, s.matrix]));
+  }
+
+  function restore(state) {
+    cuboids.forEach(cuboid => {
+      if (!state.some(s => s.cuboid === cuboid)) cuboid.object.removeFromParent();
+    });
+    cuboids.length = 0;
+    state.forEach(s => {
+      const cuboid = s.cuboid;
+      cuboid.label = s.label;
+      cuboid.trackId = s.trackId;
+      cuboid.object.matrix.fromArray(s.matrix);
+      cuboid.object.matrix.decompose(cuboid.object.position, cuboid.object.quaternion, cuboid.object.scale);
+      if (!cuboid.object.parent) scene.add(cuboid.object);
+      cuboids.push(cuboid);
+    });
+    committed = state;
+    if (editedCuboid && !cuboids.includes(editedCuboid)) editCuboid(null);
+    rebuildCuboidFolders();
+    recount();
+  }
+
+  let committed = snapshot();
+  function commit(label) {
+    const before = committed;
+    const after = snapshot();
+    if (serialize(before) === serialize(after)) return;
+    committed = after;
+    history.record({
+      label,
+      undo: () => restore(before),
+      redo: () => restore(after),
+    });
+    recount();
+  }
+
+  function createCuboid({ label, trackId, center, size, yaw }) {
+    const object = new THREE.LineSegments(cuboidGeometry(), new THREE.LineBasicMaterial({ color: CUBOID_COLOR }));
+    object.position.set(...center);
+    object.scale.set(...size);
+    object.rotation.set(0, 0, yaw);
+    object.updateMatrix();
+
+    const element = document.createElement('div');
+    element.className = 'cuboid-label';
+    const tag = new CSS2DObject(element);
+    tag.position.set(0, 0, 0.5);
+    object.add(tag);
+
+    const cuboid = { id: nextCuboidId++, label, trackId, object, tag, points: 0 };
+    object.userData.cuboid = cuboid;
+    return cuboid;
+  }
+
+  function removeObject(cuboid) {
+    cuboid.object.removeFromParent();
+  }
+
+  function addCuboid() {
+    const { center, size } = getPlacement();
+    const trackId = cuboids.reduce((max, c) => Math.max(max, c.trackId), -1) + 1;
+    const cuboid = createCuboid({ label: KITTI_TYPES[0], trackId, center, size, yaw: 0 });
+    scene.add(cuboid.object);
+    cuboids.push(cuboid);
+    rebuildCuboidFolders();
+    editCuboid(cuboid);
+    commit('Add cuboid');
+  }
+
+  function removeCuboid(cuboid) {
+    if (editedCuboid === cuboid) editCuboid(null);
+    cuboids.splice(cuboids.indexOf(cuboid), 1);
+    removeObject(cuboid);
+    rebuildCuboidFolders();
+    refresh();
+    commit('Remove cuboid');
+  }
+
+  // Attach the gizmo to a cuboid, or detach it with null
+  function editCuboid(cuboid) {
+    editedCuboid = cuboid;
+    if (cuboid) {
+      gizmo.attach(cuboid.object);
+      setGizmoMode(options.gizmoMode);
+    } else {
+      gizmo.detach();
+    }
+    refresh();
+  }
+
+  function setGizmoMode(mode) {
+    gizmo.setMode(mode);
+    // Yaw only
+    gizmo.showX = mode !== 'rotate';
+    gizmo.showY = mode !== 'rotate';
+    render();
+  }
+
+  function rebuildCuboidFolders() {
+    cuboidFolders.forEach(f => f.destroy());
+    cuboidFolders = [];
+    if (!folder) return;
+
+    cuboids.forEach((cuboid, i) => {
+      const object = cuboid.object;
+      const cuboidFolder = folder.addFolder(`${i + 1}. ${cuboid.label} #${cuboid.trackId}`);
+      // Numeric fields edit the box object directly
+      const fields = {
+        get x() { return object.position.x; },
+        set x(v) { object.position.x = v; },
+        get y() { return object.position.y; },
+        set y(v) { object.position.y = v; },
+        get z() { return object.position.z; },
+        set z(v) { object.position.z = v; },
+        get length() { return object.scale.x; },
+        set length(v) { object.scale.x = Math.max(v, MIN_SIZE); },
+        get width() { return object.scale.y; },
+        set width(v) { object.scale.y = Math.max(v, MIN_SIZE); },
+        get height() { return object.scale.z; },
+        set height(v) { object.scale.z = Math.max(v, MIN_SIZE); },
+        get yaw() { return THREE.MathUtils.radToDeg(object.rotation.z); },
+        set yaw(v) { object.rotation.z = THREE.MathUtils.degToRad(v); },
+      };
+      const actions = {
+        edit: () => editCuboid(editedCuboid === cuboid ? null : cuboid),
+        remove: () => removeCuboid(cuboid),
+      };
+      const relabel = () => {
+        cuboidFolder.title(`${i + 1}. ${cuboid.label} #${cuboid.trackId}`);
+        refresh();
+      };
+      cuboidFolder.add(cuboid, 'label', KITTI_TYPES.includes(cuboid.label) ? KITTI_TYPES : [cuboid.label, ...KITTI_TYPES])
+        .name('Class').onChange(relabel);
+      cuboidFolder.add(cuboid, 'trackId').step(1).name('Track ID').onChange(relabel);
+      ['x', 'y', 'z'].forEach(axis => {
+        cuboidFolder.add(fields, axis).step(0.01).name(`Centre ${axis.toUpperCase()}`).onChange(refresh);
+      });
+      cuboidFolder.add(fields, 'length').min(MIN_SIZE).step(0.01).name('Length (X)').onChange(refresh);
+      cuboidFolder.add(fields, 'width').min(MIN_SIZE).step(0.01).name('Width (Y)').onChange(refresh);
+      cuboidFolder.add(fields, 'height').min(MIN_SIZE).step(0.01).name('Height (Z)').onChange(refresh);
+      cuboidFolder.add(fields, 'yaw', -180, 180, 0.1).name('Yaw (°)').onChange(refresh);
+      cuboidFolder.add(cuboid, 'points').name('Points inside').disable();
+      cuboidFolder.add(actions, 'edit').name('Toggle gizmo');
+      cuboidFolder.add(actions, 'remove').name('Remove');
+      cuboidFolder.close();
+      cuboidFolders.push(cuboidFolder);
+    });
+  }
+
+  return {
+    // Cuboids in the displayed frame (see cuboids.js), with the number of
+    // shown points inside each
+    getCuboids() {
+      return cuboids.map(modelOf);
+    },
+    getCounts() {
+      return cuboids.map(cuboid => cuboid.points);
+    },
+    get kittiFrame() {
+      return options.kittiFrame;
+    },
+    // Replace every cuboid, e.g. with imported ones
+    setCuboids(models, label) {
+      editCuboid(null);
+      cuboids.forEach(removeObject);
+      cuboids.length = 0;
+      models.forEach(model => {
+        const cuboid = createCuboid(model);
+        scene.add(cuboid.object);
+        cuboids.push(cuboid);
+      });
+      rebuildCuboidFolders();
+      commit(label);
+    },
+    recount,
+    // Add the "Cuboids" folder to a layer GUI
+    buildGUI(gui) {
+      folder = gui.addFolder('Cuboids');
+      folder.add({ addCuboid }, 'addCuboid').name('Add cuboid');
+      folder
+        .add(options, 'gizmoMode', ['translate', 'rotate', 'scale'])
+        .name('Gizmo mode')
+        .onChange(setGizmoMode);
+      folder.add(options, 'kittiFrame').min(0).step(1).name('KITTI frame');
+      folder.add({ importKitti: () => onFile('importKitti') }, 'importKitti').name('Import KITTI labels');
+      folder.add({ importJSON: () => onFile('importJSON') }, 'importJSON').name('Import JSON');
+      folder.add({ exportKitti: () => onFile('exportKitti') }, 'exportKitti').name('Export KITTI labels');
+      folder.add({ exportJSON: () => onFile('exportJSON') }, 'exportJSON').name('Export JSON');
+      folder.add({ recount }, 'recount').name('Recount points');
+      // Field edits become history entries
+      folder.onFinishChange(() => commit('Edit cuboid'));
+      cuboidFolders = [];
+      rebuildCuboidFolders();
+      folder.close();
+    },
+  };
+}
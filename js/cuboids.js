@@ -0,0 +1,126 @@
+// Oriented 3D boxes for object annotation, and their KITTI and JSON files.
+//
+// A cuboid is { label, trackId, center: [x, y, z], size: [length, width,
+// height], yaw } in a z-up frame: length runs along the heading, which is
+// turned by `yaw` radians about Z from +X. Files hold map-frame coordinates.
+//
+// KITTI labels are written in the tracking layout
+//   frame track_id type truncated occluded alpha left top right bottom h w l x y z rotation_y
+// with the camera axes of KITTI (x right, y down, z forward) taken straight
+// from the cloud's axes (x forward, y left, z up) with no calibration, the
+// location at the bottom centre of the box. The 2D box is left at 0.
+
+export const CUBOIDS_VERSION = 1;
+
+// Object types of the KITTI benchmark
+export const KITTI_TYPES = ['Car', 'Van', 'Truck', 'Pedestrian', 'Person_sitting', 'Cyclist', 'Tram', 'Misc'];
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+// 16 column-major elements of the box's world -> unit-cube matrix, the
+// `inverse` of a crop box region (see crop.js)
+export function cuboidInverse({ center, size, yaw }) {
+  const c = Math.cos(-yaw), s = Math.sin(-yaw);
+  const [cx, cy, cz] = center;
+  const [l, w, h] = size;
+  // Scale(1 / size) * Rz(-yaw) * Translate(-center)
+  const tx = -(c * cx - s * cy);
+  const ty = -(s * cx + c * cy);
+  return [
+    c / l, s / w, 0, 0,
+    -s / l, c / w, 0, 0,
+    0, 0, 1 / h, 0,
+    tx / l, ty / w, -cz / h, 1,
+  ];
+}
+
+function kittiNumber(v) {
+  return Number(v.toFixed(6)).toString();
+}
+
+export function cuboidsToKitti(cuboids, frame = 0) {
+  return cuboids.map(({ label, trackId, center, size, yaw }) => {
+    const [l, w, h] = size;
+    const x = -center[1];
+    const y = -(center[2] - h / 2);
+    const z = center[0];
+    const rotationY = wrapAngle(-yaw - Math.PI / 2);
+    const alpha = wrapAngle(rotationY - Math.atan2(x, z));
+    return [
+      frame, trackId, label.replace(/\s+/g, '_'), 0, 0, alpha, 0, 0, 0, 0, h, w, l, x, y, z, rotationY,
+    ].map(v => (typeof v === 'number' ? kittiNumber(v) : v)).join(' ');
+  }).join('\n') + (cuboids.length > 0 ? '\n' : '');
+}
+
+// Boxes of one frame of a KITTI tracking file (frame = null takes them all).
+// Plain object labels, without frame and track id, are read too. DontCare
+// entries are skipped.
+export function parseKitti(text, frame = null) {
+  const cuboids = [];
+  text.split(/\r?\n/).forEach((line, row) => {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length === 1 && parts[0] === '') return;
+    let frameOf = null;
+    let trackId = -1;
+    if (parts.length >= 17 && !Number.isNaN(Number(parts[0])) && Number.isNaN(Number(parts[2]))) {
+      frameOf = Number(parts[0]);
+      trackId = Number(parts[1]);
+      parts.splice(0, 2);
+    }
+    if (parts.length < 15) throw new Error(`KITTI line ${row + 1} has ${parts.length} values, expected 15 or more`);
+    const [type, , , , , , , , h, w, l, x, y, z, rotationY] = parts.map((v, i) => (i === 0 ? v : Number(v)));
+    if (![h, w, l, x, y, z, rotationY].every(Number.isFinite)) {
+      throw new Error(`KITTI line ${row + 1} has values that are not numbers`);
+    }
+    if (type === 'DontCare' || (frame !== null && frameOf !== null && frameOf !== frame)) return;
+    cuboids.push({
+      label: type,
+      trackId,
+      center: [z, -x, -y + h / 2],
+      size: [l, w, h],
+      yaw: wrapAngle(-rotationY - Math.PI / 2),
+    });
+  });
+  return cuboids;
+}
+
+// `counts` (optional) are the points inside each box, written for reference
+export function cuboidsToJSON(cuboids, counts = null) {
+  return JSON.stringify({
+    version: CUBOIDS_VERSION,
+    cuboids: cuboids.map(({ label, trackId, center, size, yaw }, i) => ({
+      label,
+      trackId,
+      center,
+      size,
+      yaw,
+      ...(counts ? { points: counts[i] } : {}),
+    })),
+  }, null, 2);
+}
+
+export function parseCuboidsJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Cuboid file is not valid JSON: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.cuboids)) throw new Error('Not a cuboid file (no cuboids list)');
+  if (data.version !== CUBOIDS_VERSION) throw new Error(`Unsupported cuboid file version ${data.version}`);
+  const triple = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+  return data.cuboids.map((cuboid, i) => {
+    if (!triple(cuboid.center) || !triple(cuboid.size) || !Number.isFinite(cuboid.yaw)) {
+      throw new Error(`Cuboid ${i + 1} needs center and size [x, y, z] and a yaw`);
+    }
+    return {
+      label: String(cuboid.label ?? 'Misc'),
+      trackId: Number.isInteger(cuboid.trackId) ? cuboid.trackId : -1,
+      center: cuboid.center,
+      size: cuboid.size,
+      yaw: cuboid.yaw,
+    };
+  });
+}
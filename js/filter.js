@@ -0,0 +1,51 @@
+// Axis and field filters, shared by the viewer (export and point tests) and
+// the command-line tool. Ranges are inclusive [min, max]; an axis set to null
+// is not filtered, as in region presets (see presets.js).
+import { findField, subsetCloud } from "./cloud.js";
+
+// Test for (x, y, z) against the axis ranges, or null when no axis is
+// filtered
+export function createAxisTest({ x = null, y = null, z = null }) {
+  if (!x && !y && !z) return null;
+  return (px, py, pz) =>
+    !(x && (px < x[0] || px > x[1])) &&
+    !(y && (py < y[0] || py > y[1])) &&
+    !(z && (pz < z[0] || pz > z[1]));
+}
+
+// Test for point i against a range of a one-value field. Values are compared
+// as float32, as the shader sees them.
+export function createFieldTest(field, [min, max]) {
+  return (i) => {
+    const v = Math.fround(field.values[i * field.count]);
+    return v >= min && v <= max;
+  };
+}
+
+// Points of a cloud inside the axis ranges (in file coordinates, less
+// `offset`) and the optional { name, range } field range, with every field
+export function filterCloud(cloud, { x = null, y = null, z = null, field = null, offset = [0, 0, 0] } = {}) {
+  const [fx, fy, fz] = ['x', 'y', 'z'].map(name => findField(cloud, name));
+  if (!fx || !fy || !fz) throw new Error('Point cloud has no x/y/z fields');
+  const axisTest = createAxisTest({ x, y, z });
+
+  let fieldTest = null;
+  if (field) {
+    const values = findField(cloud, field.name);
+    if (!values) throw new Error(`Point cloud has no field "${field.name}"`);
+    fieldTest = createFieldTest(values, field.range);
+  }
+
+  const kept = new Uint32Array(cloud.numPoints);
+  let numKept = 0;
+  for (let i = 0; i < cloud.numPoints; i++) {
+    if (axisTest && !axisTest(
+      fx.values[i * fx.count] - offset[0],
+      fy.values[i * fy.count] - offset[1],
+      fz.values[i * fz.count] - offset[2]
+    )) continue;
+    if (fieldTest && !fieldTest(i)) continue;
+    kept[numKept++] = i;
+  }
+  return subsetCloud(cloud, kept.subarray(0, numKept));
+}
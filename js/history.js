@@ -0,0 +1,54 @@
+// Linear undo/redo history.
+//
+// Commands are { label, undo(), redo() } and are recorded after the edit has
+// been applied. Recording a new command drops everything that was undone.
+export function createHistory({ limit = 100, onChange = () => {} } = {}) {
+  const entries = [];
+  // Number of entries currently applied
+  let position = 0;
+
+  const history = {
+    get entries() {
+      return entries;
+    },
+    get position() {
+      return position;
+    },
+    canUndo() {
+      return position > 0;
+    },
+    canRedo() {
+      return position < entries.length;
+    },
+    record(command) {
+      entries.splice(position);
+      entries.push(command);
+      if (entries.length > limit) entries.shift();
+      position = entries.length;
+      onChange(history);
+    },
+    undo() {
+      if (!history.canUndo()) return;
+      entries[--position].undo();
+      onChange(history);
+    },
+    redo() {
+      if (!history.canRedo()) return;
+      entries[position++].redo();
+      onChange(history);
+    },
+    // Undo or redo until `target` entries are applied
+    goTo(target) {
+      target = Math.max(0, Math.min(entries.length, target));
+      while (position > target) entries[--position].undo();
+      while (position < target) entries[position++].redo();
+      onChange(history);
+    },
+    clear() {
+      entries.length = 0;
+      position = 0;
+      onChange(history);
+    },
+  };
+  return history;
+}
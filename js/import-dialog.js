@@ -0,0 +1,132 @@
+// Column-mapping dialog for delimited text imports (CSV / XYZ / TXT).
+// Resolves with the parse options, or null when the user cancels.
+import {
+  COLUMN_TARGETS,
+  DELIMITERS,
+  detectDelimiter,
+  guessColumnMapping,
+  looksLikeHeader,
+  previewText,
+} from "./text-cloud.js";
+
+const DELIMITER_LABELS = {
+  comma: 'Comma (,)',
+  semicolon: 'Semicolon (;)',
+  tab: 'Tab',
+  whitespace: 'Spaces',
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+export function showTextImportDialog(text, filename) {
+  return new Promise(resolve => {
+    const sampleLines = text.slice(0, 64 * 1024).split('\n').filter(l => l.trim() !== '').slice(0, 20);
+    const options = {
+      delimiter: detectDelimiter(sampleLines.length > 1 ? sampleLines.slice(1) : sampleLines),
+      skipLines: 0,
+      hasHeader: false,
+      columns: [],
+    };
+    options.hasHeader = sampleLines.length > 0 && looksLikeHeader(sampleLines[0], options.delimiter);
+
+    const overlay = document.createElement('div');
+    overlay.id = 'import-dialog-overlay';
+    overlay.innerHTML = `
+      <div id="import-dialog">
+        <div class="title"><strong>Import ${escapeHtml(filename)}</strong></div>
+        <div class="options">
+          <label>Delimiter
+            <select id="import-delimiter">
+              ${Object.entries(DELIMITERS).map(([key, value]) =>
+                `<option value="${key}" ${value === options.delimiter ? 'selected' : ''}>${DELIMITER_LABELS[key]}</option>`
+              ).join('')}
+            </select>
+          </label>
+          <label>Skip lines
+            <input type="number" id="import-skip" min="0" value="0" />
+          </label>
+          <label>
+            <input type="checkbox" id="import-header" ${options.hasHeader ? 'checked' : ''} /> Header row
+          </label>
+        </div>
+        <div class="table-wrap"><table id="import-preview"></table></div>
+        <div class="error" id="import-error"></div>
+        <div class="buttons">
+          <button id="import-cancel">Cancel</button>
+          <button id="import-confirm">Import</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const delimiterSelect = overlay.querySelector('#import-delimiter');
+    const skipInput = overlay.querySelector('#import-skip');
+    const headerCheckbox = overlay.querySelector('#import-header');
+    const table = overlay.querySelector('#import-preview');
+    const errorBox = overlay.querySelector('#import-error');
+
+    // Rebuild the preview table and re-guess the column mapping
+    function refresh() {
+      const preview = previewText(text, options);
+      options.columns = guessColumnMapping(preview.header, preview.numColumns);
+
+      const selectRow = options.columns.map((column, c) => `
+        <th>
+          <select data-column="${c}" class="target">
+            ${COLUMN_TARGETS.map(t => `<option value="${t}" ${t === column.target ? 'selected' : ''}>${t}</option>`).join('')}
+          </select>
+          <input data-column="${c}" class="custom-name" value="${escapeHtml(column.name)}"
+            style="display:${column.target === 'custom' ? 'block' : 'none'}" />
+        </th>`).join('');
+      const headerRow = preview.header
+        ? `<tr class="header">${preview.header.map(h => `<td>${escapeHtml(h)}</td>`).join('')}</tr>`
+        : '';
+      const rows = preview.rows.map(row =>
+        `<tr>${row.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`
+      ).join('');
+      table.innerHTML = `<thead><tr>${selectRow}</tr></thead><tbody>${headerRow}${rows}</tbody>`;
+      errorBox.textContent = '';
+    }
+
+    function close(result) {
+      overlay.remove();
+      resolve(result);
+    }
+
+    delimiterSelect.addEventListener('change', () => {
+      options.delimiter = DELIMITERS[delimiterSelect.value];
+      refresh();
+    });
+    skipInput.addEventListener('change', () => {
+      options.skipLines = Math.max(0, parseInt(skipInput.value, 10) || 0);
+      refresh();
+    });
+    headerCheckbox.addEventListener('change', () => {
+      options.hasHeader = headerCheckbox.checked;
+      refresh();
+    });
+    table.addEventListener('change', (e) => {
+      const c = Number(e.target.dataset.column);
+      if (e.target.classList.contains('target')) {
+        options.columns[c].target = e.target.value;
+        e.target.nextElementSibling.style.display = e.target.value === 'custom' ? 'block' : 'none';
+      } else if (e.target.classList.contains('custom-name')) {
+        options.columns[c].name = e.target.value.trim();
+      }
+    });
+
+    overlay.querySelector('#import-cancel').addEventListener('click', () => close(null));
+    overlay.querySelector('#import-confirm').addEventListener('click', () => {
+      const targets = options.columns.map(c => c.target);
+      if (!['x', 'y', 'z'].every(axis => targets.includes(axis))) {
+        errorBox.textContent = 'Map columns to x, y and z before importing.';
+        return;
+      }
+      close({ ...options, columns: options.columns.map(c => ({ ...c })) });
+    });
+
+    refresh();
+  });
+}
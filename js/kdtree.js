@@ -0,0 +1,135 @@
+// Static 3D KD-tree over a flat [x0, y0, z0, x1, ...] position array.
+//
+// The tree is implicit: a permutation of the point indices where every range
+// [lo, hi) is split at its median on the axis of largest spread, so no node
+// objects are allocated even for tens of millions of points.
+
+// Partially sort index[lo..hi] so index[k] is the median on `axis`
+function quickselect(index, positions, lo, hi, k, axis) {
+  while (hi > lo) {
+    const pivot = positions[index[(lo + hi) >> 1] * 3 + axis];
+    let i = lo;
+    let j = hi;
+    while (i <= j) {
+      while (positions[index[i] * 3 + axis] < pivot) i++;
+      while (positions[index[j] * 3 + axis] > pivot) j--;
+      if (i <= j) {
+        const t = index[i];
+        index[i] = index[j];
+        index[j] = t;
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) hi = j;
+    else if (k >= i) lo = i;
+    else return;
+  }
+}
+
+export function buildKDTree(positions) {
+  const n = positions.length / 3;
+  const index = new Uint32Array(n);
+  for (let i = 0; i < n; i++) index[i] = i;
+  // Split axis of the node stored at each median slot
+  const axes = new Uint8Array(n);
+
+  const stack = [0, n];
+  while (stack.length > 0) {
+    const hi = stack.pop();
+    const lo = stack.pop();
+    if (hi - lo <= 1) continue;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = lo; i < hi; i++) {
+      const p = index[i] * 3;
+      for (let a = 0; a < 3; a++) {
+        const v = positions[p + a];
+        if (v < min[a]) min[a] = v;
+        if (v > max[a]) max[a] = v;
+      }
+    }
+    const spread = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+    const axis = spread[0] >= spread[1] && spread[0] >= spread[2] ? 0 : spread[1] >= spread[2] ? 1 : 2;
+
+    const mid = (lo + hi) >> 1;
+    quickselect(index, positions, lo, hi - 1, mid, axis);
+    axes[mid] = axis;
+    stack.push(lo, mid, mid + 1, hi);
+  }
+
+  // k nearest neighbours of (x, y, z), written sorted by distance into
+  // outIndices / outDistances (squared). Returns how many were found.
+  // `skip` leaves one point out, usually the query point itself.
+  function nearest(x, y, z, k, outIndices, outDistances, skip = -1) {
+    let found = 0;
+    const query = [x, y, z];
+
+    function visit(lo, hi) {
+      if (lo >= hi) return;
+      const mid = (lo + hi) >> 1;
+      const point = index[mid];
+      const p = point * 3;
+      const dx = positions[p] - x;
+      const dy = positions[p + 1] - y;
+      const dz = positions[p + 2] - z;
+      const d = dx * dx + dy * dy + dz * dz;
+
+      if (point !== skip && (found < k || d < outDistances[found - 1])) {
+        // Insertion into the sorted result list
+        let slot = found < k ? found++ : k - 1;
+        while (slot > 0 && outDistances[slot - 1] > d) {
+          outDistances[slot] = outDistances[slot - 1];
+          outIndices[slot] = outIndices[slot - 1];
+          slot--;
+        }
+        outDistances[slot] = d;
+        outIndices[slot] = point;
+      }
+
+      if (hi - lo === 1) return;
+      const axis = axes[mid];
+      const diff = query[axis] - positions[p + axis];
+      if (diff < 0) {
+        visit(lo, mid);
+        if (found < k || diff * diff < outDistances[found - 1]) visit(mid + 1, hi);
+      } else {
+        visit(mid + 1, hi);
+        if (found < k || diff * diff < outDistances[found - 1]) visit(lo, mid);
+      }
+    }
+
+    visit(0, n);
+    return found;
+  }
+
+  // Indices of the points within `radius` of (x, y, z), appended to `out`.
+  // Stops early once `limit` points were found.
+  function withinRadius(x, y, z, radius, out = [], limit = Infinity) {
+    const r2 = radius * radius;
+    const query = [x, y, z];
+
+    function visit(lo, hi) {
+      if (lo >= hi || out.length >= limit) return;
+      const mid = (lo + hi) >> 1;
+      const point = index[mid];
+      const p = point * 3;
+      const dx = positions[p] - x;
+      const dy = positions[p + 1] - y;
+      const dz = positions[p + 2] - z;
+      if (dx * dx + dy * dy + dz * dz <= r2) out.push(point);
+
+      if (hi - lo === 1) return;
+      const axis = axes[mid];
+      const diff = query[axis] - positions[p + axis];
+      if (diff <= radius) visit(lo, mid);
+      if (diff >= -radius) visit(mid + 1, hi);
+    }
+
+    visit(0, n);
+    return out;
+  }
+
+  return { size: n, positions, nearest, withinRadius };
+}
@@ -0,0 +1,199 @@
+// Labelling panel: the class list with per-class point counts, the active
+// class, a brush that paints it on the canvas, and the actions that assign
+// it to the selection or to chosen clusters.
+
+const ACTION_LABELS = {
+  selection: ['Assign to selection', 'Give the selected points the active class'],
+  clusters: ['Assign to clusters', 'Give the chosen clusters of the active layer the active class'],
+  importLabels: ['Import .label', 'Read a SemanticKITTI .label file for the active layer'],
+  exportLabels: ['Export .label', 'Labels of the exported points as a SemanticKITTI .label file'],
+  importClasses: ['Import classes', 'Replace the class list with a JSON file'],
+  exportClasses: ['Export classes', 'Download the class list as JSON'],
+};
+
+// `onToggle(on)` switches labelling mode, `onBrush(inside, bounds)` paints
+// the points inside a screen-space test, whose { left, top, right, bottom }
+// canvas rectangle is `bounds`, and `onBrushEnd()` closes a stroke.
+// `onClass(id)` picks the active class, `onClassChange(action, cls)` gets
+// 'add', 'remove' or 'color', and `onAction(name)` the buttons above.
+export function createLabelTool({ canvas, panel, controls, onToggle, onBrush, onBrushEnd, onClass, onClassChange, onAction }) {
+  let brushing = false;
+  let painting = false;
+  let radius = 20;
+
+  const cursor = document.createElement('div');
+  cursor.id = 'brush-cursor';
+  document.body.appendChild(cursor);
+
+  panel.innerHTML = `
+    <label class="label-header">
+      <span>Labelling</span>
+      <input type="checkbox" class="label-mode" />
+    </label>
+    <div class="label-body">
+      <div class="label-brush">
+        <button data-brush>Brush</button>
+        <input type="range" class="label-radius" min="2" max="100" value="${radius}" title="Brush radius (px)" />
+      </div>
+      <div class="label-hint"></div>
+      <ol class="label-list"></ol>
+      <div class="label-add">
+        <input type="color" class="label-new-color" value="#ffffff" />
+        <input type="text" class="label-new-name" placeholder="name" />
+        <input type="number" class="label-new-id" placeholder="id" min="0" />
+        <button data-add>Add</button>
+      </div>
+      ${Object.entries(ACTION_LABELS).map(([name, [label, title]]) =>
+        `<button data-action="${name}" title="${title}">${label}</button>`
+      ).join('')}
+    </div>
+  `;
+  const mode = panel.querySelector('.label-mode');
+  const body = panel.querySelector('.label-body');
+  const hint = panel.querySelector('.label-hint');
+  const list = panel.querySelector('.label-list');
+  const radiusInput = panel.querySelector('.label-radius');
+  const brushButton = panel.querySelector('[data-brush]');
+
+  function updateBrush() {
+    brushButton.classList.toggle('active', brushing);
+    // Left drag paints instead of orbiting while the brush is on
+    controls.enabled = !brushing;
+    hint.textContent = brushing
+      ? 'Drag to paint the active class. Turn the brush off to navigate.'
+      : 'Pick a class, then paint it or assign it to a selection.';
+    if (!brushing) cursor.style.display = 'none';
+  }
+
+  function setBrush(on) {
+    brushing = on;
+    updateBrush();
+  }
+
+  function placeCursor(e) {
+    cursor.style.display = 'block';
+    cursor.style.width = cursor.style.height = `${radius * 2}px`;
+    cursor.style.left = `${e.clientX - radius}px`;
+    cursor.style.top = `${e.clientY - radius}px`;
+  }
+
+  function paint(e) {
+    const rect = canvas.getBoundingClientRect();
+    const cx = e.clientX - rect.left;
+    const cy = e.clientY - rect.top;
+    const r2 = radius * radius;
+    onBrush(
+      (x, y) => (x - cx) * (x - cx) + (y - cy) * (y - cy) <= r2,
+      { left: cx - radius, top: cy - radius, right: cx + radius, bottom: cy + radius },
+    );
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!brushing || e.button !== 0) return;
+    painting = true;
+    canvas.setPointerCapture(e.pointerId);
+    paint(e);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!brushing) return;
+    placeCursor(e);
+    if (painting) paint(e);
+  });
+
+  canvas.addEventListener('pointerup', () => {
+    if (!painting) return;
+    painting = false;
+    onBrushEnd();
+  });
+
+  canvas.addEventListener('pointerleave', () => {
+    cursor.style.display = 'none';
+  });
+
+  mode.addEventListener('change', () => {
+    body.style.display = mode.checked ? 'flex' : 'none';
+    if (!mode.checked) setBrush(false);
+    onToggle(mode.checked);
+  });
+
+  radiusInput.addEventListener('input', () => {
+    radius = Number(radiusInput.value);
+  });
+
+  panel.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (button) {
+      if (button.hasAttribute('data-brush')) {
+        setBrush(!brushing);
+      } else if (button.hasAttribute('data-add')) {
+        onClassChange('add', {
+          id: Number(panel.querySelector('.label-new-id').value),
+          name: panel.querySelector('.label-new-name').value.trim(),
+          color: panel.querySelector('.label-new-color').value,
+        });
+      } else if (button.hasAttribute('data-remove')) {
+        onClassChange('remove', { id: Number(button.closest('li').dataset.id) });
+      } else if (button.dataset.action) {
+        onAction(button.dataset.action);
+      }
+      return;
+    }
+    const item = e.target.closest('li');
+    if (item && item.dataset.id !== undefined && !e.target.matches('input')) onClass(Number(item.dataset.id));
+  });
+
+  list.addEventListener('change', (e) => {
+    if (!e.target.matches('input[type="color"]')) return;
+    onClassChange('color', { id: Number(e.target.closest('li').dataset.id), color: e.target.value });
+  });
+
+  // `classes` as in labels.js, `counts` a Map of class id → points of the
+  // active layer (null without a layer), `activeId` the class painted
+  function update(classes, counts, activeId) {
+    panel.style.display = counts ? 'flex' : 'none';
+    list.innerHTML = '';
+    classes.forEach(cls => {
+      const item = document.createElement('li');
+      item.dataset.id = cls.id;
+      item.classList.toggle('active', cls.id === activeId);
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = cls.color;
+      color.title = 'Class colour';
+      const name = document.createElement('span');
+      name.className = 'label-name';
+      name.textContent = `${cls.id} ${cls.name}`;
+      const count = document.createElement('span');
+      count.className = 'label-count';
+      count.textContent = counts ? counts.get(cls.id) || 0 : '';
+      const remove = document.createElement('button');
+      remove.dataset.remove = '';
+      remove.textContent = '✕';
+      remove.title = 'Remove class (labels are kept)';
+      item.append(color, name, count, remove);
+      list.appendChild(item);
+    });
+    // Ids in the data that the class list does not name
+    if (counts) {
+      const known = new Set(classes.map(cls => cls.id));
+      const unknown = [...counts].filter(([id]) => !known.has(id));
+      if (unknown.length > 0) {
+        const item = document.createElement('li');
+        item.className = 'label-unknown';
+        item.textContent = `other ids: ${unknown.map(([id, n]) => `${id} (${n})`).join(', ')}`;
+        list.appendChild(item);
+      }
+    }
+  }
+
+  body.style.display = 'none';
+  updateBrush();
+
+  return {
+    update,
+    get brushing() {
+      return brushing;
+    },
+  };
+}
@@ -0,0 +1,111 @@
+// Semantic labels: the class list and the SemanticKITTI `.label` layout.
+//
+// Labels live in a one-value `label` field of the cloud, so they go through
+// filtering and PCD/PLY export like any other field. As in SemanticKITTI the
+// lower 16 bits hold the class id and the upper 16 bits an instance id, which
+// is kept as it is. Class 0 is "unlabeled".
+//
+// A class list is { version, classes: [{ id, name, color: '#rrggbb' }] }.
+
+export const LABEL_CLASSES_VERSION = 1;
+
+// SemanticKITTI classes with their colours
+export const DEFAULT_LABEL_CLASSES = [
+  { id: 0, name: 'unlabeled', color: '#000000' },
+  { id: 10, name: 'car', color: '#6496f5' },
+  { id: 11, name: 'bicycle', color: '#64e6f5' },
+  { id: 15, name: 'motorcycle', color: '#1e3c96' },
+  { id: 18, name: 'truck', color: '#501eb4' },
+  { id: 20, name: 'other-vehicle', color: '#0000ff' },
+  { id: 30, name: 'person', color: '#ff1e1e' },
+  { id: 31, name: 'bicyclist', color: '#ff28c8' },
+  { id: 32, name: 'motorcyclist', color: '#961e5a' },
+  { id: 40, name: 'road', color: '#ff00ff' },
+  { id: 44, name: 'parking', color: '#ff96ff' },
+  { id: 48, name: 'sidewalk', color: '#4b004b' },
+  { id: 49, name: 'other-ground', color: '#af004b' },
+  { id: 50, name: 'building', color: '#ffc800' },
+  { id: 51, name: 'fence', color: '#ff7832' },
+  { id: 70, name: 'vegetation', color: '#00af00' },
+  { id: 71, name: 'trunk', color: '#873c00' },
+  { id: 72, name: 'terrain', color: '#96f050' },
+  { id: 80, name: 'pole', color: '#fff096' },
+  { id: 81, name: 'traffic-sign', color: '#ff0000' },
+];
+
+export const MAX_CLASS_ID = 0xffff;
+
+export function classIdOf(value) {
+  return value & 0xffff;
+}
+
+// `value` with its class id replaced, keeping the instance id
+export function withClassId(value, id) {
+  return ((value & 0xffff0000) | id) >>> 0;
+}
+
+// '#rrggbb' as 0..1 RGB
+export function classColor(cls) {
+  const hex = parseInt(cls.color.slice(1), 16);
+  return [((hex >> 16) & 0xff) / 255, ((hex >> 8) & 0xff) / 255, (hex & 0xff) / 255];
+}
+
+// Error message for a class that cannot be added to `classes`, or null
+export function classProblem(cls, classes) {
+  if (!Number.isInteger(cls.id) || cls.id < 0 || cls.id > MAX_CLASS_ID) {
+    return `Class id must be a whole number from 0 to ${MAX_CLASS_ID}`;
+  }
+  if (typeof cls.name !== 'string' || cls.name.trim() === '') return 'Class needs a name';
+  if (!/^#[0-9a-f]{6}$/i.test(cls.color)) return `Class colour must look like #rrggbb, got "${cls.color}"`;
+  if (classes.some(other => other.id === cls.id)) return `Class id ${cls.id} is already used`;
+  return null;
+}
+
+export function parseLabelClasses(text) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Class list is not valid JSON: ${err.message}`);
+  }
+  if (!list || !Array.isArray(list.classes)) throw new Error('Not a class list (no classes)');
+  if (list.version !== LABEL_CLASSES_VERSION) {
+    throw new Error(`Unsupported class list version ${list.version}`);
+  }
+  const classes = [];
+  list.classes.forEach(cls => {
+    const problem = classProblem(cls, classes);
+    if (problem) throw new Error(problem);
+    classes.push({ id: cls.id, name: cls.name, color: cls.color });
+  });
+  return classes;
+}
+
+export function labelClassesToJSON(classes) {
+  return JSON.stringify({ version: LABEL_CLASSES_VERSION, classes }, null, 2);
+}
+
+// Points per class id for the points `accept(i)` lets through
+export function countLabels(values, accept = () => true) {
+  const counts = new Map();
+  for (let i = 0; i < values.length; i++) {
+    if (!accept(i)) continue;
+    const id = classIdOf(values[i]);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return counts;
+}
+
+// SemanticKITTI .label file: one little-endian uint32 per point, in point order
+export function encodeKittiLabels(values) {
+  const out = new Uint32Array(values.length);
+  out.set(values);
+  return new Uint8Array(out.buffer);
+}
+
+export function decodeKittiLabels(buffer, numPoints) {
+  if (buffer.byteLength !== numPoints * 4) {
+    throw new Error(`Label file has ${buffer.byteLength / 4} labels for ${numPoints} points`);
+  }
+  return new Uint32Array(buffer.slice(0));
+}
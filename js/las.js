@@ -0,0 +1,145 @@
+// LAS 1.2 - 1.4 reader (uncompressed point data record formats 0 - 10).
+//
+// Coordinates are scaled and offset into F8 x/y/z fields; per-point
+// attributes become regular cloud fields so they can be filtered, picked
+// and exported like any PCD field.
+import { createField } from "./cloud.js";
+
+// Byte offset of the optional blocks inside each point record format
+const POINT_FORMATS = {
+  0: { size: 20 },
+  1: { size: 28, gpsTime: 20 },
+  2: { size: 26, rgb: 20 },
+  3: { size: 34, gpsTime: 20, rgb: 28 },
+  4: { size: 57, gpsTime: 20 },
+  5: { size: 63, gpsTime: 20, rgb: 28 },
+  6: { size: 30, gpsTime: 22 },
+  7: { size: 36, gpsTime: 22, rgb: 30 },
+  8: { size: 38, gpsTime: 22, rgb: 30, nir: 36 },
+  9: { size: 59, gpsTime: 22 },
+  10: { size: 67, gpsTime: 22, rgb: 30, nir: 36 },
+};
+
+function parseHeader(view) {
+  const signature = String.fromCharCode(
+    view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)
+  );
+  if (signature !== 'LASF') throw new Error('Not a LAS file (missing "LASF" signature)');
+
+  const header = {
+    versionMajor: view.getUint8(24),
+    versionMinor: view.getUint8(25),
+    headerSize: view.getUint16(94, true),
+    pointOffset: view.getUint32(96, true),
+    pointFormat: view.getUint8(104),
+    recordLength: view.getUint16(105, true),
+    numPoints: view.getUint32(107, true),
+    scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+    offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+  };
+
+  if (header.versionMajor !== 1 || header.versionMinor < 2 || header.versionMinor > 4) {
+    throw new Error(`Unsupported LAS version ${header.versionMajor}.${header.versionMinor}`);
+  }
+  // Bits 6 and 7 of the format byte flag LAZ compression
+  if (header.pointFormat & 0xc0) {
+    throw new Error('Compressed LAZ point data is not supported');
+  }
+  if (!POINT_FORMATS[header.pointFormat]) {
+    throw new Error(`Unsupported LAS point data record format ${header.pointFormat}`);
+  }
+  if (header.recordLength < POINT_FORMATS[header.pointFormat].size) {
+    throw new Error(`LAS point record length ${header.recordLength} is too short for format ${header.pointFormat}`);
+  }
+  // LAS 1.4 moves the point count to a 64-bit field and may zero the legacy one
+  if (header.versionMinor >= 4 && header.headerSize >= 255) {
+    const count = Number(view.getBigUint64(247, true));
+    if (count > 0) header.numPoints = count;
+  }
+  return header;
+}
+
+// Parse a LAS file into a cloud
+export function parseLAS(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 227) throw new Error('LAS header is truncated');
+
+  const header = parseHeader(view);
+  const layout = POINT_FORMATS[header.pointFormat];
+  const extended = header.pointFormat >= 6;
+  const n = header.numPoints;
+  const stride = header.recordLength;
+
+  if (header.pointOffset + n * stride > buffer.byteLength) {
+    throw new Error(`LAS point data is truncated: expected ${n} points`);
+  }
+
+  const x = createField('x', 'F', 8, n);
+  const y = createField('y', 'F', 8, n);
+  const z = createField('z', 'F', 8, n);
+  const intensity = createField('intensity', 'U', 2, n);
+  const returnNumber = createField('return_number', 'U', 1, n);
+  const numberOfReturns = createField('number_of_returns', 'U', 1, n);
+  const classification = createField('classification', 'U', 1, n);
+  const scanAngle = createField('scan_angle', 'F', 4, n);
+  const userData = createField('user_data', 'U', 1, n);
+  const pointSourceId = createField('point_source_id', 'U', 2, n);
+  const gpsTime = layout.gpsTime !== undefined ? createField('gps_time', 'F', 8, n) : null;
+  const rgb = layout.rgb !== undefined ? createField('rgb', 'U', 4, n) : null;
+  const nir = layout.nir !== undefined ? createField('nir', 'U', 2, n) : null;
+
+  const [sx, sy, sz] = header.scale;
+  const [ox, oy, oz] = header.offset;
+  const rgb16 = rgb ? new Uint16Array(n * 3) : null;
+  let maxChannel = 0;
+
+  for (let i = 0, o = header.pointOffset; i < n; i++, o += stride) {
+    x.values[i] = view.getInt32(o, true) * sx + ox;
+    y.values[i] = view.getInt32(o + 4, true) * sy + oy;
+    z.values[i] = view.getInt32(o + 8, true) * sz + oz;
+    intensity.values[i] = view.getUint16(o + 12, true);
+
+    const returns = view.getUint8(o + 14);
+    if (extended) {
+      returnNumber.values[i] = returns & 0x0f;
+      numberOfReturns.values[i] = returns >> 4;
+      classification.values[i] = view.getUint8(o + 16);
+      userData.values[i] = view.getUint8(o + 17);
+      // Extended scan angle is stored in 0.006 degree steps
+      scanAngle.values[i] = view.getInt16(o + 18, true) * 0.006;
+      pointSourceId.values[i] = view.getUint16(o + 20, true);
+    } else {
+      returnNumber.values[i] = returns & 0x07;
+      numberOfReturns.values[i] = (returns >> 3) & 0x07;
+      classification.values[i] = view.getUint8(o + 15) & 0x1f;
+      scanAngle.values[i] = view.getInt8(o + 16);
+      userData.values[i] = view.getUint8(o + 17);
+      pointSourceId.values[i] = view.getUint16(o + 18, true);
+    }
+
+    if (gpsTime) gpsTime.values[i] = view.getFloat64(o + layout.gpsTime, true);
+    if (rgb16) {
+      for (let c = 0; c < 3; c++) {
+        const v = view.getUint16(o + layout.rgb + c * 2, true);
+        rgb16[i * 3 + c] = v;
+        if (v > maxChannel) maxChannel = v;
+      }
+    }
+    if (nir) nir.values[i] = view.getUint16(o + layout.nir, true);
+  }
+
+  // The spec asks for 16-bit colour, but many writers store 8-bit values
+  if (rgb) {
+    const shift = maxChannel > 255 ? 8 : 0;
+    for (let i = 0; i < n; i++) {
+      const r = rgb16[i * 3] >> shift;
+      const g = rgb16[i * 3 + 1] >> shift;
+      const b = rgb16[i * 3 + 2] >> shift;
+      rgb.values[i] = (r << 16) | (g << 8) | b;
+    }
+  }
+
+  const fields = [x, y, z, intensity, returnNumber, numberOfReturns, classification,
+    scanAngle, userData, pointSourceId, gpsTime, rgb, nir].filter(Boolean);
+  return { numPoints: n, fields, viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
@@ -0,0 +1,133 @@
+// Small dense linear algebra for 3D point processing (plane fitting,
+// normals, registration). Matrices are row-major arrays (9 numbers for 3x3).
+
+// Eigen decomposition of a symmetric n x n matrix by cyclic Jacobi rotations.
+// Returns eigenvalues in ascending order with their unit eigenvectors.
+export function symmetricEigen(m, n) {
+  const a = m.slice();
+  const v = new Array(n * n).fill(0);
+  for (let i = 0; i < n; i++) v[i * n + i] = 1;
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    let scale = 0;
+    for (let p = 0; p < n; p++) {
+      scale += a[p * n + p] * a[p * n + p];
+      for (let q = p + 1; q < n; q++) off += a[p * n + q] * a[p * n + q];
+    }
+    if (off <= 1e-24 * scale || off === 0) break;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        const apq = a[p * n + q];
+        if (apq === 0) continue;
+        const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        // a = Jᵀ a J, v = v J
+        for (let k = 0; k < n; k++) {
+          const akp = a[k * n + p];
+          const akq = a[k * n + q];
+          a[k * n + p] = c * akp - s * akq;
+          a[k * n + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p * n + k];
+          const aqk = a[q * n + k];
+          a[p * n + k] = c * apk - s * aqk;
+          a[q * n + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k * n + p];
+          const vkq = v[k * n + q];
+          v[k * n + p] = c * vkp - s * vkq;
+          v[k * n + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    const vector = [];
+    for (let k = 0; k < n; k++) vector.push(v[k * n + i]);
+    pairs.push({ value: a[i * n + i], vector });
+  }
+  pairs.sort((x, y) => x.value - y.value);
+  return { values: pairs.map(pair => pair.value), vectors: pairs.map(pair => pair.vector) };
+}
+
+export function symmetricEigen3(m) {
+  return symmetricEigen(m, 3);
+}
+
+// Solve the n x n system A x = b by Gaussian elimination with partial
+// pivoting. Returns null when A is singular.
+export function solveLinearSystem(A, b, n) {
+  const m = A.slice();
+  const x = b.slice();
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row * n + col]) > Math.abs(m[pivot * n + col])) pivot = row;
+    }
+    if (Math.abs(m[pivot * n + col]) < 1e-15) return null;
+    if (pivot !== col) {
+      for (let k = 0; k < n; k++) {
+        const t = m[col * n + k];
+        m[col * n + k] = m[pivot * n + k];
+        m[pivot * n + k] = t;
+      }
+      const t = x[col];
+      x[col] = x[pivot];
+      x[pivot] = t;
+    }
+    for (let row = col + 1; row < n; row++) {
+      const f = m[row * n + col] / m[col * n + col];
+      if (f === 0) continue;
+      for (let k = col; k < n; k++) m[row * n + k] -= f * m[col * n + k];
+      x[row] -= f * x[col];
+    }
+  }
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = x[row];
+    for (let k = row + 1; k < n; k++) sum -= m[row * n + k] * x[k];
+    x[row] = sum / m[row * n + row];
+  }
+  return x;
+}
+
+// Centroid and covariance of the points at `indices` in a flat position array
+export function covariance3(positions, indices) {
+  const n = indices.length;
+  let cx = 0, cy = 0, cz = 0;
+  for (let k = 0; k < n; k++) {
+    const p = indices[k] * 3;
+    cx += positions[p];
+    cy += positions[p + 1];
+    cz += positions[p + 2];
+  }
+  cx /= n;
+  cy /= n;
+  cz /= n;
+
+  let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+  for (let k = 0; k < n; k++) {
+    const p = indices[k] * 3;
+    const dx = positions[p] - cx;
+    const dy = positions[p + 1] - cy;
+    const dz = positions[p + 2] - cz;
+    xx += dx * dx;
+    xy += dx * dy;
+    xz += dx * dz;
+    yy += dy * dy;
+    yz += dy * dz;
+    zz += dz * dz;
+  }
+  return {
+    centroid: [cx, cy, cz],
+    matrix: [xx / n, xy / n, xz / n, xy / n, yy / n, yz / n, xz / n, yz / n, zz / n],
+  };
+}
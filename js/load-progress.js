@@ -0,0 +1,48 @@
+// Progress panel for a file being loaded: stage, progress bar and a cancel
+// button, then the error message if loading fails.
+
+// `container` receives the panel; `onCancel` is called by the cancel button
+export function showLoadProgress(container, filename, onCancel) {
+  const panel = document.createElement('div');
+  panel.className = 'load-progress';
+  panel.innerHTML = `
+    <div class="load-name"></div>
+    <div class="load-stage">Starting</div>
+    <div class="load-bar"><div class="load-bar-inner"></div></div>
+    <button class="load-cancel">Cancel</button>
+  `;
+  panel.querySelector('.load-name').textContent = filename;
+  container.appendChild(panel);
+
+  const stage = panel.querySelector('.load-stage');
+  const bar = panel.querySelector('.load-bar');
+  const barInner = panel.querySelector('.load-bar-inner');
+  const button = panel.querySelector('.load-cancel');
+  button.addEventListener('click', () => {
+    if (panel.classList.contains('failed')) {
+      panel.remove();
+    } else {
+      onCancel();
+    }
+  });
+
+  // `fraction` null shows a busy bar for stages without a known length
+  function update(text, fraction = null) {
+    stage.textContent = fraction === null ? `${text}…` : `${text} ${Math.round(fraction * 100)}%`;
+    bar.classList.toggle('busy', fraction === null);
+    barInner.style.width = fraction === null ? '' : `${fraction * 100}%`;
+  }
+
+  // Keep the panel open with the error until dismissed
+  function fail(message) {
+    panel.classList.add('failed');
+    stage.textContent = message;
+    button.textContent = 'Dismiss';
+  }
+
+  function close() {
+    panel.remove();
+  }
+
+  return { update, fail, close };
+}
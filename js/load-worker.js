@@ -0,0 +1,38 @@
+// Main-thread side of parse-worker.js: one worker per file, terminated when
+// the file is parsed or the load is cancelled.
+
+// Returns { promise, cancel }. The promise resolves with { cloud, prepared },
+// or with null once cancelled, and rejects with the parse error.
+export function parseInWorker({ file, extension, textOptions = null, origin = null, onProgress = () => {} }) {
+  const worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+  let resolvePromise;
+
+  const promise = new Promise((resolve, reject) => {
+    resolvePromise = resolve;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data.stage, data.fraction);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') {
+        resolve({ cloud: data.cloud, prepared: data.prepared });
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'The parser could not be started'));
+    };
+  });
+
+  worker.postMessage({ file, extension, textOptions, origin });
+
+  function cancel() {
+    worker.terminate();
+    resolvePromise(null);
+  }
+
+  return { promise, cancel };
+}
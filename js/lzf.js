@@ -0,0 +1,113 @@
+// LZF compression as used by PCL for `DATA binary_compressed`.
+// Byte-compatible with liblzf: literal runs use a control byte < 32 holding
+// (length - 1), back references store (length - 2) in the top 3 bits (with an
+// extra length byte when it reaches 7) and a 13-bit offset.
+
+const HASH_LOG = 16;
+const HASH_SIZE = 1 << HASH_LOG;
+const MAX_LITERAL = 1 << 5;
+const MAX_OFFSET = 1 << 13;
+const MAX_REF = (1 << 8) + (1 << 3);
+
+function hashAt(input, i) {
+  const v = (input[i] << 16) | (input[i + 1] << 8) | input[i + 2];
+  return Math.imul(v, 0x9e3779b1) >>> (32 - HASH_LOG);
+}
+
+export function lzfCompress(input) {
+  const length = input.length;
+  // Worst case is all literals: one control byte per 32 input bytes
+  const output = new Uint8Array(length + Math.ceil(length / MAX_LITERAL) + 1);
+  const table = new Int32Array(HASH_SIZE); // position + 1, 0 = empty
+  let ip = 0;
+  let op = 0;
+  let literalStart = 0;
+
+  function flushLiterals(end) {
+    while (literalStart < end) {
+      const n = Math.min(MAX_LITERAL, end - literalStart);
+      output[op++] = n - 1;
+      output.set(input.subarray(literalStart, literalStart + n), op);
+      op += n;
+      literalStart += n;
+    }
+  }
+
+  while (ip + 2 < length) {
+    const h = hashAt(input, ip);
+    const ref = table[h] - 1;
+    table[h] = ip + 1;
+    const off = ip - ref - 1;
+
+    if (
+      ref >= 0 &&
+      off < MAX_OFFSET &&
+      input[ref] === input[ip] &&
+      input[ref + 1] === input[ip + 1] &&
+      input[ref + 2] === input[ip + 2]
+    ) {
+      let len = 3;
+      const maxLen = Math.min(length - ip, MAX_REF);
+      while (len < maxLen && input[ref + len] === input[ip + len]) len++;
+
+      flushLiterals(ip);
+      const code = len - 2;
+      if (code < 7) {
+        output[op++] = (off >> 8) + (code << 5);
+      } else {
+        output[op++] = (off >> 8) + (7 << 5);
+        output[op++] = code - 7;
+      }
+      output[op++] = off & 0xff;
+
+      // Keep the hash table warm inside the match for better ratios
+      const end = ip + len;
+      for (ip++; ip < end && ip + 2 < length; ip++) {
+        table[hashAt(input, ip)] = ip + 1;
+      }
+      ip = end;
+      literalStart = end;
+    } else {
+      ip++;
+    }
+  }
+
+  flushLiterals(length);
+  return output.slice(0, op);
+}
+
+export function lzfDecompress(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let ip = 0;
+  let op = 0;
+
+  while (ip < input.length) {
+    let ctrl = input[ip++];
+
+    if (ctrl < MAX_LITERAL) {
+      ctrl++;
+      if (op + ctrl > outputLength || ip + ctrl > input.length) {
+        throw new Error('LZF: literal run exceeds buffer bounds');
+      }
+      output.set(input.subarray(ip, ip + ctrl), op);
+      ip += ctrl;
+      op += ctrl;
+    } else {
+      let len = ctrl >> 5;
+      let ref = op - ((ctrl & 0x1f) << 8) - 1;
+      if (len === 7) len += input[ip++];
+      ref -= input[ip++];
+      len += 2;
+      if (op + len > outputLength || ref < 0) {
+        throw new Error('LZF: back reference exceeds buffer bounds');
+      }
+      // Byte-by-byte copy: references may overlap the bytes being written
+      while (len--) output[op++] = output[ref++];
+    }
+  }
+
+  if (op !== outputLength) {
+    throw new Error(`LZF: expected ${outputLength} bytes, got ${op}`);
+  }
+  return output;
+}
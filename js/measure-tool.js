@@ -0,0 +1,233 @@
+// Interactive measurements: collects picked points, draws the lines and
+// labels in the scene and keeps the list shown in the measurement panel.
+import * as THREE from "three";
+import { CSS2DObject } from "three/addons/renderers/CSS2DRenderer.js";
+import {
+  MEASURE_TYPES,
+  computeMeasurement,
+  formatMeasurement,
+  measurementsToCSV,
+  measurementsToJSON,
+} from "./measure.js";
+
+const MODE_LABELS = {
+  distance: 'Distance',
+  angle: 'Angle',
+  height: 'Height',
+  area: 'Area',
+};
+
+const MODE_HINTS = {
+  distance: 'Click two points.',
+  angle: 'Click three points; the second one is the vertex.',
+  height: 'Click the lower and the upper point.',
+  area: 'Click the corners, then Enter or double-click to close. Esc cancels.',
+};
+
+const LINE_COLOR = 0x00e5ff;
+const PENDING_COLOR = 0xffaa00;
+
+function makeLabel(text) {
+  const element = document.createElement('div');
+  element.className = 'measure-label';
+  element.textContent = text;
+  return new CSS2DObject(element);
+}
+
+function midpoint(a, b) {
+  return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+}
+
+// Lines, corner markers and label of one (possibly unfinished) measurement.
+// Drawn on top of the cloud so they stay readable.
+function buildObject(type, points, measurement) {
+  const group = new THREE.Group();
+  const color = measurement ? LINE_COLOR : PENDING_COLOR;
+
+  let path = points;
+  if (type === 'height' && points.length === 2) {
+    // Vertical leg from the first point, then across to the second
+    path = [points[0], [points[0][0], points[0][1], points[1][2]], points[1]];
+  }
+  const positions = new Float32Array(path.flat());
+
+  const markerGeometry = new THREE.BufferGeometry();
+  markerGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(points.flat()), 3));
+  const markers = new THREE.Points(
+    markerGeometry,
+    new THREE.PointsMaterial({ size: 8, color, sizeAttenuation: false, depthTest: false })
+  );
+  markers.renderOrder = 10;
+  group.add(markers);
+
+  if (path.length > 1) {
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const LineType = type === 'area' && measurement ? THREE.LineLoop : THREE.Line;
+    const line = new LineType(lineGeometry, new THREE.LineBasicMaterial({ color, depthTest: false }));
+    line.renderOrder = 10;
+    group.add(line);
+  }
+
+  if (measurement) {
+    let anchor;
+    if (type === 'angle') {
+      anchor = points[1];
+    } else if (type === 'height') {
+      anchor = midpoint(path[0], path[1]);
+    } else if (type === 'area') {
+      anchor = [0, 1, 2].map(axis => points.reduce((sum, p) => sum + p[axis], 0) / points.length);
+    } else {
+      anchor = midpoint(points[0], points[1]);
+    }
+    const label = makeLabel(formatMeasurement(measurement));
+    label.position.set(...anchor);
+    group.add(label);
+  }
+  return group;
+}
+
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.isCSS2DObject) child.element.remove();
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+  object.removeFromParent();
+}
+
+// `panel` is the container element; `download(blob, filename)` saves exports
+export function createMeasureTool({ scene, panel, render, download }) {
+  const group = new THREE.Group();
+  scene.add(group);
+
+  const measurements = [];
+  let mode = null;
+  let pending = [];
+  let pendingObject = null;
+
+  panel.innerHTML = `
+    <div class="measure-header"><span>Measure</span></div>
+    <div class="measure-modes">
+      ${Object.entries(MODE_LABELS).map(([type, label]) =>
+        `<button data-mode="${type}">${label}</button>`
+      ).join('')}
+    </div>
+    <div class="measure-hint"></div>
+    <ol class="measure-list"></ol>
+    <div class="measure-actions">
+      <button data-action="csv">CSV</button>
+      <button data-action="json">JSON</button>
+      <button data-action="clear">Clear</button>
+    </div>
+  `;
+  const hint = panel.querySelector('.measure-hint');
+  const list = panel.querySelector('.measure-list');
+  const actions = panel.querySelector('.measure-actions');
+
+  function updatePanel() {
+    panel.querySelectorAll('[data-mode]').forEach(button => {
+      button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    hint.textContent = mode ? MODE_HINTS[mode] : 'Pick a tool, then click points in the cloud.';
+
+    list.innerHTML = '';
+    measurements.forEach((measurement, i) => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${i + 1}. ${MODE_LABELS[measurement.type]}: ${formatMeasurement(measurement)}`;
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.title = 'Remove measurement';
+      remove.addEventListener('click', () => {
+        measurements.splice(measurements.indexOf(measurement), 1);
+        disposeObject(measurement.object);
+        updatePanel();
+        render();
+      });
+      item.append(text, remove);
+      list.appendChild(item);
+    });
+    actions.style.display = measurements.length > 0 ? 'flex' : 'none';
+  }
+
+  function redrawPending() {
+    if (pendingObject) disposeObject(pendingObject);
+    pendingObject = pending.length > 0 ? buildObject(mode, pending, null) : null;
+    if (pendingObject) group.add(pendingObject);
+    render();
+  }
+
+  function cancel() {
+    pending = [];
+    redrawPending();
+  }
+
+  function setMode(type) {
+    cancel();
+    mode = mode === type ? null : type;
+    updatePanel();
+  }
+
+  function complete() {
+    const measurement = computeMeasurement(mode, pending);
+    measurement.object = buildObject(mode, pending, measurement);
+    group.add(measurement.object);
+    measurements.push(measurement);
+    pending = [];
+    redrawPending();
+    updatePanel();
+  }
+
+  function addPoint(point) {
+    if (!mode) return;
+    // The second click of a double-click lands on the same point
+    const last = pending[pending.length - 1];
+    if (last && last.every((v, axis) => Math.abs(v - point[axis]) < 1e-9)) return;
+
+    pending.push(point);
+    if (pending.length === MEASURE_TYPES[mode]) {
+      complete();
+    } else {
+      redrawPending();
+    }
+  }
+
+  // Close the area polygon being drawn
+  function finish() {
+    if (mode === 'area' && pending.length >= 3) complete();
+  }
+
+  panel.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    if (button.dataset.mode) {
+      setMode(button.dataset.mode);
+    } else if (button.dataset.action === 'csv') {
+      download(new Blob([measurementsToCSV(measurements)], { type: 'text/csv' }), 'measurements.csv');
+    } else if (button.dataset.action === 'json') {
+      download(new Blob([measurementsToJSON(measurements)], { type: 'application/json' }), 'measurements.json');
+    } else if (button.dataset.action === 'clear') {
+      measurements.splice(0).forEach(measurement => disposeObject(measurement.object));
+      cancel();
+      updatePanel();
+    }
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (!mode || (e.target.closest && e.target.closest('input, select, textarea'))) return;
+    if (e.key === 'Enter') finish();
+    if (e.key === 'Escape') cancel();
+  });
+
+  updatePanel();
+
+  return {
+    get active() {
+      return mode !== null;
+    },
+    addPoint,
+    finish,
+    cancel,
+  };
+}
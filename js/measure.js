@@ -0,0 +1,108 @@
+// Measurements on picked points and their CSV / JSON export.
+//
+// Points are [x, y, z] arrays in the displayed frame. Angles are in degrees,
+// everything else in the units of the cloud (usually metres).
+
+// Number of points that complete each measurement; area polygons are
+// finished explicitly
+export const MEASURE_TYPES = {
+  distance: 2,
+  angle: 3,
+  height: 2,
+  area: Infinity,
+};
+
+export function distance(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+}
+
+// Angle at `vertex` between the rays towards a and c
+export function angleAt(a, vertex, c) {
+  const u = [a[0] - vertex[0], a[1] - vertex[1], a[2] - vertex[2]];
+  const v = [c[0] - vertex[0], c[1] - vertex[1], c[2] - vertex[2]];
+  const lengths = Math.hypot(...u) * Math.hypot(...v);
+  if (lengths === 0) return 0;
+  const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / lengths;
+  return (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+}
+
+// Shoelace area of the polygon projected onto the XY plane
+export function polygonAreaXY(points) {
+  let twiceArea = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    twiceArea += p[0] * q[1] - q[0] * p[1];
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+export function polygonPerimeterXY(points) {
+  let perimeter = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    perimeter += Math.hypot(q[0] - p[0], q[1] - p[1]);
+  }
+  return perimeter;
+}
+
+// Build a measurement record from its picked points
+export function computeMeasurement(type, points) {
+  switch (type) {
+    case 'distance':
+      return { type, points, value: distance(points[0], points[1]), unit: 'm' };
+    case 'angle':
+      return { type, points, value: angleAt(points[0], points[1], points[2]), unit: 'deg' };
+    case 'height':
+      return { type, points, value: points[1][2] - points[0][2], unit: 'm' };
+    case 'area':
+      if (points.length < 3) throw new Error('An area needs at least 3 points');
+      return {
+        type,
+        points,
+        value: polygonAreaXY(points),
+        unit: 'm2',
+        perimeter: polygonPerimeterXY(points),
+      };
+    default:
+      throw new Error(`Unknown measurement type "${type}"`);
+  }
+}
+
+export function formatMeasurement(measurement) {
+  switch (measurement.type) {
+    case 'angle':
+      return `${measurement.value.toFixed(1)}°`;
+    case 'area':
+      return `${measurement.value.toFixed(2)} m² (${measurement.perimeter.toFixed(2)} m)`;
+    case 'height':
+      return `Δz ${measurement.value.toFixed(3)} m`;
+    default:
+      return `${measurement.value.toFixed(3)} m`;
+  }
+}
+
+const round = value => Number(value.toFixed(6));
+
+export function measurementsToCSV(measurements) {
+  const lines = ['id,type,value,unit,perimeter,num_points,points'];
+  measurements.forEach((m, i) => {
+    const points = m.points.map(p => p.map(round).join(' ')).join(';');
+    const perimeter = m.perimeter !== undefined ? round(m.perimeter) : '';
+    lines.push([i + 1, m.type, round(m.value), m.unit, perimeter, m.points.length, points].join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+export function measurementsToJSON(measurements) {
+  const list = measurements.map((m, i) => ({
+    id: i + 1,
+    type: m.type,
+    value: round(m.value),
+    unit: m.unit,
+    ...(m.perimeter !== undefined ? { perimeter: round(m.perimeter) } : {}),
+    points: m.points.map(p => p.map(round)),
+  }));
+  return JSON.stringify({ measurements: list }, null, 2) + '\n';
+}
@@ -0,0 +1,89 @@
+// Surface normal estimation, following PCL's NormalEstimation: the normal of
+// a point is the smallest eigenvector of the covariance of its neighbourhood,
+// flipped to face the viewpoint. Points with fewer than three neighbours get
+// NaN normals, as in PCL.
+import { buildKDTree } from "./kdtree.js";
+import { covariance3, symmetricEigen3 } from "./linalg.js";
+import { createField, findField } from "./cloud.js";
+
+// Field names used for normals, PCD style first (PLY files use nx/ny/nz)
+const NORMAL_FIELD_NAMES = [
+  ['normal_x', 'normal_y', 'normal_z'],
+  ['nx', 'ny', 'nz'],
+];
+
+// The three normal fields of a cloud, or null when it has none
+export function findNormalFields(cloud) {
+  for (const names of NORMAL_FIELD_NAMES) {
+    const fields = names.map(name => findField(cloud, name));
+    if (fields.every(Boolean)) return fields;
+  }
+  return null;
+}
+
+// Normals of a cloud as a flat Float32Array for rendering (NaN becomes 0),
+// or null when it has none
+export function normalsOf(cloud) {
+  const fields = findNormalFields(cloud);
+  if (!fields) return null;
+  const normals = new Float32Array(cloud.numPoints * 3);
+  for (let i = 0; i < cloud.numPoints; i++) {
+    fields.forEach((field, axis) => {
+      const v = field.values[i * field.count];
+      normals[i * 3 + axis] = Number.isFinite(v) ? v : 0;
+    });
+  }
+  return normals;
+}
+
+// Store normals (flat, possibly with NaN) in the normal fields of a cloud,
+// adding normal_x/y/z fields when it has none
+export function setCloudNormals(cloud, normals) {
+  let fields = findNormalFields(cloud);
+  if (!fields) {
+    fields = NORMAL_FIELD_NAMES[0].map(name => createField(name, 'F', 4, cloud.numPoints));
+    cloud.fields.push(...fields);
+  }
+  for (let i = 0; i < cloud.numPoints; i++) {
+    fields.forEach((field, axis) => {
+      field.values[i * field.count] = normals[i * 3 + axis];
+    });
+  }
+}
+
+// Normals from the `k` nearest neighbours, or from all neighbours within
+// `radius` when it is set. `viewpoint` is in the frame of `positions`.
+export function estimateNormals(positions, { k = 16, radius = 0 }, viewpoint = [0, 0, 0], tree = buildKDTree(positions)) {
+  const n = positions.length / 3;
+  const normals = new Float32Array(n * 3).fill(NaN);
+  const indices = new Uint32Array(k + 1);
+  const distances = new Float64Array(k + 1);
+  const neighbours = [];
+
+  for (let i = 0; i < n; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+
+    // The neighbourhood includes the point itself
+    let neighbourhood;
+    if (radius > 0) {
+      neighbours.length = 0;
+      neighbourhood = tree.withinRadius(x, y, z, radius, neighbours);
+    } else {
+      neighbourhood = indices.subarray(0, tree.nearest(x, y, z, k + 1, indices, distances));
+    }
+    if (neighbourhood.length < 3) continue;
+
+    let [nx, ny, nz] = symmetricEigen3(covariance3(positions, neighbourhood).matrix).vectors[0];
+    if (nx * (viewpoint[0] - x) + ny * (viewpoint[1] - y) + nz * (viewpoint[2] - z) < 0) {
+      nx = -nx;
+      ny = -ny;
+      nz = -nz;
+    }
+    normals[i * 3] = nx;
+    normals[i * 3 + 1] = ny;
+    normals[i * 3 + 2] = nz;
+  }
+  return normals;
+}
@@ -0,0 +1,214 @@
+// Octree for level-of-detail rendering. Every node holds an evenly spread
+// sample of the points in its cube and its children refine it, so drawing
+// nodes coarse to fine, most visible first, keeps the number of points drawn
+// within a budget while the parts of the cloud close to the camera get full
+// detail. Picking uses the same nodes to test only the points near the ray.
+//
+// Points are not copied: `indices` lists point indices grouped by node, and a
+// node owns indices[start, start + count). Nodes are
+// { level, min: [x, y, z], size, start, count, children } where children
+// holds the indices of up to eight child nodes.
+
+const MAX_LEVEL = 16;
+
+// Stride coprime with n close to n / golden ratio: stepping through the
+// points with it visits them all in a well spread order, so each node's
+// sample is not one scan line of the file
+function spreadStride(n) {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  let stride = Math.max(1, Math.round(n * 0.6180339887));
+  while (gcd(n, stride) !== 1) stride++;
+  return stride;
+}
+
+// `positions` is a flat [x0, y0, z0, ...] array and `bounds` its { min, max }
+export function buildOctree(positions, bounds, { nodeCapacity = 20000 } = {}) {
+  const n = positions.length / 3;
+  const size = Math.max(...[0, 1, 2].map(axis => bounds.max[axis] - bounds.min[axis]), 1e-9);
+  const nodes = [{ level: 0, min: [...bounds.min], size, start: 0, count: 0, children: [] }];
+  const childAt = [new Int32Array(8).fill(-1)];
+  const nodeOf = new Uint32Array(n);
+
+  const stride = spreadStride(n);
+  for (let step = 0, i = 0; step < n; step++, i = (i + stride) % n) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    let current = 0;
+    while (nodes[current].count >= nodeCapacity && nodes[current].level < MAX_LEVEL) {
+      const node = nodes[current];
+      const half = node.size / 2;
+      const octant = (x >= node.min[0] + half ? 1 : 0) | (y >= node.min[1] + half ? 2 : 0) | (z >= node.min[2] + half ? 4 : 0);
+      let child = childAt[current][octant];
+      if (child === -1) {
+        child = nodes.length;
+        childAt[current][octant] = child;
+        childAt.push(new Int32Array(8).fill(-1));
+        nodes.push({
+          level: node.level + 1,
+          min: node.min.map((v, axis) => (octant & (1 << axis) ? v + half : v)),
+          size: half,
+          start: 0,
+          count: 0,
+          children: [],
+        });
+        node.children.push(child);
+      }
+      current = child;
+    }
+    nodes[current].count++;
+    nodeOf[i] = current;
+  }
+
+  // Group the point indices by node, in the order they were inserted
+  let offset = 0;
+  nodes.forEach(node => {
+    node.start = offset;
+    offset += node.count;
+  });
+  const filled = nodes.map(node => node.start);
+  const indices = new Uint32Array(n);
+  for (let step = 0, i = 0; step < n; step++, i = (i + stride) % n) {
+    indices[filled[nodeOf[i]]++] = i;
+  }
+  return { nodes, indices };
+}
+
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].weight >= heap[i].weight) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let largest = i;
+      if (left < heap.length && heap[left].weight > heap[largest].weight) largest = left;
+      if (right < heap.length && heap[right].weight > heap[largest].weight) largest = right;
+      if (largest === i) break;
+      [heap[largest], heap[i]] = [heap[i], heap[largest]];
+      i = largest;
+    }
+  }
+  return top;
+}
+
+// Nodes to draw from several octrees sharing one point budget. `weigh(tree,
+// node)` gives the importance of a node of trees[tree] (e.g. its size on
+// screen), or 0 to skip it and everything below it. A node is only taken
+// with its parent. Returns the chosen node indices per tree.
+export function selectNodes(trees, budget, weigh) {
+  const chosen = trees.map(() => []);
+  const heap = [];
+  trees.forEach((tree, t) => {
+    const weight = weigh(t, tree.nodes[0]);
+    if (weight > 0) heapPush(heap, { weight, tree: t, node: 0 });
+  });
+
+  let total = 0;
+  while (heap.length > 0) {
+    const { tree: t, node: index } = heapPop(heap);
+    const node = trees[t].nodes[index];
+    if (total + node.count > budget) continue;
+    total += node.count;
+    chosen[t].push(index);
+    node.children.forEach(child => {
+      const weight = weigh(t, trees[t].nodes[child]);
+      if (weight > 0) heapPush(heap, { weight, tree: t, node: child });
+    });
+  }
+  return chosen;
+}
+
+// Nodes for which `test(node)` holds, only looking below nodes that pass
+// (children lie inside their parent's cube)
+export function collectNodes(tree, test) {
+  const found = [];
+  const stack = [0];
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const node = tree.nodes[index];
+    if (!test(node)) continue;
+    found.push(index);
+    stack.push(...node.children);
+  }
+  return found;
+}
+
+// Writes the point indices of `nodes` into `out` and returns how many
+export function gatherIndices(tree, nodes, out) {
+  let count = 0;
+  nodes.forEach(index => {
+    const { start, count: size } = tree.nodes[index];
+    out.set(tree.indices.subarray(start, start + size), count);
+    count += size;
+  });
+  return count;
+}
+
+// Entry and exit distances of a ray into a cube grown by `margin` on every
+// side, or null when it misses
+function rayCube(origin, direction, min, size, margin) {
+  let near = -Infinity;
+  let far = Infinity;
+  for (let axis = 0; axis < 3; axis++) {
+    const lo = min[axis] - margin;
+    const hi = min[axis] + size + margin;
+    if (direction[axis] === 0) {
+      if (origin[axis] < lo || origin[axis] > hi) return null;
+      continue;
+    }
+    const t0 = (lo - origin[axis]) / direction[axis];
+    const t1 = (hi - origin[axis]) / direction[axis];
+    near = Math.max(near, Math.min(t0, t1));
+    far = Math.min(far, Math.max(t0, t1));
+  }
+  return near <= far && far >= 0 ? near : null;
+}
+
+// Nearest point along a ray (`origin`, unit `direction`, in the octree's
+// frame) within `threshold` of it that `accept(i)` lets through, as
+// { index, distance } with the distance along the ray, or null. Only the
+// nodes the ray passes near are searched, nearest first.
+export function raycastOctree(tree, positions, origin, direction, threshold, accept = () => true) {
+  const [ox, oy, oz] = origin;
+  const [dx, dy, dz] = direction;
+  const threshold2 = threshold * threshold;
+  let best = null;
+
+  const heap = [];
+  const push = (index) => {
+    const node = tree.nodes[index];
+    const entry = rayCube(origin, direction, node.min, node.size, threshold);
+    // Max-heap on weight: the nearest entry comes out first
+    if (entry !== null) heapPush(heap, { weight: -entry, node: index });
+  };
+  push(0);
+  while (heap.length > 0) {
+    const { weight, node: index } = heapPop(heap);
+    if (best && -weight > best.distance) break;
+    const node = tree.nodes[index];
+    for (let k = node.start; k < node.start + node.count; k++) {
+      const i = tree.indices[k];
+      const px = positions[i * 3] - ox;
+      const py = positions[i * 3 + 1] - oy;
+      const pz = positions[i * 3 + 2] - oz;
+      const along = px * dx + py * dy + pz * dz;
+      if (along < 0 || (best && along >= best.distance)) continue;
+      if (px * px + py * py + pz * pz - along * along > threshold2) continue;
+      if (accept(i)) best = { index: i, distance: along };
+    }
+    node.children.forEach(push);
+  }
+  return best;
+}
@@ -0,0 +1,51 @@
+// Statistical and radius outlier removal, following PCL's
+// StatisticalOutlierRemoval and RadiusOutlierRemoval.
+//
+// Both take a flat position array and return a Uint8Array with 1 for every
+// outlier.
+import { buildKDTree } from "./kdtree.js";
+
+// Points whose mean distance to their k nearest neighbours is more than
+// `stdMul` standard deviations above the mean over all points
+export function statisticalOutliers(positions, k, stdMul, tree = buildKDTree(positions)) {
+  const n = positions.length / 3;
+  const outliers = new Uint8Array(n);
+  if (n <= k) return outliers;
+
+  const indices = new Uint32Array(k);
+  const distances = new Float64Array(k);
+  const meanDistances = new Float64Array(n);
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    const found = tree.nearest(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], k, indices, distances, i);
+    let total = 0;
+    for (let j = 0; j < found; j++) total += Math.sqrt(distances[j]);
+    const mean = total / found;
+    meanDistances[i] = mean;
+    sum += mean;
+    sumSq += mean * mean;
+  }
+
+  const mean = sum / n;
+  const std = Math.sqrt(Math.max(0, (sumSq - (sum * sum) / n) / (n - 1)));
+  const threshold = mean + stdMul * std;
+  for (let i = 0; i < n; i++) {
+    if (meanDistances[i] > threshold) outliers[i] = 1;
+  }
+  return outliers;
+}
+
+// Points with fewer than `minNeighbors` other points within `radius`
+export function radiusOutliers(positions, radius, minNeighbors, tree = buildKDTree(positions)) {
+  const n = positions.length / 3;
+  const outliers = new Uint8Array(n);
+  const neighbours = [];
+  for (let i = 0; i < n; i++) {
+    neighbours.length = 0;
+    // The point itself is always found, hence the + 1
+    tree.withinRadius(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], radius, neighbours, minNeighbors + 1);
+    if (neighbours.length < minNeighbors + 1) outliers[i] = 1;
+  }
+  return outliers;
+}
@@ -0,0 +1,58 @@
+// Module worker that reads and parses a point cloud file and prepares its
+// render arrays, so large files do not block the page.
+//
+// In:  { file, extension, textOptions, origin }
+// Out: { type: 'progress', stage, fraction } (fraction null when unknown),
+//      then { type: 'done', cloud, prepared } or { type: 'error', message }.
+//      Typed arrays are transferred, not copied.
+import { cloudParsers, parseDelimitedText, preparePoints } from "./core.js";
+
+function progress(stage, fraction = null) {
+  self.postMessage({ type: 'progress', stage, fraction });
+}
+
+async function readFile(file) {
+  const bytes = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let offset = 0;
+  let reported = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes.set(value, offset);
+    offset += value.length;
+    // Report every percent at most
+    if (offset - reported >= file.size / 100) {
+      reported = offset;
+      progress('Reading', offset / file.size);
+    }
+  }
+  return bytes.buffer;
+}
+
+function transferablesOf(cloud, prepared) {
+  const buffers = new Set();
+  cloud.fields.forEach(field => buffers.add(field.values.buffer));
+  [prepared.positions, prepared.colors, prepared.normals, prepared.octree.indices].forEach(array => {
+    if (array) buffers.add(array.buffer);
+  });
+  return [...buffers];
+}
+
+self.onmessage = async ({ data: { file, extension, textOptions, origin } }) => {
+  try {
+    const buffer = await readFile(file);
+
+    progress('Parsing');
+    const cloud = textOptions
+      ? parseDelimitedText(new TextDecoder().decode(buffer), textOptions)
+      : (cloudParsers[extension] || cloudParsers.pcd)(buffer);
+    if (cloud.numPoints === 0) throw new Error('The file contains no points');
+
+    progress('Preparing points');
+    const prepared = preparePoints(cloud, origin);
+    self.postMessage({ type: 'done', cloud, prepared }, transferablesOf(cloud, prepared));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,256 @@
+// PCD (Point Cloud Data) reader and writer.
+//
+// Clouds use the layout described in cloud.js: every field of the source
+// header is kept with its SIZE/TYPE/COUNT so files round-trip unchanged.
+import { lzfCompress, lzfDecompress } from "./lzf.js";
+import { formatFieldValue, typedArrayFor } from "./cloud.js";
+
+const textDecoder = new TextDecoder();
+
+// Read header lines up to and including DATA; returns the header and the
+// byte offset where point data starts.
+function parseHeader(bytes) {
+  const header = { fields: [], viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+  let names = [];
+  let sizes = [];
+  let types = [];
+  let counts = null;
+  let pos = 0;
+
+  while (pos < bytes.length) {
+    let end = bytes.indexOf(10, pos);
+    if (end === -1) end = bytes.length;
+    const line = textDecoder.decode(bytes.subarray(pos, end)).trim();
+    pos = end + 1;
+    if (line === '' || line.startsWith('#')) continue;
+
+    const [key, ...rest] = line.split(/\s+/);
+    switch (key.toUpperCase()) {
+      case 'VERSION': header.version = rest[0]; break;
+      case 'FIELDS': names = rest; break;
+      case 'SIZE': sizes = rest.map(Number); break;
+      case 'TYPE': types = rest.map(t => t.toUpperCase()); break;
+      case 'COUNT': counts = rest.map(Number); break;
+      case 'WIDTH': header.width = parseInt(rest[0], 10); break;
+      case 'HEIGHT': header.height = parseInt(rest[0], 10); break;
+      case 'VIEWPOINT': header.viewpoint = rest.map(Number); break;
+      case 'POINTS': header.numPoints = parseInt(rest[0], 10); break;
+      case 'DATA':
+        header.format = rest[0].toLowerCase();
+        header.dataOffset = pos;
+        break;
+      default:
+        break;
+    }
+    if (header.format) break;
+  }
+
+  if (!header.format) throw new Error('PCD header has no DATA line');
+  if (names.length === 0) throw new Error('PCD header has no FIELDS line');
+  if (sizes.length !== names.length || types.length !== names.length) {
+    throw new Error('PCD header FIELDS, SIZE and TYPE lengths differ');
+  }
+  if (header.numPoints === undefined) {
+    header.numPoints = (header.width || 0) * (header.height || 1);
+  }
+
+  header.fields = names.map((name, i) => ({
+    name,
+    size: sizes[i],
+    type: types[i],
+    count: counts ? counts[i] : 1,
+  }));
+  return header;
+}
+
+function allocateFields(header) {
+  return header.fields.map(field => {
+    const ArrayType = typedArrayFor(field.type, field.size);
+    return { ...field, values: new ArrayType(header.numPoints * field.count) };
+  });
+}
+
+function parseAscii(bytes, header, fields) {
+  const text = textDecoder.decode(bytes.subarray(header.dataOffset));
+  const lines = text.split('\n');
+  let point = 0;
+
+  for (let l = 0; l < lines.length && point < header.numPoints; l++) {
+    const line = lines[l].trim();
+    if (line === '') continue;
+    const tokens = line.split(/\s+/);
+    let t = 0;
+    for (const field of fields) {
+      const base = point * field.count;
+      for (let c = 0; c < field.count; c++) {
+        field.values[base + c] = Number(tokens[t++]);
+      }
+    }
+    point++;
+  }
+
+  if (point < header.numPoints) {
+    throw new Error(`PCD data is truncated: ${point} of ${header.numPoints} points`);
+  }
+}
+
+function parseBinary(bytes, header, fields) {
+  const pointSize = fields.reduce((sum, f) => sum + f.size * f.count, 0);
+  const data = bytes.subarray(header.dataOffset);
+  if (data.length < pointSize * header.numPoints) {
+    throw new Error('PCD binary data is truncated');
+  }
+
+  let offset = 0;
+  for (const field of fields) {
+    const dst = new Uint8Array(field.values.buffer);
+    const width = field.size * field.count;
+    for (let i = 0, d = 0, s = offset; i < header.numPoints; i++, s += pointSize) {
+      for (let b = 0; b < width; b++) dst[d++] = data[s + b];
+    }
+    offset += width;
+  }
+}
+
+function parseBinaryCompressed(bytes, header, fields) {
+  if (bytes.length - header.dataOffset < 8) {
+    throw new Error('PCD compressed data is truncated');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset + header.dataOffset);
+  const compressedSize = view.getUint32(0, true);
+  const rawSize = view.getUint32(4, true);
+  const start = header.dataOffset + 8;
+  if (start + compressedSize > bytes.length) {
+    throw new Error('PCD compressed data is truncated');
+  }
+
+  const expectedSize = fields.reduce((sum, field) => sum + field.size * field.count, 0) * header.numPoints;
+  if (rawSize !== expectedSize) {
+    throw new Error(`PCD compressed data size does not match header (${rawSize} bytes for ${expectedSize})`);
+  }
+
+  const raw = lzfDecompress(bytes.subarray(start, start + compressedSize), rawSize);
+  let offset = 0;
+  for (const field of fields) {
+    const length = field.size * field.count * header.numPoints;
+    new Uint8Array(field.values.buffer).set(raw.subarray(offset, offset + length));
+    offset += length;
+  }
+}
+
+// Parse a PCD file into a cloud, keeping every field of the header
+export function parsePCD(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = parseHeader(bytes);
+  const fields = allocateFields(header);
+
+  switch (header.format) {
+    case 'ascii': parseAscii(bytes, header, fields); break;
+    case 'binary': parseBinary(bytes, header, fields); break;
+    case 'binary_compressed': parseBinaryCompressed(bytes, header, fields); break;
+    default: throw new Error(`Unsupported PCD data format "${header.format}"`);
+  }
+
+  return {
+    numPoints: header.numPoints,
+    fields,
+    viewpoint: header.viewpoint,
+  };
+}
+
+function buildHeader(cloud, format) {
+  const { fields, numPoints } = cloud;
+  const viewpoint = cloud.viewpoint || [0, 0, 0, 1, 0, 0, 0];
+  return `# .PCD v0.7 - Point Cloud Data file format
+VERSION 0.7
+FIELDS ${fields.map(f => f.name).join(' ')}
+SIZE ${fields.map(f => f.size).join(' ')}
+TYPE ${fields.map(f => f.type).join(' ')}
+COUNT ${fields.map(f => f.count).join(' ')}
+WIDTH ${numPoints}
+HEIGHT 1
+VIEWPOINT ${viewpoint.join(' ')}
+POINTS ${numPoints}
+DATA ${format}
+`;
+}
+
+function bytesOf(values) {
+  return new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
+}
+
+function encodeAscii(cloud) {
+  const { fields, numPoints } = cloud;
+  const parts = [];
+  const chunkSize = 65536;
+  const row = [];
+
+  for (let start = 0; start < numPoints; start += chunkSize) {
+    const end = Math.min(numPoints, start + chunkSize);
+    const lines = new Array(end - start);
+    for (let i = start; i < end; i++) {
+      row.length = 0;
+      for (const field of fields) {
+        const base = i * field.count;
+        for (let c = 0; c < field.count; c++) {
+          row.push(formatFieldValue(field.values[base + c], field.type, field.size));
+        }
+      }
+      lines[i - start] = row.join(' ');
+    }
+    parts.push(lines.join('\n') + '\n');
+  }
+  return parts;
+}
+
+// Row-major: every point's fields are stored next to each other
+function encodeBinary(cloud) {
+  const { fields, numPoints } = cloud;
+  const pointSize = fields.reduce((sum, f) => sum + f.size * f.count, 0);
+  const out = new Uint8Array(pointSize * numPoints);
+
+  let offset = 0;
+  for (const field of fields) {
+    const src = bytesOf(field.values);
+    const width = field.size * field.count;
+    for (let i = 0, s = 0, d = offset; i < numPoints; i++, d += pointSize) {
+      for (let b = 0; b < width; b++) out[d + b] = src[s++];
+    }
+    offset += width;
+  }
+  return out;
+}
+
+// Column-major: all values of the first field, then the second, ... followed
+// by LZF compression, prefixed with compressed and uncompressed byte sizes.
+function encodeBinaryCompressed(cloud) {
+  const { fields, numPoints } = cloud;
+  const pointSize = fields.reduce((sum, f) => sum + f.size * f.count, 0);
+  const raw = new Uint8Array(pointSize * numPoints);
+
+  let offset = 0;
+  for (const field of fields) {
+    const src = bytesOf(field.values);
+    raw.set(src.subarray(0, field.size * field.count * numPoints), offset);
+    offset += field.size * field.count * numPoints;
+  }
+
+  const compressed = lzfCompress(raw);
+  const sizes = new Uint32Array([compressed.length, raw.length]);
+  return [bytesOf(sizes), compressed];
+}
+
+// Encode a cloud as a list of Blob parts (strings and Uint8Arrays)
+export function encodePCD(cloud, format = 'binary') {
+  const header = buildHeader(cloud, format);
+  switch (format) {
+    case 'ascii':
+      return [header, ...encodeAscii(cloud)];
+    case 'binary':
+      return [header, encodeBinary(cloud)];
+    case 'binary_compressed':
+      return [header, ...encodeBinaryCompressed(cloud)];
+    default:
+      throw new Error(`Unknown PCD data format "${format}"`);
+  }
+}
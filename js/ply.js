@@ -0,0 +1,321 @@
+// PLY (Polygon File Format) reader and writer for point clouds.
+//
+// Only the vertex element is read; faces and other elements are skipped.
+// Vertex properties are mapped onto PCD naming so the rest of the pipeline
+// treats both formats alike: nx/ny/nz become normal_x/normal_y/normal_z and
+// red/green/blue(/alpha) are packed into a single rgb (or rgba) field.
+import { createField, formatFieldValue } from "./cloud.js";
+
+export const PLY_FORMATS = ['binary_little_endian', 'ascii'];
+
+const PLY_TYPES = {
+  char: ['I', 1], int8: ['I', 1],
+  uchar: ['U', 1], uint8: ['U', 1],
+  short: ['I', 2], int16: ['I', 2],
+  ushort: ['U', 2], uint16: ['U', 2],
+  int: ['I', 4], int32: ['I', 4],
+  uint: ['U', 4], uint32: ['U', 4],
+  float: ['F', 4], float32: ['F', 4],
+  double: ['F', 8], float64: ['F', 8],
+};
+
+const PLY_TYPE_NAMES = {
+  I1: 'char', U1: 'uchar', I2: 'short', U2: 'ushort',
+  I4: 'int', U4: 'uint', F4: 'float', F8: 'double',
+};
+
+const NORMAL_NAMES = { nx: 'normal_x', ny: 'normal_y', nz: 'normal_z' };
+const COLOR_NAMES = ['red', 'green', 'blue', 'alpha'];
+
+const textDecoder = new TextDecoder();
+
+function plyType(name) {
+  const type = PLY_TYPES[name];
+  if (!type) throw new Error(`Unsupported PLY property type "${name}"`);
+  return type;
+}
+
+function parseHeader(bytes) {
+  const header = { elements: [] };
+  let pos = 0;
+  let first = true;
+
+  while (pos < bytes.length) {
+    let end = bytes.indexOf(10, pos);
+    if (end === -1) throw new Error('PLY header has no end_header line');
+    const line = textDecoder.decode(bytes.subarray(pos, end)).trim();
+    pos = end + 1;
+
+    if (first) {
+      if (line !== 'ply') throw new Error('Not a PLY file (missing "ply" magic)');
+      first = false;
+      continue;
+    }
+
+    const tokens = line.split(/\s+/);
+    switch (tokens[0]) {
+      case 'format':
+        header.format = tokens[1];
+        break;
+      case 'element':
+        header.elements.push({ name: tokens[1], count: parseInt(tokens[2], 10), properties: [] });
+        break;
+      case 'property': {
+        const element = header.elements[header.elements.length - 1];
+        if (!element) throw new Error('PLY property declared before any element');
+        if (tokens[1] === 'list') {
+          element.properties.push({ name: tokens[4], list: true, countType: plyType(tokens[2]), type: plyType(tokens[3]) });
+        } else {
+          element.properties.push({ name: tokens[2], list: false, type: plyType(tokens[1]) });
+        }
+        break;
+      }
+      case 'end_header':
+        header.dataOffset = pos;
+        if (!PLY_FORMATS.includes(header.format) && header.format !== 'binary_big_endian') {
+          throw new Error(`Unsupported PLY format "${header.format}"`);
+        }
+        return header;
+      default:
+        break; // comment, obj_info
+    }
+  }
+  throw new Error('PLY header has no end_header line');
+}
+
+// Decide how each vertex property lands in the cloud
+function planVertexFields(vertex) {
+  const fields = [];
+  const plan = [];
+  let colorField = null;
+  const colorProps = vertex.properties.filter(p => COLOR_NAMES.includes(p.name));
+  const hasColor = ['red', 'green', 'blue'].every(n => colorProps.some(p => p.name === n));
+
+  for (const prop of vertex.properties) {
+    if (prop.list) {
+      plan.push({ prop });
+      continue;
+    }
+    if (hasColor && COLOR_NAMES.includes(prop.name)) {
+      if (!colorField) {
+        const hasAlpha = colorProps.some(p => p.name === 'alpha');
+        colorField = createField(hasAlpha ? 'rgba' : 'rgb', 'U', 4, vertex.count);
+        fields.push(colorField);
+      }
+      const shift = { red: 16, green: 8, blue: 0, alpha: 24 }[prop.name];
+      // Float colours are stored as 0..1
+      const scale = prop.type[0] === 'F' ? 255 : 1;
+      plan.push({ color: colorField, shift, scale, prop });
+      continue;
+    }
+    const field = createField(NORMAL_NAMES[prop.name] || prop.name, prop.type[0], prop.type[1], vertex.count);
+    fields.push(field);
+    plan.push({ field, prop });
+  }
+  return { fields, plan };
+}
+
+function storeValue(step, i, value) {
+  if (step.field) {
+    step.field.values[i] = value;
+  } else if (step.color) {
+    const channel = Math.max(0, Math.min(255, Math.round(value * step.scale)));
+    step.color.values[i] = (step.color.values[i] | (channel << step.shift)) >>> 0;
+  }
+}
+
+function parseAscii(bytes, header, vertexIndex, plan, count) {
+  const lines = textDecoder.decode(bytes.subarray(header.dataOffset)).split('\n');
+  let line = 0;
+
+  // Every element instance occupies one line
+  for (let e = 0; e < vertexIndex; e++) line += header.elements[e].count;
+
+  for (let i = 0; i < count; i++, line++) {
+    if (line >= lines.length) throw new Error(`PLY data is truncated: ${i} of ${count} vertices`);
+    const tokens = lines[line].trim().split(/\s+/);
+    let t = 0;
+    for (const step of plan) {
+      if (step.prop.list) {
+        t += Number(tokens[t]) + 1;
+        continue;
+      }
+      storeValue(step, i, Number(tokens[t++]));
+    }
+  }
+}
+
+function readerFor(view, [type, size], littleEndian) {
+  const key = type + size;
+  switch (key) {
+    case 'I1': return o => view.getInt8(o);
+    case 'U1': return o => view.getUint8(o);
+    case 'I2': return o => view.getInt16(o, littleEndian);
+    case 'U2': return o => view.getUint16(o, littleEndian);
+    case 'I4': return o => view.getInt32(o, littleEndian);
+    case 'U4': return o => view.getUint32(o, littleEndian);
+    case 'F4': return o => view.getFloat32(o, littleEndian);
+    case 'F8': return o => view.getFloat64(o, littleEndian);
+    default: throw new Error(`Unsupported PLY type ${key}`);
+  }
+}
+
+// Byte offset just past one instance of `element` starting at `offset`
+function skipBinaryInstance(view, element, offset, littleEndian) {
+  for (const prop of element.properties) {
+    if (prop.list) {
+      const n = readerFor(view, prop.countType, littleEndian)(offset);
+      offset += prop.countType[1] + n * prop.type[1];
+    } else {
+      offset += prop.type[1];
+    }
+  }
+  return offset;
+}
+
+function parseBinary(bytes, header, vertexIndex, plan, count) {
+  const littleEndian = header.format === 'binary_little_endian';
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = header.dataOffset;
+
+  for (let e = 0; e < vertexIndex; e++) {
+    const element = header.elements[e];
+    for (let i = 0; i < element.count; i++) {
+      offset = skipBinaryInstance(view, element, offset, littleEndian);
+    }
+  }
+
+  const steps = plan.map(step => ({
+    ...step,
+    read: step.prop.list ? null : readerFor(view, step.prop.type, littleEndian),
+    countRead: step.prop.list ? readerFor(view, step.prop.countType, littleEndian) : null,
+  }));
+
+  try {
+    for (let i = 0; i < count; i++) {
+      for (const step of steps) {
+        if (step.countRead) {
+          offset += step.prop.countType[1] + step.countRead(offset) * step.prop.type[1];
+          continue;
+        }
+        storeValue(step, i, step.read(offset));
+        offset += step.prop.type[1];
+      }
+    }
+  } catch (err) {
+    if (err instanceof RangeError) throw new Error('PLY binary data is truncated');
+    throw err;
+  }
+}
+
+// Parse a PLY file into a cloud
+export function parsePLY(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = parseHeader(bytes);
+  const vertexIndex = header.elements.findIndex(e => e.name === 'vertex');
+  if (vertexIndex === -1) throw new Error('PLY file has no vertex element');
+
+  const vertex = header.elements[vertexIndex];
+  const { fields, plan } = planVertexFields(vertex);
+  if (!['x', 'y', 'z'].every(n => fields.some(f => f.name === n))) {
+    throw new Error('PLY vertex element has no x/y/z properties');
+  }
+
+  if (header.format === 'ascii') {
+    parseAscii(bytes, header, vertexIndex, plan, vertex.count);
+  } else {
+    parseBinary(bytes, header, vertexIndex, plan, vertex.count);
+  }
+
+  return { numPoints: vertex.count, fields, viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
+
+// Map cloud fields onto PLY vertex properties
+function planProperties(cloud) {
+  const props = [];
+  for (const field of cloud.fields) {
+    if ((field.name === 'rgb' || field.name === 'rgba') && field.size === 4 && field.count === 1) {
+      // Packed colours are unpacked bit-wise whatever their declared type
+      const packed = new Uint32Array(field.values.buffer, field.values.byteOffset, field.values.length);
+      const channels = field.name === 'rgba' ? COLOR_NAMES : COLOR_NAMES.slice(0, 3);
+      for (const name of channels) {
+        const shift = { red: 16, green: 8, blue: 0, alpha: 24 }[name];
+        props.push({ name, type: 'uchar', size: 1, get: i => (packed[i] >>> shift) & 0xff });
+      }
+      continue;
+    }
+
+    const typeName = PLY_TYPE_NAMES[field.type + field.size];
+    if (!typeName) throw new Error(`Field "${field.name}" cannot be written to PLY`);
+    const renamed = Object.keys(NORMAL_NAMES).find(k => NORMAL_NAMES[k] === field.name);
+    const { values, count } = field;
+    for (let c = 0; c < count; c++) {
+      props.push({
+        name: count > 1 ? `${field.name}_${c}` : (renamed || field.name),
+        type: typeName,
+        size: field.size,
+        kind: field.type + field.size,
+        get: i => values[i * count + c],
+        format: v => formatFieldValue(v, field.type, field.size),
+      });
+    }
+  }
+  return props;
+}
+
+function writerFor(view, kind) {
+  switch (kind) {
+    case 'I1': return (o, v) => view.setInt8(o, v);
+    case 'I2': return (o, v) => view.setInt16(o, v, true);
+    case 'U2': return (o, v) => view.setUint16(o, v, true);
+    case 'I4': return (o, v) => view.setInt32(o, v, true);
+    case 'U4': return (o, v) => view.setUint32(o, v, true);
+    case 'F4': return (o, v) => view.setFloat32(o, v, true);
+    case 'F8': return (o, v) => view.setFloat64(o, v, true);
+    default: return (o, v) => view.setUint8(o, v);
+  }
+}
+
+// Encode a cloud as a list of Blob parts (strings and Uint8Arrays)
+export function encodePLY(cloud, format = 'binary_little_endian') {
+  if (!PLY_FORMATS.includes(format)) {
+    throw new Error(`Unknown PLY data format "${format}"`);
+  }
+  const props = planProperties(cloud);
+  const { numPoints } = cloud;
+  const header = [
+    'ply',
+    `format ${format} 1.0`,
+    'comment generated by pcd_tools',
+    `element vertex ${numPoints}`,
+    ...props.map(p => `property ${p.type} ${p.name}`),
+    'end_header',
+    '',
+  ].join('\n');
+
+  if (format === 'ascii') {
+    const parts = [header];
+    const chunkSize = 65536;
+    for (let start = 0; start < numPoints; start += chunkSize) {
+      const end = Math.min(numPoints, start + chunkSize);
+      const lines = new Array(end - start);
+      for (let i = start; i < end; i++) {
+        lines[i - start] = props.map(p => (p.format ? p.format(p.get(i)) : p.get(i))).join(' ');
+      }
+      parts.push(lines.join('\n') + '\n');
+    }
+    return parts;
+  }
+
+  const pointSize = props.reduce((sum, p) => sum + p.size, 0);
+  const out = new Uint8Array(pointSize * numPoints);
+  const view = new DataView(out.buffer);
+  const writers = props.map(p => writerFor(view, p.kind));
+  for (let i = 0, o = 0; i < numPoints; i++) {
+    for (let p = 0; p < props.length; p++) {
+      writers[p](o, props[p].get(i));
+      o += props[p].size;
+    }
+  }
+  return [header, out];
+}
@@ -0,0 +1,97 @@
+// Render-ready arrays for a cloud, without three.js so it can run in the
+// parse worker: positions recentred in double precision before converting to
+// float32, colours as 0..1 RGB, normals, bounds and the level-of-detail
+// octree.
+import { findField } from "./cloud.js";
+import { normalsOf } from "./normals.js";
+import { buildOctree } from "./octree.js";
+
+// Bounding box of a cloud in file coordinates, as { min, max }
+export function cloudBounds(cloud) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  ['x', 'y', 'z'].forEach((name, axis) => {
+    const field = findField(cloud, name);
+    for (let i = 0; i < cloud.numPoints; i++) {
+      const v = field.values[i * field.count];
+      if (v < min[axis]) min[axis] = v;
+      if (v > max[axis]) max[axis] = v;
+    }
+  });
+  return { min, max };
+}
+
+// Centre of the bounding box of a cloud, used as the recentring origin
+export function cloudCentre(cloud) {
+  const { min, max } = cloudBounds(cloud);
+  return min.map((v, axis) => (v <= max[axis] ? (v + max[axis]) / 2 : 0));
+}
+
+// Packed rgb/rgba (any 4-byte type, as PCD stores it) or separate r/g/b
+// fields as 0..1 floats, or null when the cloud has no colour
+export function colorsOf(cloud) {
+  const n = cloud.numPoints;
+  const packed = findField(cloud, 'rgb') || findField(cloud, 'rgba');
+  if (packed && packed.size === 4 && packed.count === 1) {
+    const src = packed.values;
+    const srcUint = new Uint32Array(src.buffer, src.byteOffset, n);
+    const colors = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+      const value = srcUint[i];
+      colors[i * 3] = ((value >> 16) & 0xff) / 255;
+      colors[i * 3 + 1] = ((value >> 8) & 0xff) / 255;
+      colors[i * 3 + 2] = (value & 0xff) / 255;
+    }
+    return colors;
+  }
+
+  const channels = ['r', 'g', 'b'].map(name => findField(cloud, name));
+  if (!channels.every(Boolean)) return null;
+  const colors = new Float32Array(n * 3);
+  let max = 0;
+  for (let i = 0; i < n; i++) {
+    channels.forEach((field, k) => {
+      const v = field.values[i * field.count];
+      colors[i * 3 + k] = v;
+      if (v > max) max = v;
+    });
+  }
+  // 0..255 values
+  if (max > 1) {
+    for (let i = 0; i < colors.length; i++) colors[i] /= 255;
+  }
+  return colors;
+}
+
+// `origin` defaults to the centre of the cloud. Bounds are those of the
+// recentred positions. `octree` holds options for buildOctree.
+export function preparePoints(cloud, origin = null, octree = {}) {
+  const n = cloud.numPoints;
+  const axes = ['x', 'y', 'z'].map(name => findField(cloud, name));
+  if (!axes.every(Boolean)) {
+    throw new Error('Point cloud has no x/y/z fields');
+  }
+  origin = origin || cloudCentre(cloud);
+
+  const positions = new Float32Array(n * 3);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < n; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const field = axes[axis];
+      const v = (positions[i * 3 + axis] = field.values[i * field.count] - origin[axis]);
+      if (v < min[axis]) min[axis] = v;
+      if (v > max[axis]) max[axis] = v;
+    }
+  }
+
+  const bounds = { min, max };
+  return {
+    origin,
+    positions,
+    colors: colorsOf(cloud),
+    normals: normalsOf(cloud),
+    bounds,
+    octree: buildOctree(positions, bounds, octree),
+  };
+}
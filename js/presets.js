@@ -0,0 +1,80 @@
+// Region presets: named XYZ filter boxes, grouped per dataset.
+//
+// A library is { version, datasets: { [dataset]: { [region]: { x, y, z } } } }
+// where x, y and z are [min, max] in the displayed frame, like the filters.
+// An axis stored as null is not filtered by the region.
+
+export const PRESET_LIBRARY_VERSION = 1;
+
+export function emptyPresetLibrary() {
+  return { version: PRESET_LIBRARY_VERSION, datasets: {} };
+}
+
+// Dataset a file belongs to: its name without extension
+export function datasetNameOf(filename) {
+  return filename.replace(/\.[^.]+$/, '');
+}
+
+function validRange(range) {
+  return range === null || (Array.isArray(range) && range.length === 2 && range.every(Number.isFinite) && range[0] <= range[1]);
+}
+
+export function parsePresetLibrary(text) {
+  let library;
+  try {
+    library = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Preset library is not valid JSON: ${err.message}`);
+  }
+  if (!library || typeof library.datasets !== 'object' || library.datasets === null) {
+    throw new Error('Not a preset library (no datasets)');
+  }
+  if (library.version !== PRESET_LIBRARY_VERSION) {
+    throw new Error(`Unsupported preset library version ${library.version}`);
+  }
+  for (const [dataset, regions] of Object.entries(library.datasets)) {
+    if (!regions || typeof regions !== 'object' || Array.isArray(regions)) {
+      throw new Error(`Not a preset library (dataset "${dataset}" has no regions)`);
+    }
+    for (const [name, region] of Object.entries(regions)) {
+      if (!region || !['x', 'y', 'z'].every(axis => validRange(region[axis] ?? null))) {
+        throw new Error(`Region "${name}" of "${dataset}" needs [min, max] ranges for x, y and z`);
+      }
+    }
+  }
+  return library;
+}
+
+export function presetLibraryToJSON(library) {
+  return JSON.stringify(library, null, 2);
+}
+
+// Regions of `incoming` are added to `library`, replacing those of the same
+// name. Returns the number of regions imported.
+export function mergePresetLibraries(library, incoming) {
+  let count = 0;
+  for (const [dataset, regions] of Object.entries(incoming.datasets)) {
+    library.datasets[dataset] = { ...library.datasets[dataset], ...regions };
+    count += Object.keys(regions).length;
+  }
+  return count;
+}
+
+export function regionNames(library, dataset) {
+  return Object.keys(library.datasets[dataset] || {}).sort();
+}
+
+export function getRegion(library, dataset, name) {
+  return (library.datasets[dataset] || {})[name] || null;
+}
+
+export function setRegion(library, dataset, name, region) {
+  library.datasets[dataset] = { ...library.datasets[dataset], [name]: region };
+}
+
+export function removeRegion(library, dataset, name) {
+  const regions = library.datasets[dataset];
+  if (!regions) return;
+  delete regions[name];
+  if (Object.keys(regions).length === 0) delete library.datasets[dataset];
+}
@@ -0,0 +1,136 @@
+// RANSAC plane segmentation.
+//
+// Planes are [a, b, c, d] with a unit normal (a, b, c) and ax + by + cz + d = 0;
+// normals are flipped to point up (+Z) so floors and ceilings read the same
+// way. Positions are a flat [x0, y0, z0, ...] array.
+import { covariance3, symmetricEigen3 } from "./linalg.js";
+
+// Small deterministic PRNG (mulberry32) so a run can be repeated
+export function seededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function orientUp(plane) {
+  const [a, b, c] = plane;
+  const flip = c < 0 || (c === 0 && (b < 0 || (b === 0 && a < 0)));
+  return flip ? plane.map(v => -v) : plane;
+}
+
+function planeThroughPoints(positions, i, j, k) {
+  const p = i * 3, q = j * 3, r = k * 3;
+  const ux = positions[q] - positions[p];
+  const uy = positions[q + 1] - positions[p + 1];
+  const uz = positions[q + 2] - positions[p + 2];
+  const vx = positions[r] - positions[p];
+  const vy = positions[r + 1] - positions[p + 1];
+  const vz = positions[r + 2] - positions[p + 2];
+  let a = uy * vz - uz * vy;
+  let b = uz * vx - ux * vz;
+  let c = ux * vy - uy * vx;
+  const length = Math.hypot(a, b, c);
+  // Collinear sample
+  if (length < 1e-12) return null;
+  a /= length;
+  b /= length;
+  c /= length;
+  return [a, b, c, -(a * positions[p] + b * positions[p + 1] + c * positions[p + 2])];
+}
+
+function collectInliers(positions, candidates, plane, threshold) {
+  const [a, b, c, d] = plane;
+  const inliers = [];
+  for (let k = 0; k < candidates.length; k++) {
+    const p = candidates[k] * 3;
+    if (Math.abs(a * positions[p] + b * positions[p + 1] + c * positions[p + 2] + d) <= threshold) {
+      inliers.push(candidates[k]);
+    }
+  }
+  return inliers;
+}
+
+function countInliers(positions, candidates, plane, threshold) {
+  const [a, b, c, d] = plane;
+  let count = 0;
+  for (let k = 0; k < candidates.length; k++) {
+    const p = candidates[k] * 3;
+    if (Math.abs(a * positions[p] + b * positions[p + 1] + c * positions[p + 2] + d) <= threshold) count++;
+  }
+  return count;
+}
+
+// Least-squares plane through the points at `indices`
+export function refinePlane(positions, indices) {
+  const { centroid, matrix } = covariance3(positions, indices);
+  const [a, b, c] = symmetricEigen3(matrix).vectors[0];
+  return orientUp([a, b, c, -(a * centroid[0] + b * centroid[1] + c * centroid[2])]);
+}
+
+// Best plane among `candidates` (point indices), refined on its inliers.
+// Returns null when fewer than three candidates are left.
+export function fitPlane(positions, candidates, { threshold, iterations, random = seededRandom() }) {
+  const n = candidates.length;
+  if (n < 3) return null;
+
+  let best = null;
+  let bestCount = 0;
+  for (let it = 0; it < iterations; it++) {
+    const i = candidates[Math.floor(random() * n)];
+    const j = candidates[Math.floor(random() * n)];
+    const k = candidates[Math.floor(random() * n)];
+    if (i === j || j === k || i === k) continue;
+    const plane = planeThroughPoints(positions, i, j, k);
+    if (!plane) continue;
+    const count = countInliers(positions, candidates, plane, threshold);
+    if (count > bestCount) {
+      best = plane;
+      bestCount = count;
+    }
+  }
+  if (!best) return null;
+
+  const refined = refinePlane(positions, collectInliers(positions, candidates, best, threshold));
+  const inliers = collectInliers(positions, candidates, refined, threshold);
+  // Keep the raw model if refinement made things worse (e.g. two planes)
+  if (inliers.length < bestCount) {
+    return { plane: orientUp(best), inliers: Uint32Array.from(collectInliers(positions, candidates, best, threshold)) };
+  }
+  return { plane: refined, inliers: Uint32Array.from(inliers) };
+}
+
+// Extract up to `maxPlanes` planes one after the other, each from the points
+// the previous ones did not take. Stops at the first plane with fewer than
+// `minInliers` points.
+export function segmentPlanes(positions, { maxPlanes = 1, threshold, iterations = 200, minInliers = 100, seed = 1 }) {
+  const random = seededRandom(seed);
+  let candidates = new Uint32Array(positions.length / 3);
+  for (let i = 0; i < candidates.length; i++) candidates[i] = i;
+
+  const planes = [];
+  while (planes.length < maxPlanes) {
+    const result = fitPlane(positions, candidates, { threshold, iterations, random });
+    if (!result || result.inliers.length < minInliers) break;
+    planes.push(result);
+
+    const taken = new Uint8Array(positions.length / 3);
+    result.inliers.forEach(i => {
+      taken[i] = 1;
+    });
+    candidates = candidates.filter(i => !taken[i]);
+  }
+  return planes;
+}
+
+export function formatPlane([a, b, c, d]) {
+  const term = (v, name, first) => {
+    const sign = v < 0 ? '-' : first ? '' : '+';
+    return `${sign}${first ? '' : ' '}${Math.abs(v).toFixed(4)}${name}`;
+  };
+  return `${term(a, 'x', true)} ${term(b, 'y')} ${term(c, 'z')} ${term(d, '')} = 0`;
+}
@@ -0,0 +1,172 @@
+// Rigid registration: alignment from point pairs and ICP (iterative closest
+// point), point-to-point or point-to-plane.
+//
+// Transforms are 4x4 row-major arrays of 16 numbers mapping source (moving)
+// coordinates onto the target. Positions are flat [x0, y0, z0, ...] arrays.
+import { buildKDTree } from "./kdtree.js";
+import { solveLinearSystem, symmetricEigen } from "./linalg.js";
+
+export function identityMatrix() {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+export function multiplyMatrices(a, b) {
+  const out = new Array(16).fill(0);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      for (let k = 0; k < 4; k++) out[row * 4 + col] += a[row * 4 + k] * b[k * 4 + col];
+    }
+  }
+  return out;
+}
+
+function fromRotation(r, t) {
+  return [r[0], r[1], r[2], t[0], r[3], r[4], r[5], t[1], r[6], r[7], r[8], t[2], 0, 0, 0, 1];
+}
+
+// Copy of `positions` with the transform applied
+export function transformPositions(m, positions) {
+  const out = new Float64Array(positions.length);
+  for (let p = 0; p < positions.length; p += 3) {
+    const x = positions[p], y = positions[p + 1], z = positions[p + 2];
+    out[p] = m[0] * x + m[1] * y + m[2] * z + m[3];
+    out[p + 1] = m[4] * x + m[5] * y + m[6] * z + m[7];
+    out[p + 2] = m[8] * x + m[9] * y + m[10] * z + m[11];
+  }
+  return out;
+}
+
+// Best rigid transform taking source[i] onto target[i] in the least-squares
+// sense (Horn's quaternion method). Needs at least three non-collinear pairs.
+export function rigidFromPairs(source, target) {
+  const n = source.length / 3;
+  const cs = [0, 0, 0];
+  const ct = [0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      cs[axis] += source[i * 3 + axis] / n;
+      ct[axis] += target[i * 3 + axis] / n;
+    }
+  }
+
+  // Cross-covariance S[a][b] = Σ (s_a - cs_a)(t_b - ct_b)
+  const S = new Array(9).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let a = 0; a < 3; a++) {
+      const sa = source[i * 3 + a] - cs[a];
+      for (let b = 0; b < 3; b++) S[a * 3 + b] += sa * (target[i * 3 + b] - ct[b]);
+    }
+  }
+  const [xx, xy, xz, yx, yy, yz, zx, zy, zz] = S;
+  const N = [
+    xx + yy + zz, yz - zy, zx - xz, xy - yx,
+    yz - zy, xx - yy - zz, xy + yx, zx + xz,
+    zx - xz, xy + yx, -xx + yy - zz, yz + zy,
+    xy - yx, zx + xz, yz + zy, -xx - yy + zz,
+  ];
+  const [w, x, y, z] = symmetricEigen(N, 4).vectors[3];
+  const r = [
+    1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+    2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+    2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y),
+  ];
+  const t = [0, 1, 2].map(axis =>
+    ct[axis] - (r[axis * 3] * cs[0] + r[axis * 3 + 1] * cs[1] + r[axis * 3 + 2] * cs[2])
+  );
+  return fromRotation(r, t);
+}
+
+// Rotation Rz(c) Ry(b) Rx(a) with translation t
+function fromAngles(a, b, c, t) {
+  const ca = Math.cos(a), sa = Math.sin(a);
+  const cb = Math.cos(b), sb = Math.sin(b);
+  const cc = Math.cos(c), sc = Math.sin(c);
+  return fromRotation([
+    cc * cb, cc * sb * sa - sc * ca, cc * sb * ca + sc * sa,
+    sc * cb, sc * sb * sa + cc * ca, sc * sb * ca - cc * sa,
+    -sb, cb * sa, cb * ca,
+  ], t);
+}
+
+// Linearised point-to-plane step: minimises Σ ((p' - q) · n)² for small
+// rotations
+function pointToPlaneStep(sources, targets, normals) {
+  const AtA = new Array(36).fill(0);
+  const Atb = new Array(6).fill(0);
+  const row = new Array(6);
+  for (let p = 0; p < sources.length; p += 3) {
+    const [sx, sy, sz] = [sources[p], sources[p + 1], sources[p + 2]];
+    const [nx, ny, nz] = [normals[p], normals[p + 1], normals[p + 2]];
+    row[0] = sy * nz - sz * ny;
+    row[1] = sz * nx - sx * nz;
+    row[2] = sx * ny - sy * nx;
+    row[3] = nx;
+    row[4] = ny;
+    row[5] = nz;
+    const b = nx * (targets[p] - sx) + ny * (targets[p + 1] - sy) + nz * (targets[p + 2] - sz);
+    for (let i = 0; i < 6; i++) {
+      Atb[i] += row[i] * b;
+      for (let j = 0; j < 6; j++) AtA[i * 6 + j] += row[i] * row[j];
+    }
+  }
+  const x = solveLinearSystem(AtA, Atb, 6);
+  return x ? fromAngles(x[0], x[1], x[2], [x[3], x[4], x[5]]) : null;
+}
+
+// ICP from `initial`, one step per iteration. Yields
+// { iteration, rmse, pairs, matrix, converged } after every step, where rmse
+// is over the pairs closer than `maxDistance`. It stops when the rmse falls
+// to `tolerance` or changes by less than `tolerance` times itself.
+// Point-to-plane needs `targetNormals` (NaN normals are skipped).
+export function* icp(source, target, {
+  method = 'point-to-point',
+  maxDistance = Infinity,
+  maxIterations = 50,
+  tolerance = 1e-6,
+  initial = identityMatrix(),
+  targetNormals = null,
+  targetTree = buildKDTree(target),
+} = {}) {
+  const planar = method === 'point-to-plane';
+  const n = source.length / 3;
+  const index = new Uint32Array(1);
+  const distance = new Float64Array(1);
+  const maxDistanceSq = maxDistance * maxDistance;
+  let matrix = initial;
+  let previousRmse = Infinity;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const moved = transformPositions(matrix, source);
+    const sources = [];
+    const targets = [];
+    const normals = [];
+    let sumSq = 0;
+    for (let i = 0; i < n; i++) {
+      const p = i * 3;
+      if (!targetTree.nearest(moved[p], moved[p + 1], moved[p + 2], 1, index, distance)) continue;
+      if (distance[0] > maxDistanceSq) continue;
+      const q = index[0] * 3;
+      if (planar && !Number.isFinite(targetNormals[q])) continue;
+      sumSq += distance[0];
+      sources.push(moved[p], moved[p + 1], moved[p + 2]);
+      targets.push(target[q], target[q + 1], target[q + 2]);
+      if (planar) normals.push(targetNormals[q], targetNormals[q + 1], targetNormals[q + 2]);
+    }
+
+    const pairs = sources.length / 3;
+    const rmse = pairs > 0 ? Math.sqrt(sumSq / pairs) : NaN;
+    const step = pairs >= 3 ? (planar ? pointToPlaneStep(sources, targets, normals) : rigidFromPairs(sources, targets)) : null;
+    if (step) matrix = multiplyMatrices(step, matrix);
+
+    const converged = !step || rmse <= tolerance || Math.abs(previousRmse - rmse) <= tolerance * rmse;
+    yield { iteration, rmse, pairs, matrix, converged };
+    if (converged) return;
+    previousRmse = rmse;
+  }
+}
+
+export function formatMatrix(m) {
+  const rows = [];
+  for (let row = 0; row < 4; row++) rows.push(m.slice(row * 4, row * 4 + 4).map(v => String(v)).join(' '));
+  return rows.join('\n') + '\n';
+}
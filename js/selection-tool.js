@@ -0,0 +1,141 @@
+// Rectangle and lasso selection on the canvas. Draws the region in an SVG
+// overlay and hands a screen-space inside test to the app, which does the
+// projection and keeps the per-point selection.
+import { lassoTest, rectangleTest } from "./selection.js";
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const MODE_LABELS = {
+  rectangle: 'Rectangle',
+  lasso: 'Lasso',
+};
+
+const ACTION_LABELS = {
+  invert: 'Invert',
+  delete: 'Delete',
+  keep: 'Keep only',
+  clear: 'Clear',
+};
+
+// `onSelect(inside, operation)` gets the test and 'replace', 'add' (Ctrl)
+// or 'subtract' (Alt); `onAction(name)` runs the panel buttons.
+export function createSelectionTool({ canvas, panel, controls, onSelect, onAction }) {
+  let mode = null;
+  let drawing = false;
+  let path = [];
+
+  const overlay = document.createElementNS(SVG_NS, 'svg');
+  overlay.id = 'selection-overlay';
+  const shape = document.createElementNS(SVG_NS, 'polygon');
+  overlay.appendChild(shape);
+  document.body.appendChild(overlay);
+
+  panel.innerHTML = `
+    <div class="selection-header">
+      <span>Select</span>
+      <span class="selection-count"></span>
+    </div>
+    <div class="selection-modes">
+      ${Object.entries(MODE_LABELS).map(([name, label]) =>
+        `<button data-mode="${name}">${label}</button>`
+      ).join('')}
+    </div>
+    <div class="selection-hint"></div>
+    <div class="selection-actions">
+      ${Object.entries(ACTION_LABELS).map(([name, label]) =>
+        `<button data-action="${name}">${label}</button>`
+      ).join('')}
+    </div>
+  `;
+  const hint = panel.querySelector('.selection-hint');
+  const count = panel.querySelector('.selection-count');
+
+  function updatePanel() {
+    panel.querySelectorAll('[data-mode]').forEach(button => {
+      button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    hint.textContent = mode
+      ? 'Drag to select. Ctrl adds, Alt removes. Turn the tool off to navigate.'
+      : 'Pick a tool to select points on screen.';
+  }
+
+  function setMode(name) {
+    mode = mode === name ? null : name;
+    // Left drag draws the region instead of orbiting while a tool is on
+    controls.enabled = mode === null;
+    updatePanel();
+  }
+
+  function canvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  }
+
+  function drawShape() {
+    let corners = path;
+    if (mode === 'rectangle' && path.length === 4) {
+      const [x0, y0, x1, y1] = path;
+      corners = [x0, y0, x1, y0, x1, y1, x0, y1];
+    }
+    shape.setAttribute('points', corners.join(' '));
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!mode || e.button !== 0) return;
+    drawing = true;
+    path = canvasPoint(e);
+    if (mode === 'rectangle') path.push(...path);
+    canvas.setPointerCapture(e.pointerId);
+    overlay.style.display = 'block';
+    drawShape();
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drawing) return;
+    const [x, y] = canvasPoint(e);
+    if (mode === 'rectangle') {
+      path[2] = x;
+      path[3] = y;
+    } else {
+      path.push(x, y);
+    }
+    drawShape();
+  });
+
+  canvas.addEventListener('pointerup', (e) => {
+    if (!drawing) return;
+    drawing = false;
+    overlay.style.display = 'none';
+
+    let inside = null;
+    if (mode === 'rectangle') {
+      inside = rectangleTest(...path);
+    } else if (path.length >= 6) {
+      inside = lassoTest(path);
+    }
+    const operation = e.ctrlKey || e.metaKey ? 'add' : e.altKey ? 'subtract' : 'replace';
+    if (inside) onSelect(inside, operation);
+  });
+
+  panel.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    if (button.dataset.mode) setMode(button.dataset.mode);
+    if (button.dataset.action) onAction(button.dataset.action);
+  });
+
+  updatePanel();
+
+  return {
+    get active() {
+      return mode !== null;
+    },
+    // Number of selected points, shown in the panel header
+    setCount(selected) {
+      count.textContent = selected > 0 ? `${selected} selected` : '';
+      panel.querySelectorAll('[data-action]').forEach(button => {
+        button.disabled = selected === 0 && button.dataset.action !== 'invert';
+      });
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// Screen-space point selection (rectangle and freehand lasso).
+//
+// Points are projected through a combined projection * view * model matrix
+// and tested in canvas pixel coordinates, so the selection matches exactly
+// what the camera shows.
+
+// Per-point state stored in the `pointState` attribute of each layer
+export const POINT_NORMAL = 0;
+export const POINT_SELECTED = 1;
+export const POINT_REMOVED = 2;
+// Would be removed by a filter that is being previewed (outlier removal)
+export const POINT_PREVIEW = 3;
+
+export function rectangleTest(x0, y0, x1, y1) {
+  const minX = Math.min(x0, x1), maxX = Math.max(x0, x1);
+  const minY = Math.min(y0, y1), maxY = Math.max(y0, y1);
+  return (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+}
+
+// Even-odd rule; `polygon` is a flat [x0, y0, x1, y1, ...] list
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  const n = polygon.length / 2;
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const xi = polygon[i * 2], yi = polygon[i * 2 + 1];
+    const xj = polygon[j * 2], yj = polygon[j * 2 + 1];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function lassoTest(polygon) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (let i = 0; i < polygon.length; i += 2) {
+    minX = Math.min(minX, polygon[i]);
+    maxX = Math.max(maxX, polygon[i]);
+    minY = Math.min(minY, polygon[i + 1]);
+    maxY = Math.max(maxY, polygon[i + 1]);
+  }
+  return (x, y) =>
+    x >= minX && x <= maxX && y >= minY && y <= maxY && pointInPolygon(x, y, polygon);
+}
+
+// Indices of the points that project inside the region. `matrix` holds the
+// 16 column-major elements of projection * view * model; `accept(i)` can
+// skip points that are hidden (filtered or removed). With `out` ({ x, y,
+// depth } lists) the screen position and camera distance of each hit are
+// appended too.
+export function selectPoints(positions, matrix, width, height, inside, accept = () => true, out = null) {
+  return selectIndices(null, positions, matrix, width, height, inside, accept, out);
+}
+
+// selectPoints over the points at `indices` only (every point when null),
+// e.g. those of the octree nodes a region can reach
+export function selectIndices(indices, positions, matrix, width, height, inside, accept = () => true, out = null) {
+  const e = matrix;
+  const selected = [];
+  const n = indices ? indices.length : positions.length / 3;
+  for (let k = 0; k < n; k++) {
+    const i = indices ? indices[k] : k;
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+    // Behind the camera
+    if (w <= 0) continue;
+    const ndcX = (e[0] * x + e[4] * y + e[8] * z + e[12]) / w;
+    const ndcY = (e[1] * x + e[5] * y + e[9] * z + e[13]) / w;
+    const ndcZ = (e[2] * x + e[6] * y + e[10] * z + e[14]) / w;
+    if (ndcZ < -1 || ndcZ > 1) continue;
+
+    const sx = ((ndcX + 1) / 2) * width;
+    const sy = ((1 - ndcY) / 2) * height;
+    if (inside(sx, sy) && accept(i)) {
+      selected.push(i);
+      if (out) {
+        out.x.push(sx);
+        out.y.push(sy);
+        out.depth.push(w);
+      }
+    }
+  }
+  return selected;
+}
+
+// Which hits are in front: the screen is split into `cellSize` pixel cells
+// and a hit is kept when it is at most `tolerance` (a fraction of the
+// distance) behind the nearest hit of its cell, so points seen through a
+// surface are left out. Returns a flag per hit.
+export function frontHits({ x, y, depth }, cellSize, tolerance) {
+  const cellOf = (k) => Math.floor(x[k] / cellSize) + Math.floor(y[k] / cellSize) * 65536;
+  const nearest = new Map();
+  for (let k = 0; k < depth.length; k++) {
+    const cell = cellOf(k);
+    const d = nearest.get(cell);
+    if (d === undefined || depth[k] < d) nearest.set(cell, depth[k]);
+  }
+  const front = new Uint8Array(depth.length);
+  for (let k = 0; k < depth.length; k++) {
+    front[k] = depth[k] <= nearest.get(cellOf(k)) * (1 + tolerance) ? 1 : 0;
+  }
+  return front;
+}
@@ -0,0 +1,72 @@
+// Viewer sessions: camera, view options and per-layer settings as JSON.
+//
+// A session holds no point data. Layers are matched by file name when the
+// session is restored, so the same files have to be loaded. The compact form
+// for the URL hash is the same JSON with numbers rounded, base64url-encoded.
+
+export const SESSION_VERSION = 1;
+
+const HASH_KEY = 'session=';
+
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Session is not valid JSON: ${err.message}`);
+  }
+  if (!session || typeof session !== 'object' || !Array.isArray(session.layers)) {
+    throw new Error('Not a viewer session (no layers list)');
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${session.version}`);
+  }
+  return session;
+}
+
+export function sessionToJSON(session) {
+  return JSON.stringify(session, null, 2);
+}
+
+// Numbers rounded to 7 significant digits. Coordinates in sessions are
+// recentred, so that is a millimetre for scenes a kilometre across; the
+// recentring `origin` itself keeps full precision.
+function compact(value) {
+  if (typeof value === 'number') return Number(value.toPrecision(7));
+  if (Array.isArray(value)) return value.map(compact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, key === 'origin' ? v : compact(v)]));
+  }
+  return value;
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+export function sessionToHash(session) {
+  return `#${HASH_KEY}${toBase64Url(JSON.stringify(compact(session)))}`;
+}
+
+// Session in a location hash, or null when the hash holds none
+export function sessionFromHash(hash) {
+  const start = hash.indexOf(HASH_KEY);
+  if (start === -1) return null;
+  let text;
+  try {
+    text = fromBase64Url(hash.slice(start + HASH_KEY.length));
+  } catch (err) {
+    throw new Error('Session link is damaged');
+  }
+  return parseSession(text);
+}
@@ -0,0 +1,202 @@
+// Delimited text (CSV / XYZ / TXT) point cloud reader.
+//
+// Columns are mapped onto cloud fields by the caller: x/y/z coordinates,
+// r/g/b colour (packed into an rgb field like PCD), intensity or any custom
+// scalar field. Everything else is ignored.
+import { createField } from "./cloud.js";
+
+export const COLUMN_TARGETS = ['ignore', 'x', 'y', 'z', 'r', 'g', 'b', 'intensity', 'custom'];
+
+export const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  whitespace: ' ',
+};
+
+// Coordinates beyond this magnitude lose centimetres in float32
+const FLOAT32_COORD_LIMIT = 1e5;
+
+export function splitLine(line, delimiter) {
+  const trimmed = line.trim();
+  if (trimmed === '') return [];
+  if (delimiter === ' ') return trimmed.split(/\s+/);
+  return trimmed.split(delimiter).map(token => token.trim());
+}
+
+function isNumeric(token) {
+  return token !== '' && !Number.isNaN(Number(token));
+}
+
+// Pick the delimiter that splits the sample lines into the most consistent
+// number of columns
+export function detectDelimiter(lines) {
+  let best = ' ';
+  let bestColumns = 0;
+  for (const delimiter of Object.values(DELIMITERS)) {
+    const counts = lines.map(line => splitLine(line, delimiter).length).filter(c => c > 0);
+    if (counts.length === 0) continue;
+    const consistent = counts.every(c => c === counts[0]);
+    if (consistent && counts[0] > bestColumns) {
+      best = delimiter;
+      bestColumns = counts[0];
+    }
+  }
+  return best;
+}
+
+// First data lines of the file, used by the import dialog
+export function previewText(text, { delimiter, skipLines = 0, hasHeader = false, maxRows = 20 }) {
+  const lines = [];
+  let start = 0;
+  let skipped = 0;
+  while (start < text.length && lines.length < maxRows + 1) {
+    let end = text.indexOf('\n', start);
+    if (end === -1) end = text.length;
+    const line = text.slice(start, end);
+    start = end + 1;
+    if (skipped < skipLines) {
+      skipped++;
+      continue;
+    }
+    if (line.trim() !== '') lines.push(line);
+  }
+
+  const rows = lines.map(line => splitLine(line, delimiter));
+  const header = hasHeader ? rows.shift() || [] : null;
+  const numColumns = Math.max(0, ...rows.map(r => r.length), header ? header.length : 0);
+  return { header, rows: rows.slice(0, maxRows), numColumns };
+}
+
+// Guess a header row when the first line has non-numeric tokens
+export function looksLikeHeader(line, delimiter) {
+  const tokens = splitLine(line, delimiter);
+  return tokens.length > 0 && tokens.some(token => !isNumeric(token));
+}
+
+// Suggest column targets from header names, else assume x y z first
+export function guessColumnMapping(header, numColumns) {
+  const aliases = {
+    x: 'x', y: 'y', z: 'z',
+    r: 'r', red: 'r', g: 'g', green: 'g', b: 'b', blue: 'b',
+    i: 'intensity', intensity: 'intensity', reflectance: 'intensity',
+  };
+  const columns = [];
+  for (let c = 0; c < numColumns; c++) {
+    const name = header && header[c] ? header[c].replace(/^[#"'\s]+|["'\s]+$/g, '') : '';
+    const target = aliases[name.toLowerCase()];
+    if (target) {
+      columns.push({ target, name });
+    } else if (header && name) {
+      columns.push({ target: 'custom', name });
+    } else {
+      columns.push({ target: ['x', 'y', 'z'][c] || 'ignore', name: `field_${c}` });
+    }
+  }
+  return columns;
+}
+
+// Parse the whole text using a column mapping into a cloud
+export function parseDelimitedText(text, { delimiter, skipLines = 0, hasHeader = false, columns }) {
+  const targets = columns.map(c => c.target);
+  if (!['x', 'y', 'z'].every(axis => targets.includes(axis))) {
+    throw new Error('Map columns to x, y and z before importing');
+  }
+  for (const target of ['x', 'y', 'z', 'r', 'g', 'b', 'intensity']) {
+    if (targets.filter(t => t === target).length > 1) {
+      throw new Error(`More than one column is mapped to ${target}`);
+    }
+  }
+  const hasColor = ['r', 'g', 'b'].every(channel => targets.includes(channel));
+
+  // First pass into growable float64 columns; sizes are known afterwards
+  const used = columns
+    .map((column, index) => ({ ...column, index }))
+    .filter(c => c.target !== 'ignore' && (hasColor || !['r', 'g', 'b'].includes(c.target)));
+  let capacity = 1 << 16;
+  let data = used.map(() => new Float64Array(capacity));
+  let numPoints = 0;
+  let lineNumber = 0;
+  let start = 0;
+  let headerSkipped = !hasHeader;
+
+  while (start < text.length) {
+    let end = text.indexOf('\n', start);
+    if (end === -1) end = text.length;
+    const line = text.slice(start, end);
+    start = end + 1;
+    lineNumber++;
+    if (lineNumber <= skipLines || line.trim() === '') continue;
+    if (!headerSkipped) {
+      headerSkipped = true;
+      continue;
+    }
+
+    const tokens = splitLine(line, delimiter);
+    if (numPoints === capacity) {
+      capacity *= 2;
+      data = data.map(column => {
+        const grown = new Float64Array(capacity);
+        grown.set(column);
+        return grown;
+      });
+    }
+    for (let u = 0; u < used.length; u++) {
+      const token = tokens[used[u].index];
+      data[u][numPoints] = token === undefined ? NaN : Number(token);
+    }
+    numPoints++;
+  }
+
+  const fields = [];
+  const byTarget = {};
+  used.forEach((column, u) => {
+    byTarget[column.target] = data[u];
+  });
+
+  // Coordinates stay float32 unless that would lose precision
+  let maxAbs = 0;
+  for (const axis of ['x', 'y', 'z']) {
+    const values = byTarget[axis];
+    for (let i = 0; i < numPoints; i++) {
+      const v = Math.abs(values[i]);
+      if (v > maxAbs) maxAbs = v;
+    }
+  }
+  const coordSize = maxAbs > FLOAT32_COORD_LIMIT ? 8 : 4;
+  for (const axis of ['x', 'y', 'z']) {
+    const field = createField(axis, 'F', coordSize, numPoints);
+    field.values.set(byTarget[axis].subarray(0, numPoints));
+    fields.push(field);
+  }
+
+  if (hasColor) {
+    // Colours given as 0..1 floats are scaled to 0..255
+    let maxChannel = 0;
+    for (const channel of ['r', 'g', 'b']) {
+      const values = byTarget[channel];
+      for (let i = 0; i < numPoints; i++) {
+        if (values[i] > maxChannel) maxChannel = values[i];
+      }
+    }
+    const scale = maxChannel <= 1 ? 255 : 1;
+    const clamp = v => Math.max(0, Math.min(255, Math.round(v * scale))) || 0;
+    const rgb = createField('rgb', 'U', 4, numPoints);
+    for (let i = 0; i < numPoints; i++) {
+      rgb.values[i] = (clamp(byTarget.r[i]) << 16) | (clamp(byTarget.g[i]) << 8) | clamp(byTarget.b[i]);
+    }
+    fields.push(rgb);
+  }
+
+  used.forEach((column, u) => {
+    if (column.target !== 'intensity' && column.target !== 'custom') return;
+    const name = column.target === 'intensity' ? 'intensity' : column.name;
+    if (!name) throw new Error(`Column ${column.index + 1} needs a field name`);
+    if (fields.some(f => f.name === name)) throw new Error(`Field "${name}" is mapped twice`);
+    const field = createField(name, 'F', 4, numPoints);
+    field.values.set(data[u].subarray(0, numPoints));
+    fields.push(field);
+  });
+
+  return { numPoints, fields, viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
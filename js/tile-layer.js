@@ -0,0 +1,185 @@
+// Streaming of pre-built tile sets (.pcdtiles, see tiles.js). Only the header
+// is read when a set is opened; each octree node is read from the file when
+// the level of detail first chooses it, drawn as its own THREE.Points, and
+// dropped again, least recently chosen first, once the loaded points of all
+// sets pass the memory budget. Clouds far larger than GPU memory can be
+// viewed this way, since at most the budget is ever uploaded.
+import * as THREE from "three";
+import { colormapColor } from "./colormap.js";
+import { decodeTileNode, parseTileSetHeader, tileNodeRange, tileSetHeaderSize } from "./tiles.js";
+
+// Node reads in flight at once
+const MAX_LOADS = 4;
+
+// Colours of a node without its own: viridis by height over the whole set
+function heightColors(header, positions) {
+  const low = header.bounds.min[2];
+  const range = Math.max(header.bounds.max[2] - low, 1e-9);
+  const colors = new Uint8Array(positions.length);
+  for (let i = 2; i < positions.length; i += 3) {
+    const [r, g, b] = colormapColor('viridis', (positions[i] - low) / range);
+    colors[i - 2] = r * 255;
+    colors[i - 1] = g * 255;
+    colors[i] = b * 255;
+  }
+  return colors;
+}
+
+// Read the header of a .pcdtiles File. The returned set has the octree
+// `tree` ({ nodes }, for selectNodes) and a `group` holding the loaded nodes
+// in recentred coordinates (header.origin is the file position of 0, 0, 0).
+export async function openTileSet(file) {
+  const prefix = await file.slice(0, 12).arrayBuffer();
+  const header = parseTileSetHeader(await file.slice(0, tileSetHeaderSize(prefix)).arrayBuffer());
+  const group = new THREE.Group();
+  group.name = file.name;
+  return {
+    name: file.name,
+    file,
+    header,
+    tree: { nodes: header.nodes },
+    group,
+    material: new THREE.PointsMaterial({ size: 1, sizeAttenuation: false, vertexColors: true }),
+    // Per node: its THREE.Points once loaded, whether a read is under way
+    // and the last update that chose it
+    nodes: header.nodes.map(() => ({ points: null, loading: false, used: 0 })),
+    loadedPoints: 0,
+    failed: null,
+    disposed: false,
+  };
+}
+
+// Loads and drops the nodes of open tile sets. `onLoad(tileSet)` is called
+// after each read, so the caller can run the level of detail again.
+export function createTileStreamer({ onLoad }) {
+  const tileSets = [];
+  let queue = [];
+  // Count of update() calls, to tell which nodes the last one chose
+  let generation = 0;
+  let loads = 0;
+  // Points of the nodes being read, counted against the budget already
+  let pendingPoints = 0;
+  let budget = Infinity;
+
+  function loadedPoints() {
+    return tileSets.reduce((sum, tileSet) => sum + tileSet.loadedPoints, 0);
+  }
+
+  function unload(tileSet, index) {
+    const state = tileSet.nodes[index];
+    tileSet.group.remove(state.points);
+    state.points.geometry.dispose();
+    state.points = null;
+    tileSet.loadedPoints -= tileSet.header.nodes[index].count;
+  }
+
+  // Drop nodes not chosen by the last update, least recently chosen first,
+  // until `needed` more points fit in the budget
+  function evict(needed = 0) {
+    const idle = [];
+    tileSets.forEach(tileSet => {
+      tileSet.nodes.forEach((state, index) => {
+        if (state.points && state.used < generation) idle.push({ tileSet, index, used: state.used });
+      });
+    });
+    idle.sort((a, b) => a.used - b.used);
+    let total = loadedPoints() + pendingPoints;
+    for (const { tileSet, index } of idle) {
+      if (total + needed <= budget) break;
+      unload(tileSet, index);
+      total -= tileSet.header.nodes[index].count;
+    }
+    return total + needed <= budget;
+  }
+
+  function load(tileSet, index) {
+    const state = tileSet.nodes[index];
+    const [start, end] = tileNodeRange(tileSet.header, index);
+    const count = tileSet.header.nodes[index].count;
+    state.loading = true;
+    loads++;
+    pendingPoints += count;
+    tileSet.file.slice(start, end).arrayBuffer()
+      .then(buffer => {
+        if (tileSet.disposed) return;
+        const { positions, colors } = decodeTileNode(tileSet.header, index, buffer);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors || heightColors(tileSet.header, positions), 3, true));
+        const points = new THREE.Points(geometry, tileSet.material);
+        points.visible = state.used === generation;
+        tileSet.group.add(points);
+        state.points = points;
+        tileSet.loadedPoints += count;
+      })
+      .catch(err => {
+        console.error(`Could not read node ${index} of ${tileSet.name}:`, err);
+        tileSet.failed = err.message;
+      })
+      .finally(() => {
+        state.loading = false;
+        loads--;
+        pendingPoints -= count;
+        pump();
+        if (!tileSet.disposed) onLoad(tileSet);
+      });
+  }
+
+  // Start reads from the front of the queue while there is room
+  function pump() {
+    while (loads < MAX_LOADS && queue.length > 0) {
+      const { tileSet, index } = queue.shift();
+      const state = tileSet.nodes[index];
+      if (tileSet.disposed || state.points || state.loading || tileSet.failed) continue;
+      if (!evict(tileSet.header.nodes[index].count)) {
+        queue = [];
+        break;
+      }
+      load(tileSet, index);
+    }
+  }
+
+  return {
+    tileSets,
+    add(tileSet) {
+      tileSets.push(tileSet);
+    },
+    remove(tileSet) {
+      tileSets.splice(tileSets.indexOf(tileSet), 1);
+      tileSet.disposed = true;
+      tileSet.nodes.forEach((state, index) => {
+        if (state.points) unload(tileSet, index);
+      });
+      tileSet.material.dispose();
+      tileSet.group.removeFromParent();
+    },
+    // Show the chosen nodes of each set (a Map from set to node indices in
+    // the order selectNodes gave them) that are loaded, and read the others,
+    // keeping at most `memoryBudget` points loaded
+    update(chosen, memoryBudget) {
+      generation++;
+      budget = memoryBudget;
+      const wanted = [];
+      tileSets.forEach(tileSet => {
+        const nodes = chosen.get(tileSet) || [];
+        nodes.forEach(index => {
+          tileSet.nodes[index].used = generation;
+        });
+        tileSet.nodes.forEach(state => {
+          if (state.points) state.points.visible = state.used === generation;
+        });
+        wanted.push(nodes.filter(index => !tileSet.nodes[index].points).map(index => ({ tileSet, index })));
+      });
+      // Interleave the sets so each gets its coarse nodes first
+      queue = [];
+      for (let k = 0; wanted.some(list => k < list.length); k++) {
+        wanted.forEach(list => {
+          if (k < list.length) queue.push(list[k]);
+        });
+      }
+      evict();
+      pump();
+    },
+    loadedPoints,
+  };
+}
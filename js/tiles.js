@@ -0,0 +1,143 @@
+// Pre-built tile sets (.pcdtiles): a cloud's level-of-detail octree written
+// node by node, so the viewer can read, draw and drop single nodes without
+// ever holding the whole cloud (see tile-layer.js).
+//
+//   "PCDTILES"                 signature
+//   uint32 (little endian)     header length in bytes
+//   header                     JSON, space padded to a multiple of 4 bytes
+//   node data                  one block per node, in header order
+//
+// The header is { version, numPoints, origin, bounds, viewpoint, hasColor,
+// nodes } where nodes are octree nodes (see octree.js) with the `offset` of
+// their block from the start of the node data instead of `start`. A block
+// holds count float32 x/y/z relative to `origin` (the cloud's centre, kept
+// in double precision) and, when hasColor, count r/g/b bytes padded to a
+// multiple of 4 bytes. Bounds are those of the recentred positions.
+import { createField } from "./cloud.js";
+import { preparePoints } from "./points.js";
+
+export const TILES_VERSION = 1;
+
+const SIGNATURE = 'PCDTILES';
+const PREFIX_SIZE = 12;
+
+function colorBytes(count) {
+  return Math.ceil((count * 3) / 4) * 4;
+}
+
+function blockSize(count, hasColor) {
+  return count * 12 + (hasColor ? colorBytes(count) : 0);
+}
+
+// Tile set of a cloud, as a list of Blob parts (strings and Uint8Arrays).
+// `nodeCapacity` is the most points in one node.
+export function encodeTileSet(cloud, { nodeCapacity = 20000 } = {}) {
+  const prepared = preparePoints(cloud, null, { nodeCapacity });
+  const { positions, colors, octree } = prepared;
+  const hasColor = Boolean(colors);
+
+  const blocks = [];
+  let offset = 0;
+  const nodes = octree.nodes.map(({ level, min, size, start, count, children }) => {
+    const xyz = new Float32Array(count * 3);
+    const rgb = hasColor ? new Uint8Array(colorBytes(count)) : null;
+    for (let k = 0; k < count; k++) {
+      const i = octree.indices[start + k];
+      for (let axis = 0; axis < 3; axis++) {
+        xyz[k * 3 + axis] = positions[i * 3 + axis];
+        if (rgb) rgb[k * 3 + axis] = Math.round(colors[i * 3 + axis] * 255);
+      }
+    }
+    blocks.push(new Uint8Array(xyz.buffer));
+    if (rgb) blocks.push(rgb);
+    const node = { level, min, size, count, children, offset };
+    offset += blockSize(count, hasColor);
+    return node;
+  });
+
+  const json = JSON.stringify({
+    version: TILES_VERSION,
+    numPoints: cloud.numPoints,
+    origin: prepared.origin,
+    bounds: prepared.bounds,
+    viewpoint: cloud.viewpoint || [0, 0, 0, 1, 0, 0, 0],
+    hasColor,
+    nodes,
+  });
+  const header = new TextEncoder().encode(json);
+  const padded = Math.ceil(header.length / 4) * 4;
+
+  const prefix = new Uint8Array(PREFIX_SIZE);
+  prefix.set(new TextEncoder().encode(SIGNATURE));
+  new DataView(prefix.buffer).setUint32(8, padded, true);
+  return [prefix, json + ' '.repeat(padded - header.length), ...blocks];
+}
+
+// Bytes from the start of the file to the end of the header, from the first
+// 12 bytes
+export function tileSetHeaderSize(buffer) {
+  if (buffer.byteLength < PREFIX_SIZE) throw new Error('Tile set header is truncated');
+  const signature = new TextDecoder().decode(new Uint8Array(buffer, 0, SIGNATURE.length));
+  if (signature !== SIGNATURE) throw new Error(`Not a tile set (missing "${SIGNATURE}" signature)`);
+  return PREFIX_SIZE + new DataView(buffer).getUint32(8, true);
+}
+
+// Header of a tile set from a buffer holding at least its first
+// tileSetHeaderSize bytes. `dataStart` is where the node data begins.
+export function parseTileSetHeader(buffer) {
+  const dataStart = tileSetHeaderSize(buffer);
+  if (buffer.byteLength < dataStart) throw new Error('Tile set header is truncated');
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREFIX_SIZE, dataStart - PREFIX_SIZE)));
+  } catch (err) {
+    throw new Error(`Tile set header is not valid JSON: ${err.message}`);
+  }
+  if (!header || header.version !== TILES_VERSION) {
+    throw new Error(`Unsupported tile set version ${header && header.version}`);
+  }
+  if (!Array.isArray(header.nodes) || header.nodes.length === 0) throw new Error('Tile set has no nodes');
+  return { ...header, dataStart };
+}
+
+// [start, end) byte range of a node's block in the file
+export function tileNodeRange(header, index) {
+  const node = header.nodes[index];
+  const start = header.dataStart + node.offset;
+  return [start, start + blockSize(node.count, header.hasColor)];
+}
+
+// Recentred positions and r/g/b bytes (or null) of a node, from its block
+export function decodeTileNode(header, index, buffer) {
+  const { count } = header.nodes[index];
+  if (buffer.byteLength < blockSize(count, header.hasColor)) {
+    throw new Error(`Tile set node ${index} is truncated`);
+  }
+  return {
+    positions: new Float32Array(buffer, 0, count * 3),
+    colors: header.hasColor ? new Uint8Array(buffer, count * 12, count * 3) : null,
+  };
+}
+
+// Every point of a tile set as a cloud: x/y/z in file coordinates and a
+// packed rgb field when the set has colour
+export function parseTileSet(buffer) {
+  const header = parseTileSetHeader(buffer);
+  const n = header.nodes.reduce((sum, node) => sum + node.count, 0);
+  const axes = ['x', 'y', 'z'].map(name => createField(name, 'F', 8, n));
+  const rgb = header.hasColor ? createField('rgb', 'U', 4, n) : null;
+
+  let i = 0;
+  header.nodes.forEach((node, index) => {
+    const [start, end] = tileNodeRange(header, index);
+    if (end > buffer.byteLength) throw new Error(`Tile set node ${index} is truncated`);
+    const { positions, colors } = decodeTileNode(header, index, buffer.slice(start, end));
+    for (let k = 0; k < node.count; k++, i++) {
+      axes.forEach((field, axis) => {
+        field.values[i] = header.origin[axis] + positions[k * 3 + axis];
+      });
+      if (rgb) rgb.values[i] = (colors[k * 3] << 16) | (colors[k * 3 + 1] << 8) | colors[k * 3 + 2];
+    }
+  });
+  return { numPoints: n, fields: rgb ? [...axes, rgb] : axes, viewpoint: header.viewpoint };
+}
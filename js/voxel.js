@@ -0,0 +1,130 @@
+// Voxel-grid downsampling: one point per occupied voxel.
+//
+// Points are bucketed on a grid with a leaf size per axis. The output point
+// sits at the voxel centroid or at the first point that fell in the voxel;
+// every other field is averaged (packed rgb/rgba per channel, integer fields
+// rounded), except id fields such as `label` or `ring`, which take the most
+// common value in the voxel.
+import { createField, findField, isCategoricalField, isPackedColorField } from "./cloud.js";
+
+// Voxel index of every point, numbered in order of first appearance
+function assignVoxels(cloud, leafSize) {
+  const n = cloud.numPoints;
+  const axes = ['x', 'y', 'z'].map(name => findField(cloud, name));
+  const min = axes.map(field => {
+    let m = Infinity;
+    for (let i = 0; i < n; i++) m = Math.min(m, field.values[i * field.count]);
+    return m;
+  });
+  const cells = axes.map((field, a) => {
+    let max = -Infinity;
+    for (let i = 0; i < n; i++) max = Math.max(max, field.values[i * field.count]);
+    return Math.floor((max - min[a]) / leafSize[a]) + 1;
+  });
+  // Numeric keys while the grid fits in a double, strings beyond that
+  const numericKeys = cells[0] * cells[1] * cells[2] < Number.MAX_SAFE_INTEGER;
+
+  const voxelOf = new Uint32Array(n);
+  const ids = new Map();
+  for (let i = 0; i < n; i++) {
+    const ix = Math.floor((axes[0].values[i * axes[0].count] - min[0]) / leafSize[0]);
+    const iy = Math.floor((axes[1].values[i * axes[1].count] - min[1]) / leafSize[1]);
+    const iz = Math.floor((axes[2].values[i * axes[2].count] - min[2]) / leafSize[2]);
+    const key = numericKeys ? ix + cells[0] * (iy + cells[1] * iz) : `${ix},${iy},${iz}`;
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(key, id);
+    }
+    voxelOf[i] = id;
+  }
+  return { voxelOf, numVoxels: ids.size };
+}
+
+export function voxelDownsample(cloud, leafSize, mode = 'centroid') {
+  if (leafSize.some(size => !(size > 0))) {
+    throw new Error('Voxel leaf sizes must be positive');
+  }
+  if (mode !== 'centroid' && mode !== 'first') {
+    throw new Error(`Unknown voxel mode "${mode}"`);
+  }
+
+  const n = cloud.numPoints;
+  const { voxelOf, numVoxels } = assignVoxels(cloud, leafSize);
+  const counts = new Uint32Array(numVoxels);
+  const first = new Uint32Array(numVoxels);
+  for (let i = n - 1; i >= 0; i--) {
+    counts[voxelOf[i]]++;
+    first[voxelOf[i]] = i;
+  }
+
+  const fields = cloud.fields.map(field => {
+    const out = createField(field.name, field.type, field.size, numVoxels, field.count);
+    const count = field.count;
+    const src = field.values;
+
+    if (mode === 'first' && ['x', 'y', 'z'].includes(field.name)) {
+      for (let v = 0; v < numVoxels; v++) {
+        for (let c = 0; c < count; c++) out.values[v * count + c] = src[first[v] * count + c];
+      }
+      return out;
+    }
+
+    if (isPackedColorField(field)) {
+      // The 32-bit words, whether stored as U4 or (PCL's default) F4
+      const srcUint = new Uint32Array(src.buffer, src.byteOffset, n);
+      const outUint = new Uint32Array(out.values.buffer, out.values.byteOffset, numVoxels);
+      const sums = new Float64Array(numVoxels * 4);
+      for (let i = 0; i < n; i++) {
+        const packed = srcUint[i];
+        const s = voxelOf[i] * 4;
+        sums[s] += (packed >>> 24) & 0xff;
+        sums[s + 1] += (packed >> 16) & 0xff;
+        sums[s + 2] += (packed >> 8) & 0xff;
+        sums[s + 3] += packed & 0xff;
+      }
+      for (let v = 0; v < numVoxels; v++) {
+        const channel = c => Math.round(sums[v * 4 + c] / counts[v]);
+        outUint[v] = ((channel(0) << 24) | (channel(1) << 16) | (channel(2) << 8) | channel(3)) >>> 0;
+      }
+      return out;
+    }
+
+    if (isCategoricalField(field)) {
+      // Most common value per voxel, the first one seen on a tie
+      const tallies = new Array(numVoxels);
+      const best = new Uint32Array(numVoxels);
+      const bestCount = new Uint32Array(numVoxels);
+      for (let i = 0; i < n; i++) {
+        const v = voxelOf[i];
+        const tally = tallies[v] || (tallies[v] = new Map());
+        const value = src[i * count];
+        const seen = (tally.get(value) || 0) + 1;
+        tally.set(value, seen);
+        if (seen > bestCount[v]) {
+          best[v] = i;
+          bestCount[v] = seen;
+        }
+      }
+      for (let v = 0; v < numVoxels; v++) {
+        for (let c = 0; c < count; c++) out.values[v * count + c] = src[best[v] * count + c];
+      }
+      return out;
+    }
+
+    const sums = new Float64Array(numVoxels * count);
+    for (let i = 0; i < n; i++) {
+      const s = voxelOf[i] * count;
+      for (let c = 0; c < count; c++) sums[s + c] += src[i * count + c];
+    }
+    const round = field.type === 'F' ? v => v : Math.round;
+    for (let v = 0; v < numVoxels; v++) {
+      for (let c = 0; c < count; c++) {
+        out.values[v * count + c] = round(sums[v * count + c] / counts[v]);
+      }
+    }
+    return out;
+  });
+
+  return { ...cloud, numPoints: numVoxels, fields };
+}
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createField, mergeClouds } from "../js/cloud.js";
+import { colorsOf } from "../js/points.js";
+
+function cloudOf(type, x, color) {
+  const xs = createField('x', 'F', 4, 1);
+  xs.values[0] = x;
+  const rgb = createField('rgb', type, 4, 1);
+  new Uint32Array(rgb.values.buffer)[0] = color;
+  return { numPoints: 1, fields: [xs, rgb], viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
+
+test('merges F4 and U4 packed rgb bit for bit', () => {
+  const merged = mergeClouds([cloudOf('F', 1, 0xff0000), cloudOf('U', 2, 0x00ff00)]);
+  const rgb = merged.fields.find(f => f.name === 'rgb');
+  assert.equal(rgb.type + rgb.size, 'F4');
+  assert.deepEqual([...colorsOf(merged)], [1, 0, 0, 0, 1, 0]);
+});
+
+test('widens other fields whose type differs', () => {
+  const a = cloudOf('U', 1, 0);
+  const b = cloudOf('U', 2, 0);
+  b.fields[0] = createField('x', 'I', 2, 1);
+  b.fields[0].values[0] = -3;
+  const x = mergeClouds([a, b]).fields[0];
+  assert.equal(x.type + x.size, 'F8');
+  assert.deepEqual([...x.values], [1, -3]);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { regionContains } from "../js/crop.js";
+import {
+  cuboidInverse, cuboidsToJSON, cuboidsToKitti, parseCuboidsJSON, parseKitti,
+} from "../js/cuboids.js";
+
+const CAR = { label: 'Car', trackId: 3, center: [10, 2, 0.75], size: [4, 1.8, 1.5], yaw: 0.3 };
+const WALKER = { label: 'Pedestrian', trackId: 7, center: [-5, -1, 0.9], size: [0.6, 0.5, 1.8], yaw: -2.5 };
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < tolerance, `${actual} vs ${expected}`));
+}
+
+test('writes KITTI camera axes with the location at the box bottom', () => {
+  const [line] = cuboidsToKitti([CAR], 12).trim().split('\n');
+  const values = line.split(' ');
+  assert.deepEqual(values.slice(0, 3), ['12', '3', 'Car']);
+  const [h, w, l, x, y, z, rotationY] = values.slice(10).map(Number);
+  assert.deepEqual([h, w, l], [1.5, 1.8, 4]);
+  // x = -left, y = -(up - h / 2), z = forward
+  assertClose([x, y, z], [-2, 0, 10]);
+  assertClose([rotationY], [-0.3 - Math.PI / 2]);
+  // alpha is rotation_y less the viewing angle
+  assertClose([Number(values[5])], [rotationY - Math.atan2(x, z)]);
+  assert.equal(cuboidsToKitti([]), '');
+});
+
+test('reads KITTI back into the cloud frame', () => {
+  const text = cuboidsToKitti([CAR, WALKER], 4);
+  [CAR, WALKER].forEach((expected, i) => {
+    const cuboid = parseKitti(text)[i];
+    assert.equal(cuboid.label, expected.label);
+    assert.equal(cuboid.trackId, expected.trackId);
+    assertClose(cuboid.center, expected.center);
+    assertClose(cuboid.size, expected.size);
+    assertClose([cuboid.yaw], [expected.yaw]);
+  });
+});
+
+test('filters KITTI frames and skips DontCare', () => {
+  const text = [
+    cuboidsToKitti([CAR], 0),
+    '0 -1 DontCare -1 -1 -10 0 0 10 10 -1 -1 -1 -1000 -1000 -1000 -10',
+    cuboidsToKitti([WALKER], 1),
+  ].join('\n');
+  assert.deepEqual(parseKitti(text, 1).map(c => c.label), ['Pedestrian']);
+  assert.deepEqual(parseKitti(text).map(c => c.label), ['Car', 'Pedestrian']);
+
+  // Object labels without frame and track id belong to every frame
+  const object = 'Van 0.00 0 -1.5 0 0 50 50 2.0 1.9 5.0 1.0 1.6 20.0 -1.57\r\n';
+  const [van] = parseKitti(object, 5);
+  assert.equal(van.trackId, -1);
+  assertClose(van.center, [20, -1, -0.6]);
+  assertClose([van.yaw], [1.57 - Math.PI / 2]);
+
+  assert.throws(() => parseKitti('Car 0 0 0 1 2 3\n'), /line 1 has 7 values/);
+  assert.throws(() => parseKitti('\nCar 0 0 0 0 0 0 0 h 1 1 0 0 0 0\n'), /line 2 has values that are not numbers/);
+});
+
+test('round-trips the JSON file', () => {
+  const text = cuboidsToJSON([CAR, WALKER], [120, 8]);
+  assert.equal(JSON.parse(text).cuboids[1].points, 8);
+  assert.deepEqual(parseCuboidsJSON(text), [CAR, WALKER]);
+  assert.deepEqual(parseCuboidsJSON('{"version":1,"cuboids":[{"center":[0,0,0],"size":[1,1,1],"yaw":0}]}'),
+    [{ label: 'Misc', trackId: -1, center: [0, 0, 0], size: [1, 1, 1], yaw: 0 }]);
+
+  assert.throws(() => parseCuboidsJSON('{'), /not valid JSON/);
+  assert.throws(() => parseCuboidsJSON('{"version":1}'), /no cuboids list/);
+  assert.throws(() => parseCuboidsJSON('{"version":2,"cuboids":[]}'), /version 2/);
+  assert.throws(() => parseCuboidsJSON('{"version":1,"cuboids":[{"center":[0,0],"size":[1,1,1],"yaw":0}]}'), /Cuboid 1 needs/);
+});
+
+test('maps points inside a box to the crop unit cube', () => {
+  const region = { type: 'box', inverse: cuboidInverse(CAR) };
+  const inside = (forward, left, up) => {
+    const c = Math.cos(CAR.yaw), s = Math.sin(CAR.yaw);
+    const [cx, cy, cz] = CAR.center;
+    return regionContains(region, cx + c * forward - s * left, cy + s * forward + c * left, cz + up);
+  };
+  assert.equal(inside(0, 0, 0), true);
+  assert.equal(inside(1.99, 0.89, 0.74), true);
+  assert.equal(inside(2.01, 0, 0), false);
+  assert.equal(inside(0, 0.91, 0), false);
+  assert.equal(inside(0, 0, -0.76), false);
+  // Axis-aligned bounds would take this corner
+  assert.equal(regionContains(region, 7.9, 2.9, 0.75), false);
+});
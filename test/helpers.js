@@ -0,0 +1,17 @@
+// Shared test helpers
+
+// Bytes of a list of Blob parts (strings and typed arrays), as the encoders
+// return them
+export function bytesOf(parts) {
+  return Buffer.concat(parts.map(part =>
+    typeof part === 'string' ? Buffer.from(part) : Buffer.from(part.buffer, part.byteOffset, part.byteLength)
+  ));
+}
+
+export function arrayBufferOf(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+export function fieldOf(cloud, name) {
+  return cloud.fields.find(field => field.name === name);
+}
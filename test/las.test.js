@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLAS } from "../js/las.js";
+import { fieldOf } from "./helpers.js";
+
+const SIZES = { 0: 20, 1: 28, 2: 26, 3: 34, 6: 30, 7: 36, 8: 38 };
+
+// A minimal LAS file: header, no VLRs, one record per point. Each point is
+// { x, y, z, intensity, returnNumber, numberOfReturns, classification,
+// scanAngle, gpsTime, rgb: [r, g, b], nir } in file units.
+function lasFile({ minor, format, points, scale = [0.01, 0.01, 0.01], offset = [0, 0, 0], legacyCount = true }) {
+  const headerSize = minor >= 4 ? 375 : minor === 3 ? 235 : 227;
+  const recordLength = SIZES[format];
+  const buffer = new ArrayBuffer(headerSize + points.length * recordLength);
+  const view = new DataView(buffer);
+  'LASF'.split('').forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+  view.setUint8(24, 1);
+  view.setUint8(25, minor);
+  view.setUint16(94, headerSize, true);
+  view.setUint32(96, headerSize, true);
+  view.setUint8(104, format);
+  view.setUint16(105, recordLength, true);
+  view.setUint32(107, legacyCount ? points.length : 0, true);
+  scale.forEach((s, i) => view.setFloat64(131 + i * 8, s, true));
+  offset.forEach((o, i) => view.setFloat64(155 + i * 8, o, true));
+  if (minor >= 4) view.setBigUint64(247, BigInt(points.length), true);
+
+  const extended = format >= 6;
+  const gpsTime = { 1: 20, 3: 20, 6: 22, 7: 22, 8: 22 }[format];
+  const rgb = { 2: 20, 3: 28, 7: 30, 8: 30 }[format];
+  points.forEach((p, i) => {
+    const o = headerSize + i * recordLength;
+    view.setInt32(o, p.x, true);
+    view.setInt32(o + 4, p.y, true);
+    view.setInt32(o + 8, p.z, true);
+    view.setUint16(o + 12, p.intensity ?? 0, true);
+    if (extended) {
+      view.setUint8(o + 14, (p.returnNumber ?? 1) | ((p.numberOfReturns ?? 1) << 4));
+      view.setUint8(o + 16, p.classification ?? 0);
+      view.setInt16(o + 18, p.scanAngle ?? 0, true);
+    } else {
+      view.setUint8(o + 14, (p.returnNumber ?? 1) | ((p.numberOfReturns ?? 1) << 3));
+      view.setUint8(o + 15, p.classification ?? 0);
+      view.setInt8(o + 16, p.scanAngle ?? 0);
+    }
+    if (gpsTime !== undefined) view.setFloat64(o + gpsTime, p.gpsTime ?? 0, true);
+    if (rgb !== undefined) (p.rgb ?? [0, 0, 0]).forEach((v, c) => view.setUint16(o + rgb + c * 2, v, true));
+    if (format === 8) view.setUint16(o + 36, p.nir ?? 0, true);
+  });
+  return buffer;
+}
+
+const POINTS = [
+  { x: 100, y: -250, z: 7, intensity: 900, returnNumber: 2, numberOfReturns: 3, classification: 2, scanAngle: -15, gpsTime: 12.5, rgb: [65535, 0, 32768], nir: 4000 },
+  { x: -1, y: 0, z: 123456, intensity: 1, returnNumber: 1, numberOfReturns: 1, classification: 6, scanAngle: 30, gpsTime: 99.25, rgb: [256, 512, 0], nir: 1 },
+];
+
+test('scales and offsets coordinates', () => {
+  const cloud = parseLAS(lasFile({ minor: 2, format: 0, points: POINTS, scale: [0.01, 0.5, 0.001], offset: [1000, 2000, -5] }));
+  assert.equal(cloud.numPoints, 2);
+  assert.deepEqual([...fieldOf(cloud, 'x').values], [1001, 999.99]);
+  assert.deepEqual([...fieldOf(cloud, 'y').values], [1875, 2000]);
+  assert.deepEqual([...fieldOf(cloud, 'z').values], [7 * 0.001 - 5, 123456 * 0.001 - 5]);
+  assert.equal(fieldOf(cloud, 'gps_time'), undefined);
+  assert.equal(fieldOf(cloud, 'rgb'), undefined);
+});
+
+test('reads the legacy record formats', () => {
+  for (const format of [0, 1, 2, 3]) {
+    const cloud = parseLAS(lasFile({ minor: 2, format, points: POINTS }));
+    assert.deepEqual([...fieldOf(cloud, 'intensity').values], [900, 1], `format ${format}`);
+    assert.deepEqual([...fieldOf(cloud, 'return_number').values], [2, 1]);
+    assert.deepEqual([...fieldOf(cloud, 'number_of_returns').values], [3, 1]);
+    assert.deepEqual([...fieldOf(cloud, 'classification').values], [2, 6]);
+    assert.deepEqual([...fieldOf(cloud, 'scan_angle').values], [-15, 30]);
+    assert.equal(Boolean(fieldOf(cloud, 'gps_time')), format === 1 || format === 3);
+    assert.equal(Boolean(fieldOf(cloud, 'rgb')), format >= 2);
+  }
+  const cloud = parseLAS(lasFile({ minor: 3, format: 3, points: POINTS }));
+  assert.deepEqual([...fieldOf(cloud, 'gps_time').values], [12.5, 99.25]);
+  // 16-bit colour is reduced to 8 bits
+  assert.deepEqual([...fieldOf(cloud, 'rgb').values], [0xff0080, 0x010200]);
+});
+
+test('keeps 8-bit colour stored in the 16-bit channels', () => {
+  const points = [{ x: 0, y: 0, z: 0, rgb: [255, 16, 1] }];
+  const cloud = parseLAS(lasFile({ minor: 2, format: 2, points }));
+  assert.deepEqual([...fieldOf(cloud, 'rgb').values], [0xff1001]);
+});
+
+test('reads the LAS 1.4 record formats and 64-bit point count', () => {
+  const points = POINTS.map(p => ({ ...p, returnNumber: p.returnNumber + 8, numberOfReturns: 12, classification: p.classification + 60, scanAngle: p.scanAngle * 500 }));
+  for (const format of [6, 7, 8]) {
+    const cloud = parseLAS(lasFile({ minor: 4, format, points, legacyCount: false }));
+    assert.equal(cloud.numPoints, 2);
+    assert.deepEqual([...fieldOf(cloud, 'return_number').values], [10, 9], `format ${format}`);
+    assert.deepEqual([...fieldOf(cloud, 'number_of_returns').values], [12, 12]);
+    assert.deepEqual([...fieldOf(cloud, 'classification').values], [62, 66]);
+    assert.deepEqual([...fieldOf(cloud, 'scan_angle').values], [-45, 90].map(Math.fround));
+    assert.deepEqual([...fieldOf(cloud, 'gps_time').values], [12.5, 99.25]);
+    assert.equal(Boolean(fieldOf(cloud, 'rgb')), format >= 7);
+    assert.equal(Boolean(fieldOf(cloud, 'nir')), format === 8);
+  }
+  const cloud = parseLAS(lasFile({ minor: 4, format: 8, points }));
+  assert.deepEqual([...fieldOf(cloud, 'nir').values], [4000, 1]);
+});
+
+test('reports bad files', () => {
+  const good = lasFile({ minor: 2, format: 1, points: POINTS });
+  assert.throws(() => parseLAS(good.slice(0, 100)), /LAS header is truncated/);
+  assert.throws(() => parseLAS(good.slice(0, good.byteLength - 1)), /LAS point data is truncated/);
+
+  const bytes = (edit) => {
+    const copy = good.slice(0);
+    edit(new DataView(copy));
+    return copy;
+  };
+  assert.throws(() => parseLAS(bytes(v => v.setUint8(0, 0))), /Not a LAS file/);
+  assert.throws(() => parseLAS(bytes(v => v.setUint8(25, 1))), /Unsupported LAS version 1.1/);
+  assert.throws(() => parseLAS(bytes(v => v.setUint8(104, 0x81))), /LAZ/);
+  assert.throws(() => parseLAS(bytes(v => v.setUint8(104, 11))), /record format 11/);
+  assert.throws(() => parseLAS(bytes(v => v.setUint16(105, 20, true))), /too short for format 1/);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { lzfCompress, lzfDecompress } from "../js/lzf.js";
+
+// "hello hello hello hello, lzf lzf lzf! ", 300 zero bytes and
+// "abcabcabcabc", as compressed by liblzf (API 1.5, HLOG 16, VERY_FAST)
+const LIBLZF_INPUT_LENGTH = 350;
+const LIBLZF_OUTPUT = Uint8Array.from([
+  6, 104, 101, 108, 108, 111, 32, 104, 224, 7, 5, 4, 44, 32, 108, 122, 102, 192, 3, 2, 33, 32, 0,
+  224, 255, 0, 224, 26, 0, 2, 97, 98, 99, 160, 2, 1, 98, 99,
+]);
+
+function liblzfInput() {
+  const text = Buffer.from('hello hello hello hello, lzf lzf lzf! ');
+  return Uint8Array.from([...text, ...new Uint8Array(300), ...Buffer.from('abcabcabcabc')]);
+}
+
+test('decodes liblzf output', () => {
+  assert.deepEqual(lzfDecompress(LIBLZF_OUTPUT, LIBLZF_INPUT_LENGTH), liblzfInput());
+});
+
+test('round-trips literal runs, short and long back references', () => {
+  const input = new Uint8Array(100000);
+  let state = 1;
+  for (let i = 0; i < input.length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    input[i] = i % 7 === 0 ? state >> 24 : (i >> 6) & 0xff;
+  }
+  const compressed = lzfCompress(input);
+  assert.ok(compressed.length < input.length);
+  assert.deepEqual(lzfDecompress(compressed, input.length), input);
+  assert.deepEqual(lzfDecompress(lzfCompress(liblzfInput()), LIBLZF_INPUT_LENGTH), liblzfInput());
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOctree, collectNodes, gatherIndices, raycastOctree } from "../js/octree.js";
+
+// A 20 x 20 x 20 grid of points one unit apart
+function grid() {
+  const positions = new Float32Array(8000 * 3);
+  let i = 0;
+  for (let x = 0; x < 20; x++) {
+    for (let y = 0; y < 20; y++) {
+      for (let z = 0; z < 20; z++) positions.set([x, y, z], 3 * i++);
+    }
+  }
+  return positions;
+}
+
+// Same answer as testing every point
+function bruteForce(positions, origin, direction, threshold, accept) {
+  let best = null;
+  for (let i = 0; i < positions.length / 3; i++) {
+    const p = [0, 1, 2].map(a => positions[i * 3 + a] - origin[a]);
+    const along = p[0] * direction[0] + p[1] * direction[1] + p[2] * direction[2];
+    const off = p[0] * p[0] + p[1] * p[1] + p[2] * p[2] - along * along;
+    if (along >= 0 && off <= threshold * threshold && accept(i) && (!best || along < best.distance)) {
+      best = { index: i, distance: along };
+    }
+  }
+  return best;
+}
+
+test('finds the nearest point along a ray through the nodes', () => {
+  const positions = grid();
+  const tree = buildOctree(positions, { min: [0, 0, 0], max: [19, 19, 19] }, { nodeCapacity: 100 });
+  const length = Math.hypot(1, 0.3, 0.2);
+  const direction = [1 / length, 0.3 / length, 0.2 / length];
+  const origin = [-5, 4.1, 7.05];
+  const even = i => i % 2 === 0;
+  const hit = raycastOctree(tree, positions, origin, direction, 0.3, even);
+  assert.ok(hit);
+  assert.deepEqual(hit, bruteForce(positions, origin, direction, 0.3, even));
+  assert.equal(raycastOctree(tree, positions, [-5, 50, 0], [1, 0, 0], 0.3), null);
+});
+
+test('collects the nodes reaching into a region and their points', () => {
+  const positions = grid();
+  const tree = buildOctree(positions, { min: [0, 0, 0], max: [19, 19, 19] }, { nodeCapacity: 100 });
+  // Nodes whose cube reaches x < 3
+  const nodes = collectNodes(tree, node => node.min[0] < 3);
+  const indices = new Uint32Array(nodes.reduce((sum, n) => sum + tree.nodes[n].count, 0));
+  gatherIndices(tree, nodes, indices);
+  const found = new Set(indices);
+  for (let i = 0; i < 8000; i++) {
+    if (positions[i * 3] < 3) assert.ok(found.has(i), `point ${i} missing`);
+  }
+  assert.ok(found.size < 8000);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { createField } from "../js/cloud.js";
+import { encodePCD, parsePCD } from "../js/pcd.js";
+import { parsePLY } from "../js/ply.js";
+import { parseTileSet } from "../js/tiles.js";
+import { arrayBufferOf, bytesOf, fieldOf } from "./helpers.js";
+
+const TOOL = new URL('../bin/pcd-tools.js', import.meta.url).pathname;
+
+function run(...args) {
+  return promisify(execFile)(process.execPath, [TOOL, ...args]);
+}
+
+// Points at x = 100 .. 109 with intensity 0 .. 9, centred on (104.5, 0, 0)
+function lineCloud() {
+  const n = 10;
+  const fields = ['x', 'y', 'z', 'intensity'].map(name => createField(name, 'F', 4, n));
+  for (let i = 0; i < n; i++) {
+    fields[0].values[i] = 100 + i;
+    fields[3].values[i] = i;
+  }
+  return { numPoints: n, fields, viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
+
+async function withFiles(body) {
+  const dir = await mkdtemp(join(tmpdir(), 'pcd-tools-'));
+  try {
+    const input = join(dir, 'in.pcd');
+    await writeFile(input, bytesOf(encodePCD(lineCloud(), 'ascii')));
+    await body(dir, input);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('prints cloud info', () => withFiles(async (dir, input) => {
+  const { stdout } = await run('info', input);
+  assert.match(stdout, /points: {4}10\n/);
+  assert.match(stdout, /fields: {4}x F4, y F4, z F4, intensity F4\n/);
+  assert.match(stdout, /x: {9}\[100, 109\]\n/);
+  assert.match(stdout, /centre: {4}104\.5000, 0, 0\n/);
+}));
+
+test('crops by coordinate and field ranges', () => withFiles(async (dir, input) => {
+  const output = join(dir, 'out.pcd');
+  const { stdout } = await run('crop', '--x', '102,108', '--field', 'intensity:0,5', input, output);
+  assert.match(stdout, /Kept 4 of 10 points/);
+  const cloud = parsePCD(arrayBufferOf(await readFile(output)));
+  assert.deepEqual([...fieldOf(cloud, 'x').values], [102, 103, 104, 105]);
+}));
+
+test('crops relative to the cloud centre and writes PLY', () => withFiles(async (dir, input) => {
+  const output = join(dir, 'out.ply');
+  await run('crop', '--centred', '--x', '-1,1', '--format', 'ascii', input, output);
+  const bytes = await readFile(output);
+  assert.match(bytes.toString('latin1'), /^ply\nformat ascii 1\.0\n/);
+  // Written in the original frame
+  assert.deepEqual([...fieldOf(parsePLY(arrayBufferOf(bytes)), 'x').values], [104, 105]);
+}));
+
+test('writes a tile set that reads back', () => withFiles(async (dir, input) => {
+  const output = join(dir, 'out.pcdtiles');
+  const { stdout } = await run('tile', '--node-size', '3', input, output);
+  assert.match(stdout, /Wrote 10 points to/);
+  const cloud = parseTileSet(arrayBufferOf(await readFile(output)));
+  assert.deepEqual([...fieldOf(cloud, 'x').values].sort((a, b) => a - b), [...fieldOf(lineCloud(), 'x').values]);
+  const info = await run('info', output);
+  assert.match(info.stdout, /points: {4}10\n/);
+}));
+
+test('reports bad arguments', () => withFiles(async (dir, input) => {
+  const failure = (args, message) => assert.rejects(run(...args), err => {
+    assert.equal(err.code, 1);
+    assert.match(err.stderr, message);
+    return true;
+  });
+  await failure(['crop', '--x', '5,1', input, join(dir, 'out.pcd')], /--x needs <min,max>, got "5,1"/);
+  await failure(['crop', '--field', 'intensity', input, join(dir, 'out.pcd')], /--field needs <name:min,max>/);
+  await failure(['crop', '--x'], /--x needs a value/);
+  await failure(['crop', input, join(dir, 'out.las')], /Unsupported output format "\.las"/);
+  await failure(['info', join(dir, 'in.xyz')], /Unsupported input format/);
+  await failure(['tile', '--node-size', '0', input, join(dir, 'out.pcdtiles')], /--node-size needs a positive whole number/);
+  await failure(['tile', input, join(dir, 'out.pcd')], /written to \.pcdtiles files/);
+  await failure(['merge'], /Unknown command "merge"/);
+}));
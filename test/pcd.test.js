@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createField } from "../js/cloud.js";
+import { encodePCD, parsePCD } from "../js/pcd.js";
+import { arrayBufferOf, bytesOf } from "./helpers.js";
+
+function compressedFile() {
+  const x = createField('x', 'F', 4, 2);
+  x.values.set([1.5, -2]);
+  const cloud = { numPoints: 2, fields: [x], viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+  return bytesOf(encodePCD(cloud, 'binary_compressed'));
+}
+
+test('reads binary_compressed back', () => {
+  const cloud = parsePCD(arrayBufferOf(compressedFile()));
+  assert.deepEqual([...cloud.fields[0].values], [1.5, -2]);
+});
+
+test('reports compressed data cut anywhere as truncated', () => {
+  const file = compressedFile();
+  const dataStart = file.indexOf('DATA binary_compressed\n') + 'DATA binary_compressed\n'.length;
+  for (let end = dataStart; end < file.length; end++) {
+    assert.throws(() => parsePCD(arrayBufferOf(file.subarray(0, end))), /PCD compressed data is truncated/);
+  }
+});
+
+test('rejects compressed data whose size does not match the header', () => {
+  const file = compressedFile();
+  const dataStart = file.indexOf('DATA binary_compressed\n') + 'DATA binary_compressed\n'.length;
+  // Raw size word: 2 points of one F4 field make 8 bytes
+  assert.equal(file.readUInt32LE(dataStart + 4), 8);
+  file.writeUInt32LE(4, dataStart + 4);
+  assert.throws(() => parsePCD(arrayBufferOf(file)), /PCD compressed data size does not match header/);
+});
+
+test('round-trips mixed field types in every format', () => {
+  const x = createField('x', 'F', 4, 3);
+  x.values.set([0.5, -1.25, 3e5]);
+  const intensity = createField('intensity', 'U', 2, 3);
+  intensity.values.set([0, 1000, 65535]);
+  const time = createField('time', 'F', 8, 3);
+  time.values.set([1700000000.123456, 0, -2.5]);
+  const descriptor = createField('descriptor', 'I', 1, 3, 2);
+  descriptor.values.set([-128, 127, 0, 1, -1, 5]);
+  const cloud = { numPoints: 3, fields: [x, intensity, time, descriptor], viewpoint: [1, 2, 3, 1, 0, 0, 0] };
+  for (const format of ['ascii', 'binary', 'binary_compressed']) {
+    const back = parsePCD(arrayBufferOf(bytesOf(encodePCD(cloud, format))));
+    assert.equal(back.numPoints, 3, format);
+    assert.deepEqual(back.viewpoint, cloud.viewpoint, format);
+    back.fields.forEach((field, i) => {
+      const expected = cloud.fields[i];
+      assert.deepEqual([field.name, field.type, field.size, field.count], [expected.name, expected.type, expected.size, expected.count], format);
+      assert.deepEqual([...field.values], [...expected.values], `${format} ${field.name}`);
+    });
+  }
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createField } from "../js/cloud.js";
+import { encodePLY, parsePLY } from "../js/ply.js";
+import { arrayBufferOf, bytesOf, fieldOf } from "./helpers.js";
+
+function plyBuffer(header, body) {
+  return arrayBufferOf(Buffer.concat([Buffer.from(header), Buffer.from(body)]));
+}
+
+test('reads ascii vertices, mapping normals and colours and skipping faces', () => {
+  const cloud = parsePLY(plyBuffer(`ply
+format ascii 1.0
+comment made by hand
+element vertex 2
+property float x
+property float y
+property float z
+property float nx
+property float ny
+property float nz
+property uchar red
+property uchar green
+property uchar blue
+property ushort intensity
+element face 1
+property list uchar int vertex_indices
+end_header
+`, `1 2 3 0 0 1 255 0 0 7
+-1.5 0 0.25 1 0 0 0 128 255 65535
+3 0 1 1
+`));
+  assert.equal(cloud.numPoints, 2);
+  assert.deepEqual(cloud.fields.map(f => f.name), ['x', 'y', 'z', 'normal_x', 'normal_y', 'normal_z', 'rgb', 'intensity']);
+  assert.deepEqual([...fieldOf(cloud, 'x').values], [1, -1.5]);
+  assert.deepEqual([...fieldOf(cloud, 'normal_z').values], [1, 0]);
+  assert.deepEqual([...fieldOf(cloud, 'rgb').values], [0xff0000, 0x0080ff]);
+  assert.deepEqual([...fieldOf(cloud, 'intensity').values], [7, 65535]);
+});
+
+test('reads big-endian binary vertices after another element', () => {
+  const header = `ply
+format binary_big_endian 1.0
+element camera 1
+property list uchar float view
+element vertex 2
+property double x
+property float y
+property float z
+property float red
+property float green
+property float blue
+end_header
+`;
+  const body = Buffer.alloc(1 + 2 * 4 + 2 * (8 + 4 * 5));
+  let o = 0;
+  body.writeUInt8(2, o); o += 1;
+  body.writeFloatBE(9, o); o += 4;
+  body.writeFloatBE(9, o); o += 4;
+  for (const [x, y, z, r, g, b] of [[1e6 + 0.5, 2, 3, 1, 0, 0], [-4, 5, 6, 0, 0.5, 1]]) {
+    body.writeDoubleBE(x, o); o += 8;
+    for (const v of [y, z, r, g, b]) {
+      body.writeFloatBE(v, o); o += 4;
+    }
+  }
+  const cloud = parsePLY(plyBuffer(header, body));
+  assert.deepEqual([...fieldOf(cloud, 'x').values], [1e6 + 0.5, -4]);
+  assert.deepEqual([...fieldOf(cloud, 'z').values], [3, 6]);
+  // Float colours are 0..1
+  assert.deepEqual([...fieldOf(cloud, 'rgb').values], [0xff0000, 0x0080ff]);
+});
+
+test('round-trips through both written formats', () => {
+  const fields = ['x', 'y', 'z', 'normal_x'].map(name => createField(name, 'F', 4, 2));
+  fields[0].values.set([0.1, -2]);
+  fields[3].values.set([1, 0]);
+  // Packed colour stored as F4, the PCL default
+  const rgb = createField('rgb', 'F', 4, 2);
+  new Uint32Array(rgb.values.buffer).set([0x102030, 0xffffff]);
+  const label = createField('label', 'U', 4, 2);
+  label.values.set([40, 70]);
+  const cloud = { numPoints: 2, fields: [...fields, rgb, label], viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+
+  for (const format of ['ascii', 'binary_little_endian']) {
+    const back = parsePLY(arrayBufferOf(bytesOf(encodePLY(cloud, format))));
+    assert.deepEqual([...fieldOf(back, 'x').values], [...fields[0].values], format);
+    assert.deepEqual([...fieldOf(back, 'normal_x').values], [1, 0], format);
+    assert.deepEqual([...fieldOf(back, 'rgb').values], [0x102030, 0xffffff], format);
+    assert.deepEqual([...fieldOf(back, 'label').values], [40, 70], format);
+  }
+});
+
+test('reports bad files', () => {
+  assert.throws(() => parsePLY(plyBuffer('pcd\n', '')), /Not a PLY file/);
+  assert.throws(() => parsePLY(plyBuffer('ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\n', '')), /no end_header/);
+  const header = 'ply\nformat binary_little_endian 1.0\nelement vertex 2\nproperty float x\nproperty float y\nproperty float z\nend_header\n';
+  assert.throws(() => parsePLY(plyBuffer(header, Buffer.alloc(20))), /PLY binary data is truncated/);
+  assert.throws(() => parsePLY(plyBuffer('ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\nend_header\n', '1\n')), /no x\/y\/z/);
+});
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { PRESET_LIBRARY_VERSION, parsePresetLibrary } from "../js/presets.js";
+
+test('reads the example library', async () => {
+  const text = await readFile(new URL('../presets/sp1f.json', import.meta.url), 'utf8');
+  assert.ok(Object.keys(parsePresetLibrary(text).datasets).length > 0);
+});
+
+test('rejects datasets that are not region maps', () => {
+  for (const regions of [null, 3, 'x', []]) {
+    const text = JSON.stringify({ version: PRESET_LIBRARY_VERSION, datasets: { scan: regions } });
+    assert.throws(() => parsePresetLibrary(text), /Not a preset library \(dataset "scan" has no regions\)/);
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fitPlane, formatPlane, refinePlane, seededRandom, segmentPlanes } from "../js/ransac.js";
+
+// A noisy floor z = 0.1x - 0.2y + 1 over a 10 x 10 square (indices
+// 0 .. floor - 1), a wall x = 8 (up to floor + wall - 1), then clutter
+// away from both
+function scene({ floor = 800, wall = 400, clutter = 200, noise = 0.005 } = {}) {
+  const random = seededRandom(7);
+  const jitter = () => (random() - 0.5) * 2 * noise;
+  const positions = [];
+  for (let i = 0; i < floor; i++) {
+    const x = random() * 10, y = random() * 10;
+    positions.push(x, y, 0.1 * x - 0.2 * y + 1 + jitter());
+  }
+  for (let i = 0; i < wall; i++) {
+    positions.push(8 + jitter(), random() * 10, 3 + random() * 5);
+  }
+  for (let i = 0; i < clutter; i++) {
+    positions.push(random() * 7, random() * 10, 10 + random() * 5);
+  }
+  return new Float32Array(positions);
+}
+
+function assertPlane(actual, expected, tolerance) {
+  const length = Math.hypot(expected[0], expected[1], expected[2]);
+  expected.forEach((v, i) => {
+    assert.ok(Math.abs(actual[i] - v / length) < tolerance, `${actual} vs ${expected}`);
+  });
+}
+
+test('fits the dominant plane, normal up', () => {
+  const positions = scene();
+  const candidates = Uint32Array.from({ length: positions.length / 3 }, (_, i) => i);
+  const { plane, inliers } = fitPlane(positions, candidates, { threshold: 0.02, iterations: 200 });
+  assertPlane(plane, [-0.1, 0.2, 1, -1], 2e-3);
+  assert.equal(inliers.length, 800);
+  assert.ok(inliers.every(i => i < 800));
+  assert.equal(fitPlane(positions, candidates.subarray(0, 2), { threshold: 0.02, iterations: 10 }), null);
+});
+
+test('refines a plane by least squares', () => {
+  const positions = new Float32Array([0, 0, 2, 1, 0, 2, 0, 1, 2, 1, 1, 2]);
+  assertPlane(refinePlane(positions, [0, 1, 2, 3]), [0, 0, 1, -2], 1e-6);
+});
+
+test('segments planes one after the other', () => {
+  const positions = scene();
+  const planes = segmentPlanes(positions, { maxPlanes: 3, threshold: 0.02, minInliers: 300 });
+  assert.equal(planes.length, 2);
+  assert.equal(planes[0].inliers.length, 800);
+  // A wall's normal is level, so either sign may come out
+  const wall = planes[1].plane.map(v => v * Math.sign(planes[1].plane[0]));
+  assertPlane(wall, [1, 0, 0, -8], 1e-2);
+  assert.equal(planes[1].inliers.length, 400);
+  assert.ok(planes[1].inliers.every(i => i >= 800 && i < 1200));
+
+  // Same seed, same result
+  const again = segmentPlanes(positions, { maxPlanes: 3, threshold: 0.02, minInliers: 300 });
+  assert.deepEqual(again.map(p => p.plane), planes.map(p => p.plane));
+});
+
+test('formats plane equations', () => {
+  assert.equal(formatPlane([-0.5, 0, 1, -2.25]), '-0.5000x + 0.0000y + 1.0000z - 2.2500 = 0');
+  assert.equal(formatPlane([0, 0.6, 0.8, 3]), '0.0000x + 0.6000y + 0.8000z + 3.0000 = 0');
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { icp, rigidFromPairs, transformPositions } from "../js/registration.js";
+
+// Deterministic scattered points in a 10 m cube
+function scatter(n, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Float64Array.from({ length: n * 3 }, () => random() * 10);
+}
+
+// Rotation by `angle` about Z, then a translation
+function motion(angle, t) {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [c, -s, 0, t[0], s, c, 0, t[1], 0, 0, 1, t[2], 0, 0, 0, 1];
+}
+
+function assertMatrixClose(actual, expected, epsilon) {
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < epsilon, `element ${i}: ${v} vs ${expected[i]}`));
+}
+
+test('rigidFromPairs recovers a known rotation and translation', () => {
+  const source = scatter(20);
+  const expected = motion(0.7, [1, -2, 0.5]);
+  assertMatrixClose(rigidFromPairs(source, transformPositions(expected, source)), expected, 1e-9);
+});
+
+test('icp aligns a slightly moved copy and stops once the fit is exact', () => {
+  const target = scatter(500, 7);
+  const expected = motion(0.02, [0.05, -0.03, 0.01]);
+  // The source is the target moved back, so ICP has to find `expected`
+  const inverse = motion(-0.02, [0, 0, 0]);
+  const back = transformPositions(inverse, target.map((v, i) => v - expected[3 + (i % 3) * 4]));
+  const steps = [...icp(back, target, { maxIterations: 50, tolerance: 1e-6 })];
+  const last = steps[steps.length - 1];
+  assert.ok(last.converged);
+  assert.ok(steps.length < 50, `took ${steps.length} iterations`);
+  assert.ok(last.rmse < 1e-6);
+  assertMatrixClose(last.matrix, expected, 1e-6);
+});
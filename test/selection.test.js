@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { frontHits, selectIndices, selectPoints } from "../js/selection.js";
+
+test('keeps only the nearest depth band of each screen cell', () => {
+  const hits = { x: [7, 8, 9, 40], y: [7, 7, 8, 40], depth: [5, 5.05, 12, 30] };
+  assert.deepEqual([...frontHits(hits, 6, 0.02)], [1, 1, 0, 1]);
+});
+
+test('reports screen position and camera distance of hits', () => {
+  // Identity view, perspective divide by w = 2
+  const matrix = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2];
+  const out = { x: [], y: [], depth: [] };
+  const hits = selectPoints(new Float32Array([0, 0, 0, 2, 0, 0]), matrix, 100, 100, x => x < 80, () => true, out);
+  assert.deepEqual(hits, [0]);
+  assert.deepEqual(out, { x: [50], y: [50], depth: [2] });
+});
+
+test('selects among the given indices only', () => {
+  const matrix = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1];
+  const positions = new Float32Array([0, 0, 0, 0.1, 0, 0, 0.2, 0, 0]);
+  assert.deepEqual(selectIndices([0, 2], positions, matrix, 100, 100, () => true), [0, 2]);
+  assert.deepEqual(selectIndices(null, positions, matrix, 100, 100, () => true), [0, 1, 2]);
+});
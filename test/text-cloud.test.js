@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectDelimiter, guessColumnMapping, looksLikeHeader, parseDelimitedText, previewText, splitLine,
+} from "../js/text-cloud.js";
+import { fieldOf } from "./helpers.js";
+
+test('splits and detects delimiters', () => {
+  assert.deepEqual(splitLine('  1,  2 ,3 ', ','), ['1', '2', '3']);
+  assert.deepEqual(splitLine('1 \t 2   3', ' '), ['1', '2', '3']);
+  assert.deepEqual(splitLine('   ', ','), []);
+  assert.equal(detectDelimiter(['1,2,3,4', '5,6,7,8']), ',');
+  assert.equal(detectDelimiter(['1;2;3', '4;5;6']), ';');
+  assert.equal(detectDelimiter(['1\t2\t3', '4\t5\t6']), '\t');
+  assert.equal(detectDelimiter(['1 2 3', '4  5 6', '']), ' ');
+});
+
+test('guesses headers and column targets', () => {
+  assert.equal(looksLikeHeader('X,Y,Z,Red', ','), true);
+  assert.equal(looksLikeHeader('1,2,3e5,-4', ','), false);
+  assert.deepEqual(guessColumnMapping(['"X"', 'y', 'Z', 'red', 'G', 'blue', 'Reflectance', 'time'], 8).map(c => c.target),
+    ['x', 'y', 'z', 'r', 'g', 'b', 'intensity', 'custom']);
+  assert.deepEqual(guessColumnMapping(['#x', 'y', 'z', 'time'], 4)[3], { target: 'custom', name: 'time' });
+  assert.deepEqual(guessColumnMapping(null, 4).map(c => c.target), ['x', 'y', 'z', 'ignore']);
+});
+
+test('previews rows after skipped lines and the header', () => {
+  const preview = previewText('junk\nx,y,z\n1,2,3\n\n4,5,6,7\n', { delimiter: ',', skipLines: 1, hasHeader: true, maxRows: 5 });
+  assert.deepEqual(preview.header, ['x', 'y', 'z']);
+  assert.deepEqual(preview.rows, [['1', '2', '3'], ['4', '5', '6', '7']]);
+  assert.equal(preview.numColumns, 4);
+});
+
+test('parses mapped columns into fields', () => {
+  const text = '// exported\nx;y;z;r;g;b;i;t;note\n1;2;3;255;0;10;0.5;7;a\r\n\n-1;0.25;4;0;128;300;1;8;b\n';
+  const columns = guessColumnMapping(splitLine(text.split('\n')[1], ';'), 9);
+  columns[8].target = 'ignore';
+  const cloud = parseDelimitedText(text, { delimiter: ';', skipLines: 1, hasHeader: true, columns });
+  assert.equal(cloud.numPoints, 2);
+  assert.deepEqual(cloud.fields.map(f => f.name), ['x', 'y', 'z', 'rgb', 'intensity', 't']);
+  assert.equal(fieldOf(cloud, 'x').size, 4);
+  assert.deepEqual([...fieldOf(cloud, 'y').values], [2, 0.25]);
+  // Channels are clamped to 0..255
+  assert.deepEqual([...fieldOf(cloud, 'rgb').values], [0xff000a, 0x0080ff]);
+  assert.deepEqual([...fieldOf(cloud, 'intensity').values], [0.5, 1]);
+  assert.deepEqual([...fieldOf(cloud, 't').values], [7, 8]);
+});
+
+test('scales unit colours, keeps large coordinates in float64 and marks missing values', () => {
+  const columns = guessColumnMapping(['x', 'y', 'z', 'r', 'g', 'b'], 6);
+  const cloud = parseDelimitedText('500000.01 1 2 1 0.5 0\n3 4\n', { delimiter: ' ', columns });
+  assert.equal(fieldOf(cloud, 'x').size, 8);
+  assert.deepEqual([...fieldOf(cloud, 'x').values], [500000.01, 3]);
+  assert.ok(Number.isNaN(fieldOf(cloud, 'z').values[1]));
+  assert.equal(fieldOf(cloud, 'rgb').values[0], 0xff8000);
+
+  // Partial colour mappings are dropped
+  const partial = guessColumnMapping(['x', 'y', 'z', 'r'], 4);
+  assert.equal(fieldOf(parseDelimitedText('1 2 3 4\n', { delimiter: ' ', columns: partial }), 'rgb'), undefined);
+});
+
+test('rejects incomplete or ambiguous mappings', () => {
+  const columns = guessColumnMapping(null, 3);
+  assert.throws(() => parseDelimitedText('1 2\n', { delimiter: ' ', columns: columns.slice(0, 2) }), /x, y and z/);
+  const twice = [...columns, { target: 'x', name: 'x2' }];
+  assert.throws(() => parseDelimitedText('1 2 3 4\n', { delimiter: ' ', columns: twice }), /more than one column is mapped to x/i);
+  const unnamed = [...columns, { target: 'custom', name: '' }];
+  assert.throws(() => parseDelimitedText('1 2 3 4\n', { delimiter: ' ', columns: unnamed }), /Column 4 needs a field name/);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createField } from "../js/cloud.js";
+import {
+  decodeTileNode, encodeTileSet, parseTileSet, parseTileSetHeader, tileNodeRange, tileSetHeaderSize,
+} from "../js/tiles.js";
+import { arrayBufferOf, bytesOf, fieldOf } from "./helpers.js";
+
+// A 20 x 20 x 5 grid far from the file origin, with colour when asked
+function gridCloud(withColor) {
+  const n = 2000;
+  const fields = ['x', 'y', 'z'].map(name => createField(name, 'F', 8, n));
+  const rgb = createField('rgb', 'U', 4, n);
+  for (let i = 0; i < n; i++) {
+    fields[0].values[i] = 500000 + (i % 20) * 0.5;
+    fields[1].values[i] = 4000000 + (Math.floor(i / 20) % 20) * 0.5;
+    fields[2].values[i] = Math.floor(i / 400) * 0.25;
+    rgb.values[i] = (i * 2654435761) & 0xffffff;
+  }
+  return { numPoints: n, fields: withColor ? [...fields, rgb] : fields, viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
+
+// Point keys of a cloud, to compare clouds whose points come in any order
+function pointsOf(cloud) {
+  const axes = ['x', 'y', 'z'].map(name => fieldOf(cloud, name).values);
+  const rgb = fieldOf(cloud, 'rgb');
+  return Array.from({ length: cloud.numPoints }, (_, i) =>
+    `${axes.map(values => values[i].toFixed(3)).join(' ')} ${rgb ? rgb.values[i] : ''}`
+  ).sort();
+}
+
+test('round-trips a cloud through a tile set', () => {
+  for (const withColor of [false, true]) {
+    const cloud = gridCloud(withColor);
+    const back = parseTileSet(arrayBufferOf(bytesOf(encodeTileSet(cloud, { nodeCapacity: 100 }))));
+    assert.equal(back.numPoints, cloud.numPoints);
+    assert.deepEqual(pointsOf(back), pointsOf(cloud));
+  }
+});
+
+test('reads single nodes from their byte ranges', () => {
+  const buffer = arrayBufferOf(bytesOf(encodeTileSet(gridCloud(true), { nodeCapacity: 100 })));
+  const headerSize = tileSetHeaderSize(buffer.slice(0, 12));
+  assert.equal(headerSize % 4, 0);
+  const header = parseTileSetHeader(buffer.slice(0, headerSize));
+  assert.equal(header.dataStart, headerSize);
+  assert.deepEqual(header.origin, [500004.75, 4000004.75, 0.5]);
+  assert.ok(header.nodes.length > 20);
+  assert.equal(header.nodes.reduce((sum, node) => sum + node.count, 0), 2000);
+  assert.ok(header.nodes.every(node => node.count <= 100));
+
+  // Nodes follow each other to the end of the file
+  let end = headerSize;
+  header.nodes.forEach((node, index) => {
+    const range = tileNodeRange(header, index);
+    assert.equal(range[0], end);
+    end = range[1];
+    const { positions, colors } = decodeTileNode(header, index, buffer.slice(...range));
+    assert.equal(positions.length, node.count * 3);
+    assert.equal(colors.length, node.count * 3);
+    // Points lie in their node's cube
+    for (let k = 0; k < positions.length; k++) {
+      const axis = k % 3;
+      assert.ok(positions[k] >= node.min[axis] - 1e-6 && positions[k] <= node.min[axis] + node.size + 1e-6);
+    }
+  });
+  assert.equal(end, buffer.byteLength);
+});
+
+test('reports bad tile sets', () => {
+  const buffer = arrayBufferOf(bytesOf(encodeTileSet(gridCloud(false), { nodeCapacity: 500 })));
+  const headerSize = tileSetHeaderSize(buffer);
+  assert.throws(() => tileSetHeaderSize(new ArrayBuffer(8)), /header is truncated/);
+  assert.throws(() => parseTileSet(new TextEncoder().encode('PCDTILEX\0\0\0\0').buffer), /Not a tile set/);
+  assert.throws(() => parseTileSetHeader(buffer.slice(0, headerSize - 1)), /header is truncated/);
+  assert.throws(() => parseTileSet(buffer.slice(0, buffer.byteLength - 4)), /node \d+ is truncated/);
+
+  const edited = new Uint8Array(buffer.slice(0));
+  edited.set(new TextEncoder().encode('{"version":2}'.padEnd(headerSize - 12)), 12);
+  assert.throws(() => parseTileSet(edited.buffer), /Unsupported tile set version 2/);
+  edited.set(new TextEncoder().encode('{{'), 12);
+  assert.throws(() => parseTileSet(edited.buffer), /not valid JSON/);
+});
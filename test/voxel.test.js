@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createField } from "../js/cloud.js";
+import { colorsOf } from "../js/points.js";
+import { voxelDownsample } from "../js/voxel.js";
+
+function cloudOf(points, extra) {
+  const fields = ['x', 'y', 'z'].map((name, k) => {
+    const field = createField(name, 'F', 4, points.length);
+    points.forEach((p, i) => { field.values[i] = p[k]; });
+    return field;
+  });
+  return { numPoints: points.length, fields: fields.concat(extra), viewpoint: [0, 0, 0, 1, 0, 0, 0] };
+}
+
+// PCL writes packed rgb as TYPE F SIZE 4: the float holds the colour bits
+function packedRgb(type, colors) {
+  const field = createField('rgb', type, 4, colors.length);
+  new Uint32Array(field.values.buffer).set(colors);
+  return field;
+}
+
+test('averages F4 packed rgb per channel', () => {
+  const cloud = cloudOf([[0, 0, 0], [0.1, 0, 0], [5, 5, 5]], packedRgb('F', [0xff0000, 0x0000ff, 0x00ff00]));
+  const out = voxelDownsample(cloud, [1, 1, 1]);
+  assert.equal(out.numPoints, 2);
+  assert.equal(out.fields[3].type, 'F');
+  assert.deepEqual(new Uint32Array(out.fields[3].values.buffer), new Uint32Array([0x800080, 0x00ff00]));
+  assert.deepEqual([...colorsOf(out).slice(3)], [0, 1, 0]);
+});
+
+test('keeps a single F4 red point red', () => {
+  const cloud = cloudOf([[0, 0, 0]], packedRgb('F', [0xff0000]));
+  assert.deepEqual([...colorsOf(voxelDownsample(cloud, [1, 1, 1]))], [1, 0, 0]);
+});
+
+test('takes the most common value of id fields', () => {
+  const label = createField('label', 'U', 4, 4);
+  label.values.set([10, 40, 40, 30]);
+  const intensity = createField('intensity', 'F', 4, 4);
+  intensity.values.set([1, 2, 3, 4]);
+  const cloud = cloudOf([[0, 0, 0], [0.1, 0, 0], [0.2, 0, 0], [5, 5, 5]], [label, intensity]);
+  const out = voxelDownsample(cloud, [1, 1, 1]);
+  assert.deepEqual([...out.fields[3].values], [40, 30]);
+  assert.deepEqual([...out.fields[4].values], [2, 4]);
+});